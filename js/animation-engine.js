@@ -0,0 +1,319 @@
+/**
+ * Animation Engine Module
+ * Delta-time clock and named behaviours that drive mesh motion
+ */
+
+import * as THREE from 'three';
+
+// Scene time that advances by real elapsed time, independent of frame rate.
+// It can be paused, sped up or slowed down, and scrubbed with seek().
+export class AnimationClock {
+    constructor() {
+        this.time = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.lastTimestamp = null;
+    }
+
+    tick(timestamp = performance.now()) {
+        const last = this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+        if (last === null || this.paused) return 0;
+
+        // Cap long gaps (a stalled tab, a debugger) so nothing jumps
+        return this.advance(Math.min((timestamp - last) / 1000, AnimationClock.MAX_DELTA));
+    }
+
+    // Move forward by a fixed amount of real time, e.g. when stepping headless
+    advance(seconds) {
+        if (this.paused) return 0;
+        const delta = seconds * this.speed;
+        this.time = Math.max(0, this.time + delta);
+        return delta;
+    }
+
+    // Forget the last timestamp so time spent paused isn't counted
+    reset() {
+        this.lastTimestamp = null;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.reset();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    seek(time) {
+        this.time = Math.max(0, time);
+    }
+}
+
+AnimationClock.MAX_DELTA = 0.1;
+
+// One behaviour attached to one mesh. Timing options shared by every type:
+// start (clock time, defaults to now), delay, duration (seconds, Infinity
+// runs forever), repeat (extra cycles, Infinity loops) and easing.
+export class Behavior {
+    constructor(type, definition, params, startTime) {
+        const timing = { delay: 0, duration: Infinity, repeat: 0, easing: 'linear', ...definition.defaults, ...params };
+
+        this.type = type;
+        this.definition = definition;
+        this.options = params;
+        this.params = timing;
+        this.start = params.start !== undefined ? params.start : startTime;
+        this.delay = timing.delay;
+        this.duration = timing.duration;
+        this.repeat = timing.repeat;
+        this.easing = AnimationEngine.resolveEasing(timing.easing);
+
+        if (definition.setup) {
+            definition.setup(this.params);
+        }
+    }
+
+    // Time inside the behaviour: eased over each cycle for finite durations,
+    // plain elapsed seconds otherwise
+    localTime(time) {
+        const elapsed = time - this.start - this.delay;
+        if (elapsed <= 0) return 0;
+        if (!isFinite(this.duration)) return elapsed;
+
+        const cycles = elapsed / this.duration;
+        const progress = cycles < this.repeat + 1 ? cycles % 1 : 1;
+        return this.easing(progress) * this.duration;
+    }
+
+    apply(mesh, time) {
+        this.definition.apply(mesh, this.params, this.localTime(time), this);
+    }
+
+    state(time) {
+        return this.definition.state ? this.definition.state(this.params, this.localTime(time)) : null;
+    }
+
+    // The options the behaviour was created with, as JSON-safe data. Easing
+    // functions can't be saved and come back as linear.
+    toJSON() {
+        const data = { type: this.type };
+        Object.entries(this.options).forEach(([key, value]) => {
+            if (typeof value === 'function') return;
+            if (value === Infinity) {
+                data[key] = 'Infinity';
+            } else if (value && value.isVector3) {
+                data[key] = { x: value.x, y: value.y, z: value.z };
+            } else {
+                data[key] = value;
+            }
+        });
+        data.start = this.start;
+        return data;
+    }
+}
+
+export class AnimationEngine {
+    // A behaviour is { defaults?, setup?(params), apply(mesh, params, t, behavior), state?(params, t) }.
+    // apply() adds to the rest pose, so behaviours on one mesh stack.
+    static registerBehavior(name, definition) {
+        if (!definition || typeof definition.apply !== 'function') {
+            throw new TypeError(`Behavior '${name}' needs an apply(mesh, params, t) function`);
+        }
+        AnimationEngine.behaviors.set(name, definition);
+    }
+
+    static registerEasing(name, easing) {
+        AnimationEngine.easings.set(name, easing);
+    }
+
+    static resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (!AnimationEngine.easings.has(easing)) {
+            console.warn(`Unknown easing '${easing}', using linear`);
+            return AnimationEngine.easings.get('linear');
+        }
+        return AnimationEngine.easings.get(easing);
+    }
+
+    constructor(clock = new AnimationClock()) {
+        this.clock = clock;
+        this.tracks = new Map();
+    }
+
+    add(mesh, type, params = {}) {
+        const definition = AnimationEngine.behaviors.get(type);
+        if (!definition) {
+            console.error(`Unknown behavior '${type}'`);
+            return null;
+        }
+
+        const behavior = new Behavior(type, definition, params, this.clock.time);
+        if (!this.tracks.has(mesh)) {
+            this.tracks.set(mesh, []);
+        }
+        this.tracks.get(mesh).push(behavior);
+        return behavior;
+    }
+
+    get(mesh, type) {
+        const behaviors = this.tracks.get(mesh) || [];
+        return behaviors.find(behavior => behavior.type === type) || null;
+    }
+
+    // Remove one behaviour instance, or every behaviour of a type
+    remove(mesh, behaviorOrType) {
+        const behaviors = this.tracks.get(mesh);
+        if (!behaviors) return;
+
+        const remaining = behaviors.filter(behavior => {
+            return behavior !== behaviorOrType && behavior.type !== behaviorOrType;
+        });
+        this.tracks.set(mesh, remaining);
+    }
+
+    serialize(mesh) {
+        return (this.tracks.get(mesh) || []).map(behavior => behavior.toJSON());
+    }
+
+    // Re-attach behaviours saved with serialize(), keeping their original start times
+    restore(mesh, saved) {
+        saved.forEach(({ type, ...options }) => {
+            Object.keys(options).forEach(key => {
+                if (options[key] === 'Infinity') options[key] = Infinity;
+            });
+            this.add(mesh, type, options);
+        });
+    }
+
+    clear(mesh) {
+        if (mesh) {
+            this.tracks.delete(mesh);
+        } else {
+            this.tracks.clear();
+        }
+    }
+
+    update(time = this.clock.time) {
+        this.tracks.forEach((behaviors, mesh) => {
+            // Start from the rest pose every frame so behaviours compose and scrub cleanly
+            const rest = mesh.userData;
+            mesh.position.copy(rest.originalPosition);
+            mesh.rotation.copy(rest.originalRotation);
+            mesh.scale.setScalar(rest.scale);
+
+            behaviors.forEach(behavior => behavior.apply(mesh, time));
+        });
+    }
+}
+
+AnimationEngine.behaviors = new Map();
+AnimationEngine.easings = new Map();
+
+AnimationEngine.registerEasing('linear', p => p);
+AnimationEngine.registerEasing('easeIn', p => p * p * p);
+AnimationEngine.registerEasing('easeOut', p => 1 - Math.pow(1 - p, 3));
+AnimationEngine.registerEasing('easeInOut', p => p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2);
+AnimationEngine.registerEasing('easeOutBack', p => 1 + 2.70158 * Math.pow(p - 1, 3) + 1.70158 * Math.pow(p - 1, 2));
+
+// Constant rotation, in radians per second around each axis
+AnimationEngine.registerBehavior('spin', {
+    defaults: { x: 0, y: 0.5, z: 0 },
+    apply: (mesh, params, t) => {
+        mesh.rotation.x += params.x * t;
+        mesh.rotation.y += params.y * t;
+        mesh.rotation.z += params.z * t;
+    }
+});
+
+// Vertical bob
+AnimationEngine.registerBehavior('float', {
+    defaults: { speed: 1, amount: 0.1, phase: 0 },
+    apply: (mesh, params, t) => {
+        mesh.position.y += Math.sin(t * params.speed + params.phase) * params.amount;
+    }
+});
+
+// Breathing scale
+AnimationEngine.registerBehavior('pulse', {
+    defaults: { speed: 1, amount: 0.1, phase: 0 },
+    apply: (mesh, params, t) => {
+        mesh.scale.multiplyScalar(1 + Math.sin(t * params.speed + params.phase) * params.amount);
+    }
+});
+
+// Circle in the plane around an axis ('x', 'y' or 'z'), starting where the mesh rests
+AnimationEngine.registerBehavior('orbit', {
+    defaults: { radius: 0.5, speed: 1, phase: 0, axis: 'y' },
+    apply: (mesh, params, t) => {
+        const angle = t * params.speed + params.phase;
+        const u = (Math.cos(angle) - Math.cos(params.phase)) * params.radius;
+        const v = (Math.sin(angle) - Math.sin(params.phase)) * params.radius;
+
+        if (params.axis === 'x') {
+            mesh.position.y += u;
+            mesh.position.z += v;
+        } else if (params.axis === 'z') {
+            mesh.position.x += u;
+            mesh.position.y += v;
+        } else {
+            mesh.position.x += u;
+            mesh.position.z += v;
+        }
+    }
+});
+
+// Damped spring from an offset toward a target offset (both relative to the
+// rest position). Solved in closed form, so it is exact at any frame rate and
+// can be scrubbed. stiffness is the natural frequency, damping the ratio (< 1).
+AnimationEngine.registerBehavior('spring', {
+    defaults: { target: null, from: null, velocity: null, stiffness: 12, damping: 0.3 },
+    setup: (params) => {
+        params.target = new THREE.Vector3().copy(params.target || { x: 0, y: 0, z: 0 });
+        params.from = new THREE.Vector3().copy(params.from || { x: 0, y: 0, z: 0 });
+        params.velocity = new THREE.Vector3().copy(params.velocity || { x: 0, y: 0, z: 0 });
+        params.damping = Math.min(Math.max(params.damping, 0), 0.99);
+    },
+    state: (params, t) => {
+        const omega = params.stiffness;
+        const zeta = params.damping;
+        const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+        const decay = Math.exp(-zeta * omega * t);
+        const cos = Math.cos(omegaD * t);
+        const sin = Math.sin(omegaD * t);
+
+        const offset = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+        ['x', 'y', 'z'].forEach(axis => {
+            const d0 = params.from[axis] - params.target[axis];
+            const v0 = params.velocity[axis];
+            offset[axis] = params.target[axis] + decay * (d0 * cos + (v0 + zeta * omega * d0) / omegaD * sin);
+            velocity[axis] = decay * (v0 * cos - (zeta * omega * v0 + omega * omega * d0) / omegaD * sin);
+        });
+
+        return { offset, velocity };
+    },
+    apply: (mesh, params, t, behavior) => {
+        mesh.position.add(behavior.definition.state(params, t).offset);
+    }
+});
+
+// Follow a smooth curve through offsets from the rest position, once per duration
+AnimationEngine.registerBehavior('path', {
+    defaults: { points: [], closed: false, duration: 4 },
+    setup: (params) => {
+        const points = [{ x: 0, y: 0, z: 0 }].concat(params.points)
+            .map(point => new THREE.Vector3().copy(point));
+        params.curve = points.length > 1 ? new THREE.CatmullRomCurve3(points, params.closed) : null;
+    },
+    apply: (mesh, params, t, behavior) => {
+        if (!params.curve) return;
+        const u = Math.min(Math.max(t / behavior.duration, 0), 1);
+        mesh.position.add(params.curve.getPointAt(u));
+    }
+});
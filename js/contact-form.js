@@ -0,0 +1,395 @@
+/**
+ * Contact Form Module
+ * Validates the "Start a Project" form, keeps bots out and sends it through a configurable adapter
+ */
+
+import { SiteConfig } from './site-config.js';
+
+export class ContactForm {
+    // A rule is (value, arg, field) => error message, or '' when the value passes.
+    // Rules other than 'required' only run on fields that have a value.
+    static registerRule(name, rule) {
+        if (typeof rule !== 'function') {
+            throw new TypeError(`Rule '${name}' needs to be a function`);
+        }
+        ContactForm.rules.set(name, rule);
+    }
+
+    // An adapter is (data, options) => Promise that resolves once the message is
+    // delivered (optionally with { message } to show instead of the default) and
+    // rejects when it isn't
+    static registerAdapter(name, adapter) {
+        if (typeof adapter !== 'function') {
+            throw new TypeError(`Adapter '${name}' needs to be a function`);
+        }
+        ContactForm.adapters.set(name, adapter);
+    }
+
+    // contact.form in site-config.json, in the units the form uses
+    static fromSiteConfig(config) {
+        const get = (path, fallback) => SiteConfig.get(config, `contact.form.${path}`, fallback);
+        const endpoint = get('endpoint', '');
+
+        return {
+            adapter: get('adapter', endpoint ? 'fetch' : ''),
+            endpoint: endpoint,
+            timeout: get('timeoutSeconds', 10) * 1000,
+            rateLimit: {
+                max: get('rateLimit.max', 3),
+                period: get('rateLimit.windowMinutes', 10) * 60 * 1000
+            },
+            mock: {
+                delay: get('mock.delayMs', 800),
+                fail: get('mock.fail', false)
+            },
+            fallbackEmail: SiteConfig.get(config, 'contact.email', '')
+        };
+    }
+
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = { ...ContactForm.defaults };
+        this.announce = options.announce || (() => {});
+        this.status = form.querySelector('.form-status');
+        this.submitButton = form.querySelector('[type="submit"]');
+        this.state = 'idle';
+        this.cleanups = [];
+        this.configure(options);
+
+        // Our own messages replace the browser's validation bubbles
+        form.noValidate = true;
+
+        this.listen(form, 'submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Check a field when the visitor leaves it, but not for just tabbing past
+        this.listen(form, 'focusout', (e) => {
+            const field = e.target;
+            if (this.isField(field) && (field.value.trim() || this.isInvalid(field))) {
+                this.validateField(field);
+            }
+        });
+
+        // Clear an error as soon as it's fixed
+        this.listen(form, 'input', (e) => {
+            if (this.isField(e.target) && this.isInvalid(e.target)) {
+                this.validateField(e.target);
+            }
+        });
+    }
+
+    configure(options) {
+        const { announce, ...rest } = options;
+        this.options = { ...this.options, ...rest };
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    get fields() {
+        return Array.from(this.form.elements).filter(element => this.isField(element));
+    }
+
+    isField(element) {
+        return Boolean(element.name) &&
+            element.name !== this.options.honeypot &&
+            !['submit', 'button', 'reset', 'fieldset'].includes(element.type);
+    }
+
+    isInvalid(field) {
+        return field.getAttribute('aria-invalid') === 'true';
+    }
+
+    // Built-in rules come from the field's own attributes; data-rules adds
+    // registered ones, e.g. data-rules="phone minWords:3"
+    rulesFor(field) {
+        const rules = [];
+        if (field.required) rules.push(['required']);
+        if (field.type === 'email') rules.push(['email']);
+        if (field.minLength > 0) rules.push(['minLength', field.minLength]);
+        if (field.maxLength > 0) rules.push(['maxLength', field.maxLength]);
+        if (field.pattern) rules.push(['pattern', field.pattern]);
+
+        (field.dataset.rules || '').split(/\s+/).filter(Boolean).forEach(token => {
+            const [name, arg] = token.split(':');
+            rules.push([name, arg]);
+        });
+        return rules;
+    }
+
+    validateField(field) {
+        const value = field.value.trim();
+        let message = '';
+
+        this.rulesFor(field).some(([name, arg]) => {
+            const rule = ContactForm.rules.get(name);
+            if (!rule) {
+                console.warn(`Unknown validation rule '${name}' on ${field.name}`);
+                return false;
+            }
+            if (name !== 'required' && !value) return false;
+
+            message = rule(value, arg, field);
+            return Boolean(message);
+        });
+
+        if (message) {
+            this.showError(field, message);
+        } else {
+            this.clearError(field);
+        }
+        return message;
+    }
+
+    validate() {
+        return this.fields
+            .map(field => ({ field, message: this.validateField(field) }))
+            .filter(result => result.message);
+    }
+
+    errorFor(field) {
+        const id = `${field.id || field.name}-error`;
+        let error = this.form.querySelector(`#${id}`);
+        if (!error) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'form-error';
+            error.hidden = true;
+            field.insertAdjacentElement('afterend', error);
+        }
+        return error;
+    }
+
+    showError(field, message) {
+        const error = this.errorFor(field);
+        error.textContent = message;
+        error.hidden = false;
+
+        field.setAttribute('aria-invalid', 'true');
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(error.id)) {
+            field.setAttribute('aria-describedby', describedBy.concat(error.id).join(' '));
+        }
+    }
+
+    clearError(field) {
+        const error = this.errorFor(field);
+        error.textContent = '';
+        error.hidden = true;
+
+        field.removeAttribute('aria-invalid');
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== error.id);
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // The field's visible label, without the required marker
+    labelFor(field) {
+        const label = field.labels && field.labels[0];
+        if (!label) return field.name;
+
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('[aria-hidden="true"]').forEach(node => node.remove());
+        return copy.textContent.trim();
+    }
+
+    collect() {
+        const data = {};
+        this.fields.forEach(field => {
+            data[field.name] = field.value.trim();
+        });
+        return data;
+    }
+
+    // People never see the honeypot field, so anything in it came from a bot
+    isSpam() {
+        const trap = this.form.elements[this.options.honeypot];
+        return Boolean(trap && trap.value);
+    }
+
+    readSent() {
+        try {
+            const sent = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(sent) ? sent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSent() {
+        const now = Date.now();
+        const recent = this.readSent().filter(time => now - time < this.options.rateLimit.period);
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(recent.concat(now)));
+        } catch (error) {
+            // Storage is unavailable (e.g. private mode); the limit just doesn't apply
+        }
+    }
+
+    // Milliseconds until another message is allowed, 0 if it is now
+    rateLimitWait() {
+        const { max, period } = this.options.rateLimit;
+        const now = Date.now();
+        const recent = this.readSent().filter(time => now - time < period);
+        if (recent.length < max) return 0;
+        return Math.min(...recent) + period - now;
+    }
+
+    // Whether submitting can deliver anything: a registered adapter, and for
+    // fetch an endpoint to post to
+    canSend() {
+        const { adapter, endpoint } = this.options;
+        return ContactForm.adapters.has(adapter) && (adapter !== 'fetch' || Boolean(endpoint));
+    }
+
+    failureMessage() {
+        const email = this.options.fallbackEmail;
+        return `Sorry, your message couldn't be sent. Please try again${email ? ` or email us at ${email}` : ''}.`;
+    }
+
+    setState(state, message) {
+        this.state = state;
+        this.form.dataset.state = state;
+        this.form.setAttribute('aria-busy', String(state === 'submitting'));
+        if (this.submitButton) {
+            this.submitButton.disabled = state === 'submitting';
+        }
+        if (this.status) {
+            this.status.textContent = message;
+            this.status.hidden = !message;
+        }
+        if (message) {
+            this.announce(message);
+        }
+    }
+
+    // Resolves with true once the message is delivered, false otherwise
+    submit() {
+        if (this.state === 'submitting') return Promise.resolve(false);
+
+        const errors = this.validate();
+        if (errors.length) {
+            const labels = errors.map(({ field }) => this.labelFor(field));
+            const count = errors.length === 1 ? '1 field' : `${errors.length} fields`;
+            this.setState('invalid', `Please check ${count}: ${labels.join(', ')}.`);
+            errors[0].field.focus();
+            return Promise.resolve(false);
+        }
+
+        if (this.isSpam()) {
+            this.setState('error', this.failureMessage());
+            return Promise.resolve(false);
+        }
+
+        const wait = this.rateLimitWait();
+        if (wait > 0) {
+            const minutes = Math.ceil(wait / 60000);
+            this.setState('error', `You've sent several messages recently. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+            return Promise.resolve(false);
+        }
+
+        const adapter = ContactForm.adapters.get(this.options.adapter);
+        if (!adapter) {
+            console.error(`Unknown contact form adapter '${this.options.adapter}'`);
+            this.setState('error', this.failureMessage());
+            return Promise.resolve(false);
+        }
+
+        this.setState('submitting', 'Sending your message…');
+
+        // Only delivered messages count towards the limit; a failed send
+        // leaves the visitor free to try again
+        return Promise.resolve()
+            .then(() => adapter(this.collect(), this.options))
+            .then(result => {
+                this.recordSent();
+                this.form.reset();
+                this.setState('success', (result && result.message) || "Thanks! Your message has been sent. We'll be in touch soon.");
+                return true;
+            }, error => {
+                console.error('Contact form submission failed:', error);
+                this.setState('error', this.failureMessage());
+                return false;
+            });
+    }
+
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+    }
+}
+
+ContactForm.rules = new Map();
+ContactForm.adapters = new Map();
+
+ContactForm.defaults = {
+    adapter: '',
+    endpoint: '',
+    timeout: 10000,
+    rateLimit: { max: 3, period: 10 * 60 * 1000 },
+    mock: { delay: 800, fail: false },
+    fallbackEmail: '',
+    honeypot: 'website',
+    storageKey: 'mitski-contact-sent'
+};
+
+ContactForm.registerRule('required', (value) => value ? '' : 'This field is required.');
+
+ContactForm.registerRule('email', (value) => {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Enter an email address like name@example.com.';
+});
+
+ContactForm.registerRule('minLength', (value, length) => {
+    return value.length >= Number(length) ? '' : `Use at least ${length} characters (${value.length} so far).`;
+});
+
+ContactForm.registerRule('maxLength', (value, length) => {
+    return value.length <= Number(length) ? '' : `Use at most ${length} characters (${value.length} so far).`;
+});
+
+ContactForm.registerRule('pattern', (value, pattern, field) => {
+    return new RegExp(`^(?:${pattern})$`).test(value) ? '' : (field.title || 'Check the format of this field.');
+});
+
+// POSTs the fields as JSON; anything but a 2xx response counts as a failure
+ContactForm.registerAdapter('fetch', (data, options) => {
+    if (!options.endpoint) {
+        return Promise.reject(new Error('The fetch adapter needs contact.form.endpoint'));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+
+    return fetch(options.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(data),
+        signal: controller.signal
+    })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        })
+        .finally(() => clearTimeout(timer));
+});
+
+// For local development: nothing leaves the browser, and the success message
+// says so. mock.fail rejects instead, to try the error state.
+ContactForm.registerAdapter('mock', (data, options) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+        if (options.mock.fail) {
+            reject(new Error('Mock adapter set to fail'));
+            return;
+        }
+        resolve({ message: 'Test mode: your message passed every check but was not sent anywhere.' });
+    }, options.mock.delay);
+}));
@@ -0,0 +1,276 @@
+/**
+ * Frame Capture Module
+ * Renders an animator off screen at any size for stills, PNG sequences and WebM loops
+ */
+
+import * as THREE from 'three';
+import { FallbackRenderer } from './three-animations.js';
+
+export class FrameCapture {
+    // Bundle files into an uncompressed .zip (PNGs are compressed already)
+    static zip(files) {
+        return Promise.all(files.map(file => file.blob.arrayBuffer())).then(buffers => {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const directory = [];
+            let offset = 0;
+
+            files.forEach((file, index) => {
+                const name = encoder.encode(file.name);
+                const data = new Uint8Array(buffers[index]);
+                const crc = FrameCapture.crc32(data);
+
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034b50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(12, 0x21, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, data.length, true);
+                header.setUint32(22, data.length, true);
+                header.setUint16(26, name.length, true);
+                parts.push(header, name, data);
+
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);
+                entry.setUint16(4, 20, true);
+                entry.setUint16(6, 20, true);
+                entry.setUint16(14, 0x21, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, data.length, true);
+                entry.setUint32(24, data.length, true);
+                entry.setUint16(28, name.length, true);
+                entry.setUint32(42, offset, true);
+                directory.push(entry, name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(directory, [end]), { type: 'application/zip' });
+        });
+    }
+
+    static crc32(data) {
+        if (!FrameCapture.crcTable) {
+            FrameCapture.crcTable = new Uint32Array(256).map((value, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = FrameCapture.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Defaults to twice the on-screen size
+    constructor(animator, options = {}) {
+        const size = animator.getViewportSize();
+        this.animator = animator;
+        this.options = options;
+        this.width = Math.round(options.width || size.width * 2);
+        this.height = Math.round(options.height || size.height * 2);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+
+        // A separate context, so the capture size never touches the live canvas
+        this.renderer = null;
+        this.fallback = null;
+        if (!animator.fallback) {
+            try {
+                this.renderer = new THREE.WebGLRenderer({
+                    canvas: this.canvas,
+                    alpha: true,
+                    antialias: true,
+                    preserveDrawingBuffer: true
+                });
+                this.renderer.setPixelRatio(1);
+                this.renderer.setSize(this.width, this.height, false);
+                this.renderer.setClearColor(0x000000, 0);
+            } catch (error) {
+                console.warn('WebGL unavailable for capture, using static fallback:', error);
+            }
+        }
+        if (!this.renderer) {
+            this.fallback = new FallbackRenderer(this.canvas);
+        }
+    }
+
+    renderFrame() {
+        const { scene, camera } = this.animator;
+        const aspect = camera.aspect;
+        camera.aspect = this.width / this.height;
+        camera.updateProjectionMatrix();
+
+        const postProcessor = this.animator.effectsEnabled ? this.animator.postProcessor : null;
+        if (this.fallback) {
+            this.fallback.render(this.animator, { width: this.width, height: this.height });
+        } else if (postProcessor) {
+            postProcessor.render(this.renderer, scene, camera, this.width, this.height, this.animator.clock.time);
+        } else {
+            this.renderer.render(scene, camera);
+        }
+
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+    }
+
+    toBlob(type = 'image/png') {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode the frame as ${type}`));
+                }
+            }, type);
+        });
+    }
+
+    // Move the scene to frame `index` of a sequence starting at clock time `start`
+    seekFrame(start, index, fps) {
+        this.animator.clock.seek(start + index / fps);
+        this.animator.update(index === 0 ? 0 : 1 / fps);
+    }
+
+    still(options = {}) {
+        return this.hold(() => {
+            this.animator.update(0);
+            this.renderFrame();
+            return this.toBlob(options.type);
+        });
+    }
+
+    // A fixed number of frames at a fixed step: the same start time always
+    // gives the same images, whatever the display's frame rate
+    frames(options = {}) {
+        const count = options.frames || 60;
+        const fps = options.fps || 30;
+        const start = options.start !== undefined ? options.start : this.animator.clock.time;
+        const blobs = [];
+
+        return this.hold(() => {
+            let chain = Promise.resolve();
+            for (let i = 0; i < count; i++) {
+                chain = chain
+                    .then(() => {
+                        this.seekFrame(start, i, fps);
+                        this.renderFrame();
+                        return this.toBlob(options.type);
+                    })
+                    .then(blob => blobs.push(blob));
+            }
+            return chain.then(() => blobs);
+        });
+    }
+
+    // The same frames as frames(), recorded to WebM. MediaRecorder stamps frames
+    // with the wall clock, so recording takes as long as the clip.
+    video(options = {}) {
+        const count = options.frames || 90;
+        const fps = options.fps || 30;
+        const start = options.start !== undefined ? options.start : this.animator.clock.time;
+
+        // Set up inside the promise, so a browser that can't record this canvas
+        // rejects the capture instead of throwing past the caller's catch
+        return this.hold(() => new Promise((resolve, reject) => {
+            if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+                throw new Error('Video capture needs MediaRecorder and canvas.captureStream');
+            }
+
+            const mimeType = FrameCapture.VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            const stream = this.canvas.captureStream(0);
+            const stopStream = () => stream.getTracks().forEach(t => t.stop());
+            const track = stream.getVideoTracks()[0];
+            const chunks = [];
+
+            let recorder;
+            try {
+                recorder = new MediaRecorder(stream, {
+                    mimeType: mimeType,
+                    videoBitsPerSecond: options.bitrate || 8000000
+                });
+                recorder.ondataavailable = (e) => {
+                    if (e.data.size) chunks.push(e.data);
+                };
+                recorder.onstop = () => {
+                    stopStream();
+                    resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+                };
+                recorder.onerror = (e) => {
+                    stopStream();
+                    reject(e.error || new Error('Recording failed'));
+                };
+                recorder.start();
+            } catch (error) {
+                stopStream();
+                throw error;
+            }
+
+            let index = 0;
+            const next = () => {
+                if (index === count) {
+                    recorder.stop();
+                    return;
+                }
+                this.seekFrame(start, index++, fps);
+                this.renderFrame();
+                if (track.requestFrame) track.requestFrame();
+                setTimeout(next, 1000 / fps);
+            };
+            next();
+        }));
+    }
+
+    // Run a capture with the live loop stopped, then put the scene back as it was
+    hold(task) {
+        const animator = this.animator;
+        const time = animator.clock.time;
+        animator.setPaused('capture', true);
+        animator.beginCapture(this.options);
+
+        const restore = () => {
+            animator.endCapture();
+            animator.clock.seek(time);
+            animator.update(0);
+            animator.renderFrame();
+            animator.setPaused('capture', false);
+            this.dispose();
+        };
+
+        return new Promise(resolve => resolve(task())).then(result => {
+            restore();
+            return result;
+        }, error => {
+            restore();
+            throw error;
+        });
+    }
+
+    dispose() {
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer = null;
+        }
+    }
+}
+
+FrameCapture.crcTable = null;
+
+// Preferred first; the browser picks the first it supports
+FrameCapture.VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
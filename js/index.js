@@ -0,0 +1,40 @@
+/**
+ * Mitski 3D Space
+ * Entry point for bundlers: every module's exports, plus initSite() to start the whole page
+ */
+
+import { initNavigation } from './navigation.js';
+import { initScrollProgress } from './scroll-progress.js';
+import { initAnimations } from './three-animations.js';
+import { defineMitskiScene } from './mitski-scene.js';
+import { initApp } from './main.js';
+
+export { SiteConfig } from './site-config.js';
+export { ThreeLoader } from './three-loader.js';
+export { NavigationManager, initNavigation } from './navigation.js';
+export { ScrollProgress, initScrollProgress } from './scroll-progress.js';
+export { PostProcessor } from './post-processing.js';
+export { AnimationClock, Behavior, AnimationEngine } from './animation-engine.js';
+export { SceneExporter } from './scene-export.js';
+export { FrameCapture } from './frame-capture.js';
+export { SharedRenderer, FallbackRenderer, NullRenderer, SeededRandom, MaterialPalette, ThreeJSAnimator, ScrollTimeline, HeroAnimator, QualityGovernor, AnimationConfig, AnimationManager, initAnimations } from './three-animations.js';
+export { MitskiScene, defineMitskiScene } from './mitski-scene.js';
+export { ContactForm } from './contact-form.js';
+export { Tooltip } from './tooltip.js';
+export { MitskiApp, initApp } from './main.js';
+
+// Start everything index.html uses; call once the DOM is ready.
+// Pass { animations: false } for a page without the 3D scenes.
+export function initSite(options = {}) {
+    const navigation = initNavigation();
+    const scrollProgress = initScrollProgress({ navigation: navigation });
+
+    let animationManager = null;
+    if (options.animations !== false) {
+        animationManager = initAnimations();
+        defineMitskiScene();
+    }
+
+    const app = initApp({ animationManager: animationManager });
+    return { navigation, scrollProgress, animationManager, app };
+}
@@ -3,10 +3,19 @@
  * Coordinates all functionality and provides app-wide utilities
  */
 
-class MitskiApp {
-    constructor() {
+import { SiteConfig } from './site-config.js';
+import { NavigationManager } from './navigation.js';
+import { ContactForm } from './contact-form.js';
+import { Tooltip } from './tooltip.js';
+
+export class MitskiApp {
+    // options.animationManager drives the motion toggle; without it the toggle stays hidden
+    constructor(options = {}) {
+        this.animationManager = options.animationManager || null;
         this.isLoaded = false;
         this.scrollObserver = null;
+        this.contactForms = [];
+        this.tooltips = [];
         this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         
         this.init();
@@ -65,6 +74,7 @@ class MitskiApp {
         this.setupCardHoverEffects();
         this.setupFormValidation();
         this.setupTooltips();
+        this.setupMotionToggle();
     }
 
     setupCTAButton() {
@@ -81,16 +91,7 @@ class MitskiApp {
             }, 150);
 
             // Smooth scroll to about section
-            const aboutSection = document.querySelector('#about');
-            if (aboutSection) {
-                const headerHeight = document.querySelector('.header').offsetHeight;
-                const targetPosition = aboutSection.offsetTop - headerHeight;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            }
+            this.scrollToSection('about');
         });
 
         // Add ripple effect on click
@@ -148,25 +149,50 @@ class MitskiApp {
     }
 
     setupFormValidation() {
-        // Setup for future contact forms
-        document.querySelectorAll('form').forEach(form => {
-            form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleFormSubmission(form);
+        // Forms marked data-contact-form validate and send through ContactForm.
+        // They start hidden and are only shown once the site config gives them
+        // somewhere to send to; until then the mailto links are the way in.
+        this.contactForms = Array.from(document.querySelectorAll('form[data-contact-form]')).map(form => {
+            return new ContactForm(form, { announce: (message) => this.announce(message) });
+        });
+        if (!this.contactForms.length) return;
+
+        SiteConfig.load().then(config => {
+            const options = ContactForm.fromSiteConfig(config);
+            this.contactForms.forEach(contactForm => {
+                contactForm.configure(options);
+                contactForm.form.hidden = !contactForm.canSend();
             });
         });
     }
 
     setupTooltips() {
-        // Add tooltips for interactive elements
-        document.querySelectorAll('[data-tooltip]').forEach(element => {
-            element.addEventListener('mouseenter', (e) => {
-                this.showTooltip(e.target, e.target.dataset.tooltip);
-            });
+        this.tooltips = Tooltip.attachAll(document);
+    }
 
-            element.addEventListener('mouseleave', () => {
-                this.hideTooltip();
-            });
+    setupMotionToggle() {
+        const toggle = document.querySelector('.motion-toggle');
+        const animationManager = this.animationManager;
+        if (!toggle || !animationManager) return;
+
+        const label = toggle.querySelector('.motion-toggle-label');
+        const update = (enabled) => {
+            toggle.setAttribute('aria-pressed', String(enabled));
+            label.textContent = enabled ? 'Motion on' : 'Motion off';
+        };
+
+        toggle.hidden = false;
+        update(animationManager.isMotionEnabled());
+
+        toggle.addEventListener('click', () => {
+            const enabled = toggle.getAttribute('aria-pressed') !== 'true';
+            animationManager.setMotionPreference(enabled);
+            this.announce(enabled ? 'Animations resumed' : 'Animations paused');
+        });
+
+        // Stay in sync with OS reduced-motion changes
+        window.addEventListener('animations:motionchange', (e) => {
+            update(e.detail.enabled);
         });
     }
 
@@ -199,7 +225,8 @@ class MitskiApp {
         document.addEventListener('keydown', (e) => {
             const mobileMenu = document.querySelector('.nav-menu.active');
             if (mobileMenu && e.key === 'Tab') {
-                const focusableElements = mobileMenu.querySelectorAll('a, button');
+                const focusableElements = Array.from(mobileMenu.querySelectorAll('a, button'))
+                    .filter(element => !element.closest('[hidden]'));
                 const firstElement = focusableElements[0];
                 const lastElement = focusableElements[focusableElements.length - 1];
 
@@ -259,9 +286,9 @@ class MitskiApp {
         
         // Debounce resize events
         this.setupOptimizedResize();
-        
-        // Preload critical resources
-        this.preloadCriticalResources();
+
+        // Offline caching, when the site config turns it on
+        this.setupServiceWorker();
     }
 
     setupLazyLoading() {
@@ -293,13 +320,37 @@ class MitskiApp {
         });
     }
 
-    preloadCriticalResources() {
-        // Preload Three.js if not already loaded
-        if (!window.THREE) {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
-            script.async = true;
-            document.head.appendChild(script);
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        SiteConfig.load().then(config => {
+            if (SiteConfig.get(config, 'performance.enableServiceWorker', false)) {
+                navigator.serviceWorker.register(MitskiApp.serviceWorkerUrl).catch(error => {
+                    console.warn('Service worker registration failed:', error);
+                });
+            } else {
+                this.removeServiceWorker();
+            }
+        });
+    }
+
+    // Turning the flag off also drops a worker and caches left by an earlier visit
+    removeServiceWorker() {
+        const scriptUrl = new URL(MitskiApp.serviceWorkerUrl, location.href).href;
+
+        navigator.serviceWorker.getRegistrations().then(registrations => {
+            registrations
+                .filter(registration => {
+                    const worker = registration.active || registration.waiting || registration.installing;
+                    return worker && worker.scriptURL === scriptUrl;
+                })
+                .forEach(registration => registration.unregister());
+        });
+
+        if (window.caches) {
+            caches.keys().then(keys => {
+                keys.filter(key => key.startsWith('mitski-3dspace-')).forEach(key => caches.delete(key));
+            });
         }
     }
 
@@ -331,47 +382,6 @@ class MitskiApp {
         }
     }
 
-    handleFormSubmission(form) {
-        // Form submission logic would go here
-        console.log('Form submitted:', form);
-        
-        const liveRegion = document.getElementById('live-region');
-        if (liveRegion) {
-            liveRegion.textContent = 'Form submitted successfully!';
-        }
-    }
-
-    showTooltip(element, text) {
-        const tooltip = document.createElement('div');
-        tooltip.className = 'tooltip';
-        tooltip.textContent = text;
-        
-        const rect = element.getBoundingClientRect();
-        tooltip.style.cssText = `
-            position: absolute;
-            top: ${rect.top - 40}px;
-            left: ${rect.left + rect.width / 2}px;
-            transform: translateX(-50%);
-            background: #333;
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 14px;
-            z-index: 10000;
-            pointer-events: none;
-        `;
-        
-        document.body.appendChild(tooltip);
-        this.currentTooltip = tooltip;
-    }
-
-    hideTooltip() {
-        if (this.currentTooltip) {
-            this.currentTooltip.remove();
-            this.currentTooltip = null;
-        }
-    }
-
     // Public API methods
     announce(message) {
         const liveRegion = document.getElementById('live-region');
@@ -383,13 +393,7 @@ class MitskiApp {
     scrollToSection(sectionId) {
         const section = document.getElementById(sectionId);
         if (section) {
-            const headerHeight = document.querySelector('.header').offsetHeight;
-            const targetPosition = section.offsetTop - headerHeight;
-            
-            window.scrollTo({
-                top: targetPosition,
-                behavior: 'smooth'
-            });
+            NavigationManager.scrollToElement(section);
         }
     }
 
@@ -397,6 +401,9 @@ class MitskiApp {
         if (this.scrollObserver) {
             this.scrollObserver.disconnect();
         }
+
+        this.contactForms.forEach(contactForm => contactForm.destroy());
+        this.tooltips.forEach(tooltip => tooltip.destroy());
         
         // Clean up event listeners and resources
         window.removeEventListener('error', this.handleError);
@@ -406,14 +413,10 @@ class MitskiApp {
     }
 }
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    window.mitskiApp = new MitskiApp();
-});
+MitskiApp.serviceWorkerUrl = 'sw.js';
 
-// Add CSS for ripple effect
-const style = document.createElement('style');
-style.textContent = `
+// CSS for ripple effect, skip links and keyboard focus
+const APP_STYLES = `
     @keyframes ripple {
         to {
             transform: scale(4);
@@ -453,9 +456,15 @@ style.textContent = `
         outline-offset: 2px;
     }
 `;
-document.head.appendChild(style);
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = MitskiApp;
-}
\ No newline at end of file
+// Start the application; call once the DOM is ready
+export function initApp(options = {}) {
+    if (!document.getElementById('mitski-app-styles')) {
+        const style = document.createElement('style');
+        style.id = 'mitski-app-styles';
+        style.textContent = APP_STYLES;
+        document.head.appendChild(style);
+    }
+
+    return new MitskiApp(options);
+}
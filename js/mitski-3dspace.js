@@ -0,0 +1,5577 @@
+/**
+ * Mitski 3D Space (script-tag build)
+ * Generated by scripts/build.js from the ES modules in js/ - edit those and rebuild.
+ *
+ *   <script src="js/mitski-3dspace.js"></script>
+ *
+ * Three.js comes from window.THREE, or is loaded by ThreeLoader on start.
+ * Add data-autostart="false" to the tag to start things yourself through
+ * window.Mitski3DSpace (e.g. Mitski3DSpace.defineMitskiScene()), with
+ * Three.js loaded before this script.
+ */
+(function (global) {
+'use strict';
+
+let THREE = global.THREE;
+const script = typeof document !== 'undefined' ? document.currentScript : null;
+
+// ---- site-config.js
+
+/**
+ * Site Configuration Module
+ * Loads assets/icons/site-config.json once and shares it with the other modules
+ */
+
+class SiteConfig {
+    static load(url = SiteConfig.url) {
+        if (!SiteConfig.pending) {
+            SiteConfig.pending = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error(`Failed to load site config from '${url}', using defaults:`, error);
+                    return {};
+                });
+        }
+        
+        return SiteConfig.pending;
+    }
+
+    // Read a dotted path such as 'animations.three.heroObjectCount'
+    static get(config, path, fallback) {
+        const value = path.split('.').reduce((node, key) => {
+            return node && typeof node === 'object' ? node[key] : undefined;
+        }, config);
+        
+        return value === undefined ? fallback : value;
+    }
+}
+
+SiteConfig.url = 'assets/icons/site-config.json';
+SiteConfig.pending = null;
+
+// ---- three-loader.js
+
+/**
+ * Three.js Loader
+ * Loads the vendored copy of Three.js for the script-tag build, falling back to the CDN
+ */
+
+class ThreeLoader {
+    // Tries each source in turn; resolves with window.THREE, or null if none loaded
+    static load(sources = ThreeLoader.sources) {
+        if (!ThreeLoader.pending) {
+            let chain = Promise.resolve(window.THREE || null);
+            sources.forEach(src => {
+                chain = chain.then(THREE => THREE || ThreeLoader.tryScript(src));
+            });
+
+            ThreeLoader.pending = chain.then(THREE => {
+                if (!THREE) {
+                    console.error('Failed to load Three.js from any of', sources);
+                }
+                return THREE;
+            });
+        }
+
+        return ThreeLoader.pending;
+    }
+
+    static tryScript(src) {
+        return ThreeLoader.loadScript(src)
+            .then(() => window.THREE || null)
+            .catch(error => {
+                console.warn(`Could not load Three.js from '${src}':`, error.message);
+                return null;
+            });
+    }
+
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Vendored first, so the site works offline; the CDN covers a missing copy
+ThreeLoader.sources = [
+    'vendor/three/three.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'
+];
+ThreeLoader.pending = null;
+
+// ---- navigation.js
+
+/**
+ * Navigation Module
+ * Renders the menus from site config; handles mobile menu, sub-menus, section
+ * routing, smooth scrolling, and header effects
+ */
+
+
+class NavigationManager {
+    // Where the page has to scroll for an element to sit just below the fixed header
+    static scrollOffset(element) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        return element.getBoundingClientRect().top + window.scrollY - headerHeight;
+    }
+
+    // The one place that scrolls to a section; smooth unless the visitor prefers reduced motion
+    static scrollToElement(element, behavior) {
+        const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        window.scrollTo({
+            top: NavigationManager.scrollOffset(element),
+            behavior: behavior || (reduced ? 'auto' : 'smooth')
+        });
+    }
+
+    // Give a section's heading (or the section itself) keyboard and screen reader focus
+    static focusSection(section) {
+        const target = section.querySelector('h1, h2, h3') || section;
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.classList.add('route-focus');
+        target.focus({ preventScroll: true });
+    }
+
+    static renderList(items) {
+        const list = document.createElement('ul');
+        items.filter(item => NavigationManager.isValidItem(item)).forEach(item => {
+            const li = document.createElement('li');
+            if (item.href) {
+                li.appendChild(NavigationManager.createLink(item));
+            } else {
+                li.textContent = item.label;
+            }
+            if (Array.isArray(item.children)) {
+                li.appendChild(NavigationManager.renderList(item.children));
+            }
+            list.appendChild(li);
+        });
+        return list;
+    }
+
+    static createLink(item) {
+        const link = document.createElement('a');
+        link.href = item.href;
+        link.textContent = item.label;
+        if (item.id) {
+            link.id = item.id;
+        }
+        if (item.ariaLabel) {
+            link.setAttribute('aria-label', item.ariaLabel);
+        }
+        return link;
+    }
+
+    static isValidItem(item) {
+        if (item && item.label && (item.href || Array.isArray(item.children))) return true;
+        console.warn('Skipping navigation item without a label and an href or children:', item);
+        return false;
+    }
+
+    constructor() {
+        this.header = document.querySelector('.header');
+        this.mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
+        this.navMenu = document.querySelector('.nav-menu');
+        this.navLinks = document.querySelectorAll('.nav-menu a');
+        this.sections = document.querySelectorAll('section[id]');
+        this.activeId = null;
+        
+        this.init();
+    }
+
+    init() {
+        this.setupMobileMenu();
+        this.setupSubmenus();
+        this.setupRouter();
+        this.setupScrollEffects();
+        this.setupActiveNavLinks();
+        this.setupKeyboardNavigation();
+
+        // The hand-written menus in index.html stay for visitors without JavaScript
+        SiteConfig.load().then(config => this.renderMenus(config));
+    }
+
+    renderMenus(config) {
+        const main = SiteConfig.get(config, 'navigation.main', null);
+        if (Array.isArray(main) && this.navMenu) {
+            this.navMenu.replaceChildren(...main.map(item => this.renderMenuItem(item)).filter(Boolean));
+            this.navLinks = this.navMenu.querySelectorAll('a');
+            if (this.activeId) {
+                this.setActiveLink(this.activeId);
+            }
+        }
+
+        const footer = SiteConfig.get(config, 'navigation.footer', null);
+        if (Array.isArray(footer)) {
+            this.renderFooterMenus(footer);
+        }
+    }
+
+    // { label, href?, id?, ariaLabel?, children? }: an item with children gets a disclosure
+    // button next to its link (or in place of it, without an href)
+    renderMenuItem(item) {
+        if (!NavigationManager.isValidItem(item)) return null;
+
+        const li = document.createElement('li');
+        if (item.href) {
+            li.appendChild(NavigationManager.createLink(item));
+        }
+        if (!Array.isArray(item.children)) return li;
+
+        const submenu = document.createElement('ul');
+        submenu.className = 'nav-submenu';
+        submenu.id = item.id ? `${item.id}-submenu` : `nav-submenu-${++NavigationManager.submenuCount}`;
+        submenu.hidden = true;
+        submenu.append(...item.children.map(child => this.renderMenuItem(child)).filter(Boolean));
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'nav-submenu-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', submenu.id);
+        if (item.href) {
+            toggle.setAttribute('aria-label', `${item.label} menu`);
+        } else {
+            toggle.textContent = item.label;
+        }
+        toggle.insertAdjacentHTML('beforeend', '<span class="nav-submenu-icon" aria-hidden="true"></span>');
+
+        li.classList.add('has-submenu');
+        li.append(toggle, submenu);
+        return li;
+    }
+
+    // Footer groups are { label, items }; nested items are listed, not collapsed
+    renderFooterMenus(groups) {
+        const container = document.querySelector('.footer-content');
+        if (!container) return;
+
+        container.querySelectorAll('[data-footer-menu]').forEach(section => section.remove());
+        groups.forEach(group => {
+            if (!group || !group.label || !Array.isArray(group.items)) {
+                console.warn('Skipping footer menu without a label and items:', group);
+                return;
+            }
+
+            const section = document.createElement('div');
+            section.className = 'footer-section';
+            section.dataset.footerMenu = '';
+
+            const heading = document.createElement('h3');
+            heading.textContent = group.label;
+
+            const nav = document.createElement('nav');
+            nav.setAttribute('aria-label', `Footer ${group.label} Navigation`);
+            nav.appendChild(NavigationManager.renderList(group.items));
+
+            section.append(heading, nav);
+            container.appendChild(section);
+        });
+    }
+
+    setupMobileMenu() {
+        if (!this.mobileMenuToggle || !this.navMenu) return;
+
+        this.mobileMenuToggle.addEventListener('click', () => {
+            this.toggleMobileMenu();
+        });
+
+        // Close mobile menu when clicking on a link (delegated, as the menu is re-rendered)
+        this.navMenu.addEventListener('click', (e) => {
+            if (e.target.closest('a')) {
+                this.closeMobileMenu();
+            }
+        });
+
+        // Close mobile menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.nav-container') && this.navMenu.classList.contains('active')) {
+                this.closeMobileMenu();
+            }
+        });
+
+        // Close mobile menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.navMenu.classList.contains('active')) {
+                this.closeMobileMenu();
+            }
+        });
+    }
+
+    toggleMobileMenu() {
+        const isOpen = this.navMenu.classList.contains('active');
+        
+        if (isOpen) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    openMobileMenu() {
+        this.navMenu.classList.add('active');
+        this.mobileMenuToggle.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    }
+
+    closeMobileMenu() {
+        this.navMenu.classList.remove('active');
+        this.mobileMenuToggle.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = ''; // Restore scrolling
+    }
+
+    // Each section gets its own history entry (#about, #careers, ...), so Back
+    // returns to the previous section and deep links land below the header
+    setupRouter() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            const id = link.getAttribute('href').slice(1);
+            if (this.findSection(id)) {
+                e.preventDefault();
+                this.navigateTo(id);
+            }
+        });
+
+        window.addEventListener('popstate', () => {
+            const id = location.hash.slice(1);
+            if (this.findSection(id)) {
+                this.navigateTo(id, { push: false });
+            } else if (!id) {
+                window.scrollTo({ top: 0, behavior: 'auto' });
+            }
+        });
+
+        // The browser's own jump to the hash ignores the fixed header; correct
+        // it now and again once images and fonts have settled the layout
+        const initial = location.hash.slice(1);
+        if (this.findSection(initial)) {
+            this.navigateTo(initial, { push: false, behavior: 'auto' });
+            if (document.readyState !== 'complete') {
+                window.addEventListener('load', () => {
+                    this.navigateTo(initial, { push: false, behavior: 'auto', focus: false });
+                }, { once: true });
+            }
+        }
+    }
+
+    findSection(id) {
+        return id ? Array.from(this.sections).find(section => section.id === id) || null : null;
+    }
+
+    navigateTo(id, options = {}) {
+        const section = this.findSection(id);
+        if (!section) return false;
+
+        // Once the router places sections itself, the browser's own restoring
+        // would fight it; pages without a hash keep the browser's behaviour
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        const { push = true, focus = true, behavior } = options;
+        if (push && location.hash !== `#${id}`) {
+            history.pushState({ section: id }, '', `#${id}`);
+        }
+
+        NavigationManager.scrollToElement(section, behavior);
+        this.setActiveLink(id);
+        if (focus) {
+            NavigationManager.focusSection(section);
+        }
+        return true;
+    }
+
+    setActiveLink(id) {
+        this.activeId = id;
+        this.navLinks.forEach(link => {
+            const active = link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        // A closed sub-menu shows that the current section is inside it
+        if (this.navMenu) {
+            this.navMenu.querySelectorAll('.has-submenu').forEach(item => {
+                item.classList.toggle('has-active', Boolean(item.querySelector('a.active')));
+            });
+        }
+    }
+
+    setupSubmenus() {
+        if (!this.navMenu) return;
+
+        this.navMenu.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.nav-submenu-toggle');
+            if (toggle) {
+                this.toggleSubmenu(toggle);
+            } else if (e.target.closest('a')) {
+                this.closeSubmenus();
+            }
+        });
+
+        // Close a sub-menu once focus leaves it, or on a click anywhere else
+        this.navMenu.addEventListener('focusout', (e) => {
+            const item = e.target.closest('.has-submenu');
+            if (item && !item.contains(e.relatedTarget)) {
+                this.closeSubmenus(item);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.has-submenu')) {
+                this.closeSubmenus();
+            }
+        });
+
+        // Escape closes the innermost open sub-menu before the mobile menu
+        this.navMenu.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            const item = e.target.closest('.has-submenu');
+            const toggle = item && item.querySelector(':scope > .nav-submenu-toggle');
+            if (toggle && toggle.getAttribute('aria-expanded') === 'true') {
+                e.stopPropagation();
+                this.setSubmenuOpen(toggle, false);
+                toggle.focus();
+            }
+        });
+    }
+
+    toggleSubmenu(toggle) {
+        const open = toggle.getAttribute('aria-expanded') !== 'true';
+        if (open) {
+            // One open at a time, apart from the ones this one is nested in
+            this.navMenu.querySelectorAll('.nav-submenu-toggle[aria-expanded="true"]').forEach(other => {
+                if (!other.parentElement.contains(toggle)) {
+                    this.setSubmenuOpen(other, false);
+                }
+            });
+        }
+        this.setSubmenuOpen(toggle, open);
+    }
+
+    setSubmenuOpen(toggle, open) {
+        const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+        toggle.setAttribute('aria-expanded', String(open));
+        if (submenu) {
+            submenu.hidden = !open;
+        }
+    }
+
+    // Close every open sub-menu, or just those inside `within`
+    closeSubmenus(within = this.navMenu) {
+        within.querySelectorAll('.nav-submenu-toggle[aria-expanded="true"]').forEach(toggle => {
+            this.setSubmenuOpen(toggle, false);
+        });
+    }
+
+    // Links and buttons a keyboard can reach, skipping closed sub-menus
+    focusableItems() {
+        return Array.from(this.navMenu.querySelectorAll('a, button'))
+            .filter(element => !element.closest('[hidden]'));
+    }
+
+    setupScrollEffects() {
+        let ticking = false;
+
+        const updateHeader = () => {
+            const scrollY = window.scrollY;
+            
+            if (scrollY > 100) {
+                this.header.style.background = 'rgba(255, 255, 255, 0.98)';
+                this.header.style.boxShadow = '0 2px 20px rgba(0,0,0,0.1)';
+                this.header.style.backdropFilter = 'blur(15px)';
+            } else {
+                this.header.style.background = 'rgba(255, 255, 255, 0.95)';
+                this.header.style.boxShadow = 'none';
+                this.header.style.backdropFilter = 'blur(10px)';
+            }
+            
+            ticking = false;
+        };
+
+        const onScroll = () => {
+            if (!ticking) {
+                requestAnimationFrame(updateHeader);
+                ticking = true;
+            }
+        };
+
+        window.addEventListener('scroll', onScroll, { passive: true });
+    }
+
+    setupActiveNavLinks() {
+        const observerOptions = {
+            root: null,
+            rootMargin: '-20% 0% -70% 0%',
+            threshold: 0
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const id = entry.target.getAttribute('id');
+                
+                if (entry.isIntersecting) {
+                    this.setActiveLink(id);
+                    
+                    // Let other modules follow the active section
+                    window.dispatchEvent(new CustomEvent('nav:sectionchange', { detail: { id } }));
+                }
+            });
+        }, observerOptions);
+
+        this.sections.forEach(section => {
+            observer.observe(section);
+        });
+    }
+
+    setupKeyboardNavigation() {
+        // Skip to main content link for accessibility
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main';
+        skipLink.textContent = 'Skip to main content';
+        skipLink.className = 'sr-only skip-link';
+        skipLink.addEventListener('focus', () => {
+            skipLink.classList.remove('sr-only');
+        });
+        skipLink.addEventListener('blur', () => {
+            skipLink.classList.add('sr-only');
+        });
+        
+        document.body.insertBefore(skipLink, document.body.firstChild);
+
+        // Tab navigation for mobile menu
+        this.navMenu.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                const focusableElements = this.focusableItems();
+                const firstElement = focusableElements[0];
+                const lastElement = focusableElements[focusableElements.length - 1];
+
+                if (e.shiftKey && document.activeElement === firstElement) {
+                    e.preventDefault();
+                    lastElement.focus();
+                } else if (!e.shiftKey && document.activeElement === lastElement) {
+                    e.preventDefault();
+                    firstElement.focus();
+                }
+            }
+        });
+    }
+}
+
+NavigationManager.submenuCount = 0;
+
+// Start navigation; call once the DOM is ready
+function initNavigation() {
+    return new NavigationManager();
+}
+
+// ---- scroll-progress.js
+
+/**
+ * Scroll Progress Module
+ * A reading progress bar in the header and a collapsible side minimap with a dot
+ * per section that fills as the section is read
+ */
+
+
+class ScrollProgress {
+    // How much of `section` has been read, 0 to 1: reading starts when its top
+    // reaches the bottom of the fixed header and ends when its bottom comes into view
+    static sectionProgress(section) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+
+        // The page can't scroll past either end, so the first and last sections
+        // may never line up with the header
+        const top = NavigationManager.scrollOffset(section);
+        const end = Math.min(maxScroll, top + section.offsetHeight - (window.innerHeight - headerHeight));
+        const start = Math.min(Math.max(0, top), end);
+
+        if (end <= start) {
+            return window.scrollY >= end ? 1 : 0;
+        }
+        return Math.min(1, Math.max(0, (window.scrollY - start) / (end - start)));
+    }
+
+    static pageProgress() {
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        return maxScroll > 0 ? Math.min(1, Math.max(0, window.scrollY / maxScroll)) : 1;
+    }
+
+    // The nav link's text, then the section's heading, then its aria-label
+    static labelFor(section) {
+        const link = document.querySelector(`.nav-menu a[href="#${section.id}"]`);
+        const headingId = section.getAttribute('aria-labelledby');
+        const heading = headingId && document.getElementById(headingId);
+        return (link && link.textContent.trim()) ||
+            (heading && heading.textContent.trim()) ||
+            section.getAttribute('aria-label') ||
+            section.id;
+    }
+
+    constructor(options = {}) {
+        this.navigation = options.navigation || null;
+        this.header = document.querySelector('.header');
+        this.sections = Array.from(document.querySelectorAll('section[id]'));
+        this.activeId = this.navigation ? this.navigation.activeId : null;
+        this.dots = new Map();
+        this.percents = new Map();
+        this.cleanups = [];
+
+        this.init(options);
+    }
+
+    init(options) {
+        if (options.bar !== false) {
+            this.createBar();
+        }
+        if (options.minimap !== false && this.sections.length) {
+            this.createMinimap();
+        }
+
+        let ticking = false;
+        const onScroll = () => {
+            if (!ticking) {
+                requestAnimationFrame(() => {
+                    this.update();
+                    ticking = false;
+                });
+                ticking = true;
+            }
+        };
+        this.listen(window, 'scroll', onScroll, { passive: true });
+        this.listen(window, 'resize', onScroll);
+        this.listen(window, 'load', onScroll);
+
+        // The navigation's observer already tracks the section in view
+        this.listen(window, 'nav:sectionchange', (e) => this.setActive(e.detail.id));
+
+        this.update();
+        if (this.activeId) {
+            this.setActive(this.activeId);
+        }
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    createBar() {
+        if (!this.header) return;
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'scroll-progress';
+        this.bar.setAttribute('role', 'progressbar');
+        this.bar.setAttribute('aria-label', 'Reading progress');
+        this.bar.setAttribute('aria-valuemin', '0');
+        this.bar.setAttribute('aria-valuemax', '100');
+        this.bar.innerHTML = '<span class="scroll-progress-fill"></span>';
+        this.header.appendChild(this.bar);
+    }
+
+    createMinimap() {
+        this.minimap = document.createElement('nav');
+        this.minimap.className = 'section-minimap';
+        this.minimap.setAttribute('aria-label', 'Section minimap');
+
+        const list = document.createElement('ol');
+        list.className = 'section-minimap-list';
+        list.id = 'section-minimap-list';
+
+        this.sections.forEach(section => {
+            const item = document.createElement('li');
+            const dot = document.createElement('a');
+            dot.className = 'section-minimap-dot';
+            // The router handles these links like any other #section link
+            dot.href = `#${section.id}`;
+
+            const label = document.createElement('span');
+            label.className = 'section-minimap-label';
+            label.textContent = ScrollProgress.labelFor(section);
+
+            const percent = document.createElement('span');
+            percent.className = 'section-minimap-percent';
+
+            label.append(' ', percent);
+            dot.appendChild(label);
+            item.appendChild(dot);
+            list.appendChild(item);
+            this.dots.set(section.id, dot);
+        });
+
+        this.toggle = document.createElement('button');
+        this.toggle.type = 'button';
+        this.toggle.className = 'section-minimap-toggle';
+        this.toggle.setAttribute('aria-controls', list.id);
+        this.toggle.innerHTML = '<span class="section-minimap-toggle-icon" aria-hidden="true"></span><span class="sr-only">Sections</span>';
+        this.listen(this.toggle, 'click', () => {
+            this.setCollapsed(this.toggle.getAttribute('aria-expanded') === 'true');
+        });
+
+        this.minimap.append(this.toggle, list);
+        document.body.appendChild(this.minimap);
+        this.setCollapsed(this.getStoredCollapsed(), false);
+    }
+
+    setCollapsed(collapsed, save = true) {
+        if (!this.minimap) return;
+
+        this.toggle.setAttribute('aria-expanded', String(!collapsed));
+        this.minimap.querySelector('.section-minimap-list').hidden = collapsed;
+        this.minimap.classList.toggle('collapsed', collapsed);
+
+        if (save) {
+            try {
+                localStorage.setItem(ScrollProgress.STORAGE_KEY, collapsed ? 'collapsed' : 'open');
+            } catch (error) {
+                console.warn('Could not save minimap preference:', error);
+            }
+        }
+    }
+
+    getStoredCollapsed() {
+        try {
+            return localStorage.getItem(ScrollProgress.STORAGE_KEY) === 'collapsed';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    update() {
+        // Measure everything before writing anything, so a scroll frame costs one layout
+        const progress = this.bar ? ScrollProgress.pageProgress() : 0;
+        const percents = this.sections
+            .filter(section => this.dots.has(section.id))
+            .map(section => [section.id, Math.round(ScrollProgress.sectionProgress(section) * 100)]);
+
+        if (this.bar) {
+            this.bar.firstChild.style.transform = `scaleX(${progress})`;
+            this.bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        }
+
+        percents.forEach(([id, percent]) => {
+            // Skip the DOM writes while a section's percentage stays the same
+            if (this.percents.get(id) === percent) return;
+
+            const dot = this.dots.get(id);
+            this.percents.set(id, percent);
+            dot.style.setProperty('--read', `${percent}%`);
+            dot.classList.toggle('read', percent === 100);
+            dot.querySelector('.section-minimap-percent').textContent = `${percent}% read`;
+        });
+    }
+
+    setActive(id) {
+        this.activeId = id;
+        this.dots.forEach((dot, sectionId) => {
+            if (sectionId === id) {
+                dot.setAttribute('aria-current', 'location');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.bar) this.bar.remove();
+        if (this.minimap) this.minimap.remove();
+    }
+}
+
+ScrollProgress.STORAGE_KEY = 'mitski:minimap';
+
+// Start the progress bar and minimap; call after initNavigation()
+function initScrollProgress(options) {
+    return new ScrollProgress(options);
+}
+
+// ---- post-processing.js
+
+/**
+ * Post-Processing Module
+ * Full-screen shader passes applied after an animator renders its scene
+ */
+
+
+class PostProcessor {
+    // An effect is { uniforms: { name: defaultValue }, fragmentShader }. Every
+    // shader also receives tDiffuse, resolution (in pixels), time and vUv.
+    static registerEffect(name, effect) {
+        if (!effect || typeof effect.fragmentShader !== 'string') {
+            throw new TypeError(`Effect '${name}' needs a fragmentShader string`);
+        }
+        PostProcessor.effects.set(name, effect);
+    }
+
+    static hasEffect(name) {
+        return PostProcessor.effects.has(name);
+    }
+
+    // Accepts 'bloom' or { type: 'bloom', strength: 0.8 }
+    constructor(effects = []) {
+        this.passes = effects
+            .map(effect => typeof effect === 'string' ? { type: effect } : effect)
+            .map(effect => this.createPass(effect))
+            .filter(Boolean);
+
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat
+        }));
+
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quadScene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quadScene.add(this.quad);
+    }
+
+    createPass(effect) {
+        const definition = PostProcessor.effects.get(effect.type);
+        if (!definition) {
+            console.error(`Unknown post-processing effect '${effect.type}'`);
+            return null;
+        }
+
+        const uniforms = {
+            tDiffuse: { value: null },
+            resolution: { value: new THREE.Vector2() },
+            time: { value: 0 }
+        };
+        Object.entries(definition.uniforms || {}).forEach(([name, value]) => {
+            uniforms[name] = { value: effect[name] !== undefined ? effect[name] : value };
+        });
+
+        return {
+            type: effect.type,
+            material: new THREE.ShaderMaterial({
+                uniforms: uniforms,
+                vertexShader: PostProcessor.vertexShader,
+                fragmentShader: definition.fragmentShader,
+                transparent: true,
+                depthTest: false,
+                depthWrite: false
+            })
+        };
+    }
+
+    get isEmpty() {
+        return this.passes.length === 0;
+    }
+
+    setSize(width, height) {
+        this.targets.forEach(target => {
+            if (target.width !== width || target.height !== height) {
+                target.setSize(width, height);
+            }
+        });
+    }
+
+    // Renders the scene into a target, runs the passes back and forth between
+    // the two targets, and draws the last one wherever the renderer was pointed.
+    // `time` (seconds) drives animated passes such as film grain; animators pass
+    // their clock, so captures come out the same every time.
+    render(renderer, scene, camera, width, height, time = performance.now() * 0.001) {
+        const output = renderer.getRenderTarget();
+        this.setSize(width, height);
+
+        renderer.setRenderTarget(this.targets[0]);
+        renderer.render(scene, camera);
+
+        let read = 0;
+        this.passes.forEach((pass, index) => {
+            const uniforms = pass.material.uniforms;
+            uniforms.tDiffuse.value = this.targets[read].texture;
+            uniforms.resolution.value.set(width, height);
+            uniforms.time.value = time;
+
+            const isLast = index === this.passes.length - 1;
+            renderer.setRenderTarget(isLast ? output : this.targets[1 - read]);
+            this.quad.material = pass.material;
+            renderer.render(this.quadScene, this.quadCamera);
+            read = 1 - read;
+        });
+    }
+
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        this.passes.forEach(pass => pass.material.dispose());
+        this.quad.geometry.dispose();
+    }
+}
+
+PostProcessor.effects = new Map();
+
+PostProcessor.vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Soft glow around the brightest colours, sampled on a golden-angle spiral
+PostProcessor.registerEffect('bloom', {
+    uniforms: { strength: 0.8, threshold: 0.6, radius: 12 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float strength;
+        uniform float threshold;
+        uniform float radius;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 glow = vec3(0.0);
+            for (int i = 0; i < 24; i++) {
+                float angle = float(i) * 2.39996;
+                float spread = sqrt(float(i) + 0.5) / 4.9;
+                vec2 offset = vec2(cos(angle), sin(angle)) * spread * radius / resolution;
+                vec4 tap = texture2D(tDiffuse, vUv + offset);
+                glow += max(tap.rgb - vec3(threshold), 0.0) * tap.a;
+            }
+            glow = glow / 24.0 * strength;
+            gl_FragColor = vec4(base.rgb + glow, max(base.a, max(glow.r, max(glow.g, glow.b))));
+        }
+    `
+});
+
+// Red and blue split apart toward the edges like a cheap lens
+PostProcessor.registerEffect('chromaticAberration', {
+    uniforms: { amount: 0.02 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+        void main() {
+            vec2 direction = vUv - 0.5;
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec4 red = texture2D(tDiffuse, vUv + direction * amount);
+            vec4 blue = texture2D(tDiffuse, vUv - direction * amount);
+            gl_FragColor = vec4(red.r, base.g, blue.b, max(base.a, max(red.a, blue.a)));
+        }
+    `
+});
+
+PostProcessor.registerEffect('filmGrain', {
+    uniforms: { intensity: 0.08 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float time;
+        uniform float intensity;
+        varying vec2 vUv;
+        float random(vec2 point) {
+            return fract(sin(dot(point, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            float noise = random(floor(vUv * resolution) + fract(time) * 100.0) - 0.5;
+            gl_FragColor = vec4(base.rgb + noise * intensity * base.a, base.a);
+        }
+    `
+});
+
+// Print-style CMYK halftone: one dot screen per ink at the classic angles
+// (C 15°, M 75°, Y 0°, K 45°), dot area proportional to ink coverage
+PostProcessor.registerEffect('halftone', {
+    uniforms: { dotSize: 6, blend: 1 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float dotSize;
+        uniform float blend;
+        varying vec2 vUv;
+        float screen(vec2 point, float angle, float coverage) {
+            float s = sin(angle);
+            float c = cos(angle);
+            vec2 cell = fract(mat2(c, -s, s, c) * point / dotSize) - 0.5;
+            float radius = sqrt(clamp(coverage, 0.0, 1.0)) * 0.7071;
+            return 1.0 - smoothstep(radius - 0.06, radius + 0.06, length(cell));
+        }
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            float k = 1.0 - max(base.r, max(base.g, base.b));
+            vec3 cmy = (1.0 - base.rgb - k) / max(1.0 - k, 0.0001);
+            vec2 point = vUv * resolution;
+            vec3 inks = vec3(
+                screen(point, 0.2618, cmy.x),
+                screen(point, 1.3090, cmy.y),
+                screen(point, 0.0, cmy.z)
+            );
+            vec3 printed = (vec3(1.0) - inks) * (1.0 - screen(point, 0.7854, k));
+            gl_FragColor = vec4(mix(base.rgb, printed, blend), base.a);
+        }
+    `
+});
+
+// ---- animation-engine.js
+
+/**
+ * Animation Engine Module
+ * Delta-time clock and named behaviours that drive mesh motion
+ */
+
+
+// Scene time that advances by real elapsed time, independent of frame rate.
+// It can be paused, sped up or slowed down, and scrubbed with seek().
+class AnimationClock {
+    constructor() {
+        this.time = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.lastTimestamp = null;
+    }
+
+    tick(timestamp = performance.now()) {
+        const last = this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+        if (last === null || this.paused) return 0;
+
+        // Cap long gaps (a stalled tab, a debugger) so nothing jumps
+        return this.advance(Math.min((timestamp - last) / 1000, AnimationClock.MAX_DELTA));
+    }
+
+    // Move forward by a fixed amount of real time, e.g. when stepping headless
+    advance(seconds) {
+        if (this.paused) return 0;
+        const delta = seconds * this.speed;
+        this.time = Math.max(0, this.time + delta);
+        return delta;
+    }
+
+    // Forget the last timestamp so time spent paused isn't counted
+    reset() {
+        this.lastTimestamp = null;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.reset();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    seek(time) {
+        this.time = Math.max(0, time);
+    }
+}
+
+AnimationClock.MAX_DELTA = 0.1;
+
+// One behaviour attached to one mesh. Timing options shared by every type:
+// start (clock time, defaults to now), delay, duration (seconds, Infinity
+// runs forever), repeat (extra cycles, Infinity loops) and easing.
+class Behavior {
+    constructor(type, definition, params, startTime) {
+        const timing = { delay: 0, duration: Infinity, repeat: 0, easing: 'linear', ...definition.defaults, ...params };
+
+        this.type = type;
+        this.definition = definition;
+        this.options = params;
+        this.params = timing;
+        this.start = params.start !== undefined ? params.start : startTime;
+        this.delay = timing.delay;
+        this.duration = timing.duration;
+        this.repeat = timing.repeat;
+        this.easing = AnimationEngine.resolveEasing(timing.easing);
+
+        if (definition.setup) {
+            definition.setup(this.params);
+        }
+    }
+
+    // Time inside the behaviour: eased over each cycle for finite durations,
+    // plain elapsed seconds otherwise
+    localTime(time) {
+        const elapsed = time - this.start - this.delay;
+        if (elapsed <= 0) return 0;
+        if (!isFinite(this.duration)) return elapsed;
+
+        const cycles = elapsed / this.duration;
+        const progress = cycles < this.repeat + 1 ? cycles % 1 : 1;
+        return this.easing(progress) * this.duration;
+    }
+
+    apply(mesh, time) {
+        this.definition.apply(mesh, this.params, this.localTime(time), this);
+    }
+
+    state(time) {
+        return this.definition.state ? this.definition.state(this.params, this.localTime(time)) : null;
+    }
+
+    // The options the behaviour was created with, as JSON-safe data. Easing
+    // functions can't be saved and come back as linear.
+    toJSON() {
+        const data = { type: this.type };
+        Object.entries(this.options).forEach(([key, value]) => {
+            if (typeof value === 'function') return;
+            if (value === Infinity) {
+                data[key] = 'Infinity';
+            } else if (value && value.isVector3) {
+                data[key] = { x: value.x, y: value.y, z: value.z };
+            } else {
+                data[key] = value;
+            }
+        });
+        data.start = this.start;
+        return data;
+    }
+}
+
+class AnimationEngine {
+    // A behaviour is { defaults?, setup?(params), apply(mesh, params, t, behavior), state?(params, t) }.
+    // apply() adds to the rest pose, so behaviours on one mesh stack.
+    static registerBehavior(name, definition) {
+        if (!definition || typeof definition.apply !== 'function') {
+            throw new TypeError(`Behavior '${name}' needs an apply(mesh, params, t) function`);
+        }
+        AnimationEngine.behaviors.set(name, definition);
+    }
+
+    static registerEasing(name, easing) {
+        AnimationEngine.easings.set(name, easing);
+    }
+
+    static resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (!AnimationEngine.easings.has(easing)) {
+            console.warn(`Unknown easing '${easing}', using linear`);
+            return AnimationEngine.easings.get('linear');
+        }
+        return AnimationEngine.easings.get(easing);
+    }
+
+    constructor(clock = new AnimationClock()) {
+        this.clock = clock;
+        this.tracks = new Map();
+    }
+
+    add(mesh, type, params = {}) {
+        const definition = AnimationEngine.behaviors.get(type);
+        if (!definition) {
+            console.error(`Unknown behavior '${type}'`);
+            return null;
+        }
+
+        const behavior = new Behavior(type, definition, params, this.clock.time);
+        if (!this.tracks.has(mesh)) {
+            this.tracks.set(mesh, []);
+        }
+        this.tracks.get(mesh).push(behavior);
+        return behavior;
+    }
+
+    get(mesh, type) {
+        const behaviors = this.tracks.get(mesh) || [];
+        return behaviors.find(behavior => behavior.type === type) || null;
+    }
+
+    // Remove one behaviour instance, or every behaviour of a type
+    remove(mesh, behaviorOrType) {
+        const behaviors = this.tracks.get(mesh);
+        if (!behaviors) return;
+
+        const remaining = behaviors.filter(behavior => {
+            return behavior !== behaviorOrType && behavior.type !== behaviorOrType;
+        });
+        this.tracks.set(mesh, remaining);
+    }
+
+    serialize(mesh) {
+        return (this.tracks.get(mesh) || []).map(behavior => behavior.toJSON());
+    }
+
+    // Re-attach behaviours saved with serialize(), keeping their original start times
+    restore(mesh, saved) {
+        saved.forEach(({ type, ...options }) => {
+            Object.keys(options).forEach(key => {
+                if (options[key] === 'Infinity') options[key] = Infinity;
+            });
+            this.add(mesh, type, options);
+        });
+    }
+
+    clear(mesh) {
+        if (mesh) {
+            this.tracks.delete(mesh);
+        } else {
+            this.tracks.clear();
+        }
+    }
+
+    update(time = this.clock.time) {
+        this.tracks.forEach((behaviors, mesh) => {
+            // Start from the rest pose every frame so behaviours compose and scrub cleanly
+            const rest = mesh.userData;
+            mesh.position.copy(rest.originalPosition);
+            mesh.rotation.copy(rest.originalRotation);
+            mesh.scale.setScalar(rest.scale);
+
+            behaviors.forEach(behavior => behavior.apply(mesh, time));
+        });
+    }
+}
+
+AnimationEngine.behaviors = new Map();
+AnimationEngine.easings = new Map();
+
+AnimationEngine.registerEasing('linear', p => p);
+AnimationEngine.registerEasing('easeIn', p => p * p * p);
+AnimationEngine.registerEasing('easeOut', p => 1 - Math.pow(1 - p, 3));
+AnimationEngine.registerEasing('easeInOut', p => p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2);
+AnimationEngine.registerEasing('easeOutBack', p => 1 + 2.70158 * Math.pow(p - 1, 3) + 1.70158 * Math.pow(p - 1, 2));
+
+// Constant rotation, in radians per second around each axis
+AnimationEngine.registerBehavior('spin', {
+    defaults: { x: 0, y: 0.5, z: 0 },
+    apply: (mesh, params, t) => {
+        mesh.rotation.x += params.x * t;
+        mesh.rotation.y += params.y * t;
+        mesh.rotation.z += params.z * t;
+    }
+});
+
+// Vertical bob
+AnimationEngine.registerBehavior('float', {
+    defaults: { speed: 1, amount: 0.1, phase: 0 },
+    apply: (mesh, params, t) => {
+        mesh.position.y += Math.sin(t * params.speed + params.phase) * params.amount;
+    }
+});
+
+// Breathing scale
+AnimationEngine.registerBehavior('pulse', {
+    defaults: { speed: 1, amount: 0.1, phase: 0 },
+    apply: (mesh, params, t) => {
+        mesh.scale.multiplyScalar(1 + Math.sin(t * params.speed + params.phase) * params.amount);
+    }
+});
+
+// Circle in the plane around an axis ('x', 'y' or 'z'), starting where the mesh rests
+AnimationEngine.registerBehavior('orbit', {
+    defaults: { radius: 0.5, speed: 1, phase: 0, axis: 'y' },
+    apply: (mesh, params, t) => {
+        const angle = t * params.speed + params.phase;
+        const u = (Math.cos(angle) - Math.cos(params.phase)) * params.radius;
+        const v = (Math.sin(angle) - Math.sin(params.phase)) * params.radius;
+
+        if (params.axis === 'x') {
+            mesh.position.y += u;
+            mesh.position.z += v;
+        } else if (params.axis === 'z') {
+            mesh.position.x += u;
+            mesh.position.y += v;
+        } else {
+            mesh.position.x += u;
+            mesh.position.z += v;
+        }
+    }
+});
+
+// Damped spring from an offset toward a target offset (both relative to the
+// rest position). Solved in closed form, so it is exact at any frame rate and
+// can be scrubbed. stiffness is the natural frequency, damping the ratio (< 1).
+AnimationEngine.registerBehavior('spring', {
+    defaults: { target: null, from: null, velocity: null, stiffness: 12, damping: 0.3 },
+    setup: (params) => {
+        params.target = new THREE.Vector3().copy(params.target || { x: 0, y: 0, z: 0 });
+        params.from = new THREE.Vector3().copy(params.from || { x: 0, y: 0, z: 0 });
+        params.velocity = new THREE.Vector3().copy(params.velocity || { x: 0, y: 0, z: 0 });
+        params.damping = Math.min(Math.max(params.damping, 0), 0.99);
+    },
+    state: (params, t) => {
+        const omega = params.stiffness;
+        const zeta = params.damping;
+        const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+        const decay = Math.exp(-zeta * omega * t);
+        const cos = Math.cos(omegaD * t);
+        const sin = Math.sin(omegaD * t);
+
+        const offset = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+        ['x', 'y', 'z'].forEach(axis => {
+            const d0 = params.from[axis] - params.target[axis];
+            const v0 = params.velocity[axis];
+            offset[axis] = params.target[axis] + decay * (d0 * cos + (v0 + zeta * omega * d0) / omegaD * sin);
+            velocity[axis] = decay * (v0 * cos - (zeta * omega * v0 + omega * omega * d0) / omegaD * sin);
+        });
+
+        return { offset, velocity };
+    },
+    apply: (mesh, params, t, behavior) => {
+        mesh.position.add(behavior.definition.state(params, t).offset);
+    }
+});
+
+// Follow a smooth curve through offsets from the rest position, once per duration
+AnimationEngine.registerBehavior('path', {
+    defaults: { points: [], closed: false, duration: 4 },
+    setup: (params) => {
+        const points = [{ x: 0, y: 0, z: 0 }].concat(params.points)
+            .map(point => new THREE.Vector3().copy(point));
+        params.curve = points.length > 1 ? new THREE.CatmullRomCurve3(points, params.closed) : null;
+    },
+    apply: (mesh, params, t, behavior) => {
+        if (!params.curve) return;
+        const u = Math.min(Math.max(t / behavior.duration, 0), 1);
+        mesh.position.add(params.curve.getPointAt(u));
+    }
+});
+
+// ---- scene-export.js
+
+/**
+ * Scene Export Module
+ * Writes an animator's current frame as glTF 2.0 and saves exports as files
+ */
+
+
+class SceneExporter {
+    // Builds a self-contained .gltf (JSON with the geometry embedded as base64).
+    // options.objects limits the export to those meshes; options.colorOf(mesh)
+    // supplies a base colour for materials without one (e.g. shader materials).
+    static toGLTF(scene, camera, options = {}) {
+        const writer = new SceneExporter(options);
+        scene.updateMatrixWorld();
+
+        const meshes = options.objects || scene.children.filter(child => child.isMesh);
+        const nodes = meshes
+            .filter(mesh => mesh.visible)
+            .map(mesh => writer.addMesh(mesh));
+
+        if (camera) {
+            nodes.push(writer.addCamera(camera));
+        }
+
+        return writer.finish(options.name || 'scene', nodes);
+    }
+
+    // Accepts a Blob, a string or anything JSON.stringify can write
+    static download(data, filename, type = 'application/json') {
+        let blob = data;
+        if (!(data instanceof Blob)) {
+            const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+            blob = new Blob([text], { type: type });
+        }
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    constructor(options = {}) {
+        this.colorOf = options.colorOf || (mesh => mesh.material.color || new THREE.Color(0xffffff));
+        this.json = {
+            asset: { version: '2.0', generator: 'mitski-3dspace SceneExporter' },
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: []
+        };
+        this.chunks = [];
+        this.byteLength = 0;
+    }
+
+    addMesh(mesh) {
+        const geometry = mesh.geometry;
+        const attributes = {
+            POSITION: this.addAccessor(geometry.attributes.position, SceneExporter.ARRAY_BUFFER, true)
+        };
+        if (geometry.attributes.normal) {
+            attributes.NORMAL = this.addAccessor(geometry.attributes.normal, SceneExporter.ARRAY_BUFFER);
+        }
+
+        const primitive = { attributes: attributes, material: this.addMaterial(mesh) };
+        if (geometry.index) {
+            primitive.indices = this.addAccessor(geometry.index, SceneExporter.ELEMENT_ARRAY_BUFFER);
+        }
+
+        const type = mesh.userData.shape ? mesh.userData.shape.type : 'mesh';
+        this.json.meshes.push({ name: type, primitives: [primitive] });
+
+        return this.addNode({
+            name: `${type}-${this.json.meshes.length}`,
+            mesh: this.json.meshes.length - 1
+        }, mesh);
+    }
+
+    addCamera(camera) {
+        this.json.cameras = [{
+            type: 'perspective',
+            perspective: {
+                yfov: THREE.MathUtils.degToRad(camera.fov),
+                aspectRatio: camera.aspect,
+                znear: camera.near,
+                zfar: camera.far
+            }
+        }];
+        return this.addNode({ name: 'camera', camera: 0 }, camera);
+    }
+
+    addNode(node, object) {
+        // Scene children sit at the root, so local and world transforms agree
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        object.matrixWorld.decompose(position, quaternion, scale);
+
+        node.translation = position.toArray();
+        node.rotation = quaternion.toArray();
+        node.scale = scale.toArray();
+
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+
+    addMaterial(mesh) {
+        const material = mesh.material;
+        const color = this.colorOf(mesh);
+        const opacity = material.opacity !== undefined ? material.opacity : 1;
+
+        const entry = {
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, opacity],
+                metallicFactor: 0,
+                roughnessFactor: 0.4
+            },
+            doubleSided: material.side === THREE.DoubleSide
+        };
+        if (material.transparent && opacity < 1) {
+            entry.alphaMode = 'BLEND';
+        }
+
+        this.json.materials.push(entry);
+        return this.json.materials.length - 1;
+    }
+
+    addAccessor(attribute, target, withBounds = false) {
+        const isIndex = target === SceneExporter.ELEMENT_ARRAY_BUFFER;
+        const count = attribute.count;
+        const itemSize = attribute.itemSize;
+
+        let array;
+        if (isIndex) {
+            array = count > 65535 ? new Uint32Array(count) : new Uint16Array(count);
+            for (let i = 0; i < count; i++) array[i] = attribute.getX(i);
+        } else {
+            array = new Float32Array(count * itemSize);
+            for (let i = 0; i < count; i++) {
+                for (let j = 0; j < itemSize; j++) {
+                    array[i * itemSize + j] = attribute.array[i * itemSize + j];
+                }
+            }
+        }
+
+        const accessor = {
+            bufferView: this.addBufferView(array, target),
+            componentType: isIndex ? (array instanceof Uint32Array ? 5125 : 5123) : 5126,
+            count: count,
+            type: isIndex ? 'SCALAR' : `VEC${itemSize}`
+        };
+
+        // POSITION accessors must carry their bounds
+        if (withBounds) {
+            accessor.min = new Array(itemSize).fill(Infinity);
+            accessor.max = new Array(itemSize).fill(-Infinity);
+            for (let i = 0; i < array.length; i++) {
+                const axis = i % itemSize;
+                accessor.min[axis] = Math.min(accessor.min[axis], array[i]);
+                accessor.max[axis] = Math.max(accessor.max[axis], array[i]);
+            }
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    addBufferView(array, target) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        this.json.bufferViews.push({
+            buffer: 0,
+            byteOffset: this.byteLength,
+            byteLength: bytes.length,
+            target: target
+        });
+
+        // Every view starts on a 4-byte boundary
+        const padded = Math.ceil(bytes.length / 4) * 4;
+        this.chunks.push({ bytes: bytes, offset: this.byteLength });
+        this.byteLength += padded;
+        return this.json.bufferViews.length - 1;
+    }
+
+    finish(name, nodes) {
+        this.json.scene = 0;
+        this.json.scenes = [{ name: name, nodes: nodes }];
+
+        if (this.byteLength) {
+            const buffer = new Uint8Array(this.byteLength);
+            this.chunks.forEach(chunk => buffer.set(chunk.bytes, chunk.offset));
+            this.json.buffers = [{
+                byteLength: this.byteLength,
+                uri: `data:application/octet-stream;base64,${SceneExporter.toBase64(buffer)}`
+            }];
+        }
+
+        // glTF doesn't allow empty top-level arrays
+        Object.keys(this.json).forEach(key => {
+            if (Array.isArray(this.json[key]) && this.json[key].length === 0) {
+                delete this.json[key];
+            }
+        });
+        return this.json;
+    }
+}
+
+SceneExporter.ARRAY_BUFFER = 34962;
+SceneExporter.ELEMENT_ARRAY_BUFFER = 34963;
+
+// ---- frame-capture.js
+
+/**
+ * Frame Capture Module
+ * Renders an animator off screen at any size for stills, PNG sequences and WebM loops
+ */
+
+
+class FrameCapture {
+    // Bundle files into an uncompressed .zip (PNGs are compressed already)
+    static zip(files) {
+        return Promise.all(files.map(file => file.blob.arrayBuffer())).then(buffers => {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const directory = [];
+            let offset = 0;
+
+            files.forEach((file, index) => {
+                const name = encoder.encode(file.name);
+                const data = new Uint8Array(buffers[index]);
+                const crc = FrameCapture.crc32(data);
+
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034b50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(12, 0x21, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, data.length, true);
+                header.setUint32(22, data.length, true);
+                header.setUint16(26, name.length, true);
+                parts.push(header, name, data);
+
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);
+                entry.setUint16(4, 20, true);
+                entry.setUint16(6, 20, true);
+                entry.setUint16(14, 0x21, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, data.length, true);
+                entry.setUint32(24, data.length, true);
+                entry.setUint16(28, name.length, true);
+                entry.setUint32(42, offset, true);
+                directory.push(entry, name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(directory, [end]), { type: 'application/zip' });
+        });
+    }
+
+    static crc32(data) {
+        if (!FrameCapture.crcTable) {
+            FrameCapture.crcTable = new Uint32Array(256).map((value, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = FrameCapture.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Defaults to twice the on-screen size
+    constructor(animator, options = {}) {
+        const size = animator.getViewportSize();
+        this.animator = animator;
+        this.options = options;
+        this.width = Math.round(options.width || size.width * 2);
+        this.height = Math.round(options.height || size.height * 2);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+
+        // A separate context, so the capture size never touches the live canvas
+        this.renderer = null;
+        this.fallback = null;
+        if (!animator.fallback) {
+            try {
+                this.renderer = new THREE.WebGLRenderer({
+                    canvas: this.canvas,
+                    alpha: true,
+                    antialias: true,
+                    preserveDrawingBuffer: true
+                });
+                this.renderer.setPixelRatio(1);
+                this.renderer.setSize(this.width, this.height, false);
+                this.renderer.setClearColor(0x000000, 0);
+            } catch (error) {
+                console.warn('WebGL unavailable for capture, using static fallback:', error);
+            }
+        }
+        if (!this.renderer) {
+            this.fallback = new FallbackRenderer(this.canvas);
+        }
+    }
+
+    renderFrame() {
+        const { scene, camera } = this.animator;
+        const aspect = camera.aspect;
+        camera.aspect = this.width / this.height;
+        camera.updateProjectionMatrix();
+
+        const postProcessor = this.animator.effectsEnabled ? this.animator.postProcessor : null;
+        if (this.fallback) {
+            this.fallback.render(this.animator, { width: this.width, height: this.height });
+        } else if (postProcessor) {
+            postProcessor.render(this.renderer, scene, camera, this.width, this.height, this.animator.clock.time);
+        } else {
+            this.renderer.render(scene, camera);
+        }
+
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+    }
+
+    toBlob(type = 'image/png') {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode the frame as ${type}`));
+                }
+            }, type);
+        });
+    }
+
+    // Move the scene to frame `index` of a sequence starting at clock time `start`
+    seekFrame(start, index, fps) {
+        this.animator.clock.seek(start + index / fps);
+        this.animator.update(index === 0 ? 0 : 1 / fps);
+    }
+
+    still(options = {}) {
+        return this.hold(() => {
+            this.animator.update(0);
+            this.renderFrame();
+            return this.toBlob(options.type);
+        });
+    }
+
+    // A fixed number of frames at a fixed step: the same start time always
+    // gives the same images, whatever the display's frame rate
+    frames(options = {}) {
+        const count = options.frames || 60;
+        const fps = options.fps || 30;
+        const start = options.start !== undefined ? options.start : this.animator.clock.time;
+        const blobs = [];
+
+        return this.hold(() => {
+            let chain = Promise.resolve();
+            for (let i = 0; i < count; i++) {
+                chain = chain
+                    .then(() => {
+                        this.seekFrame(start, i, fps);
+                        this.renderFrame();
+                        return this.toBlob(options.type);
+                    })
+                    .then(blob => blobs.push(blob));
+            }
+            return chain.then(() => blobs);
+        });
+    }
+
+    // The same frames as frames(), recorded to WebM. MediaRecorder stamps frames
+    // with the wall clock, so recording takes as long as the clip.
+    video(options = {}) {
+        const count = options.frames || 90;
+        const fps = options.fps || 30;
+        const start = options.start !== undefined ? options.start : this.animator.clock.time;
+
+        // Set up inside the promise, so a browser that can't record this canvas
+        // rejects the capture instead of throwing past the caller's catch
+        return this.hold(() => new Promise((resolve, reject) => {
+            if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+                throw new Error('Video capture needs MediaRecorder and canvas.captureStream');
+            }
+
+            const mimeType = FrameCapture.VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            const stream = this.canvas.captureStream(0);
+            const stopStream = () => stream.getTracks().forEach(t => t.stop());
+            const track = stream.getVideoTracks()[0];
+            const chunks = [];
+
+            let recorder;
+            try {
+                recorder = new MediaRecorder(stream, {
+                    mimeType: mimeType,
+                    videoBitsPerSecond: options.bitrate || 8000000
+                });
+                recorder.ondataavailable = (e) => {
+                    if (e.data.size) chunks.push(e.data);
+                };
+                recorder.onstop = () => {
+                    stopStream();
+                    resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+                };
+                recorder.onerror = (e) => {
+                    stopStream();
+                    reject(e.error || new Error('Recording failed'));
+                };
+                recorder.start();
+            } catch (error) {
+                stopStream();
+                throw error;
+            }
+
+            let index = 0;
+            const next = () => {
+                if (index === count) {
+                    recorder.stop();
+                    return;
+                }
+                this.seekFrame(start, index++, fps);
+                this.renderFrame();
+                if (track.requestFrame) track.requestFrame();
+                setTimeout(next, 1000 / fps);
+            };
+            next();
+        }));
+    }
+
+    // Run a capture with the live loop stopped, then put the scene back as it was
+    hold(task) {
+        const animator = this.animator;
+        const time = animator.clock.time;
+        animator.setPaused('capture', true);
+        animator.beginCapture(this.options);
+
+        const restore = () => {
+            animator.endCapture();
+            animator.clock.seek(time);
+            animator.update(0);
+            animator.renderFrame();
+            animator.setPaused('capture', false);
+            this.dispose();
+        };
+
+        return new Promise(resolve => resolve(task())).then(result => {
+            restore();
+            return result;
+        }, error => {
+            restore();
+            throw error;
+        });
+    }
+
+    dispose() {
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer = null;
+        }
+    }
+}
+
+FrameCapture.crcTable = null;
+
+// Preferred first; the browser picks the first it supports
+FrameCapture.VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// ---- three-animations.js
+
+/**
+ * Three.js Animation Module
+ * Handles all 3D animations and graphics throughout the site
+ */
+
+
+// Single WebGL context shared by every card animator. Browsers only keep
+// around 16 live contexts, so each card scene is drawn into a viewport of
+// one offscreen renderer and then copied onto its own 2D canvas.
+class SharedRenderer {
+    static acquire(animator) {
+        if (!SharedRenderer.instance) {
+            SharedRenderer.instance = new SharedRenderer();
+        }
+        SharedRenderer.instance.clients.add(animator);
+        return SharedRenderer.instance;
+    }
+
+    // Run `task` with the current context (if any) held open, so a scene that
+    // is torn down and rebuilt doesn't drop the last client and start a new one
+    static keepAlive(task) {
+        const instance = SharedRenderer.instance;
+        const holder = { enableFallback() {}, disableFallback() {} };
+        if (instance) {
+            instance.clients.add(holder);
+        }
+        try {
+            return task();
+        } finally {
+            if (instance) {
+                instance.release(holder);
+            }
+        }
+    }
+
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            alpha: true,
+            antialias: true,
+            powerPreference: "high-performance"
+        });
+        
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.setPixelRatio(1);
+        this.renderer.setScissorTest(true);
+        this.clients = new Set();
+        
+        // Every card falls back to 2D together when the shared context goes
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.clients.forEach(animator => animator.enableFallback());
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.clients.forEach(animator => animator.disableFallback());
+        });
+    }
+
+    render(scene, camera, targetCanvas, context, postProcessor = null, time) {
+        const width = targetCanvas.width;
+        const height = targetCanvas.height;
+        if (!width || !height) return;
+        
+        // Grow the backing buffer to fit the largest canvas seen so far
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (size.x < width || size.y < height) {
+            this.renderer.setSize(Math.max(size.x, width), Math.max(size.y, height), false);
+        }
+        
+        this.renderer.setViewport(0, 0, width, height);
+        this.renderer.setScissor(0, 0, width, height);
+        this.renderer.clear();
+        if (postProcessor) {
+            postProcessor.render(this.renderer, scene, camera, width, height, time);
+        } else {
+            this.renderer.render(scene, camera);
+        }
+        
+        // WebGL's origin is bottom-left, so the viewport sits at the bottom of the buffer
+        context.clearRect(0, 0, width, height);
+        context.drawImage(
+            this.canvas,
+            0, this.canvas.height - height, width, height,
+            0, 0, width, height
+        );
+    }
+
+    release(animator) {
+        this.clients.delete(animator);
+        if (!this.clients.size) {
+            // dispose() frees GPU resources but keeps the context; browsers only
+            // allow a handful, so give it back too
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            SharedRenderer.instance = null;
+        }
+    }
+}
+
+SharedRenderer.instance = null;
+
+// Flat 2D rendering of an animator's shapes for browsers without WebGL or
+// while a context is lost, so the cards keep their section colours
+class FallbackRenderer {
+    // A canvas that already holds a WebGL context can't hand out a 2D one,
+    // so draw onto a copy layered in its place
+    static createOverlay(canvas) {
+        const overlay = document.createElement('canvas');
+        overlay.className = canvas.className;
+        overlay.setAttribute('aria-hidden', 'true');
+        canvas.insertAdjacentElement('afterend', overlay);
+        canvas.style.visibility = 'hidden';
+        return overlay;
+    }
+
+    constructor(canvas, source = null) {
+        this.canvas = canvas;
+        this.source = source;
+        this.context = canvas.getContext('2d');
+    }
+
+    // size overrides the canvas's layout size, e.g. for off-screen captures
+    render(animator, size = null) {
+        const canvas = this.canvas;
+        const context = this.context;
+        const pixelRatio = animator.pixelRatio;
+        const width = size ? size.width : Math.floor(canvas.clientWidth * pixelRatio);
+        const height = size ? size.height : Math.floor(canvas.clientHeight * pixelRatio);
+        if (!context || !width || !height) return;
+        
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const camera = animator.camera;
+        camera.updateMatrixWorld();
+        const focalLength = height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        
+        // Painter's order: farthest shapes first
+        const shapes = animator.objects
+            .filter(obj => obj.visible)
+            .map(obj => ({ obj, point: obj.position.clone().project(camera) }))
+            .filter(({ point }) => point.z < 1)
+            .sort((a, b) => b.point.z - a.point.z);
+        
+        context.clearRect(0, 0, width, height);
+        
+        shapes.forEach(({ obj, point }) => {
+            const distance = obj.position.distanceTo(camera.position);
+            const radius = (obj.scale.x || obj.userData.scale) * focalLength / distance;
+            const color = animator.palette.colors[obj.userData.colorIndex || 0];
+            const shape = obj.userData.shape ? obj.userData.shape.type : 'sphere';
+            
+            context.save();
+            context.translate((point.x + 1) / 2 * width, (1 - point.y) / 2 * height);
+            context.rotate(obj.rotation.z);
+            context.globalAlpha = 0.8;
+            this.drawShape(shape, radius, `#${color.getHexString()}`);
+            context.restore();
+        });
+    }
+
+    drawShape(type, radius, color) {
+        const context = this.context;
+        
+        // Soft highlight in the top-left, like the directional light
+        const gradient = context.createRadialGradient(-radius * 0.3, -radius * 0.3, 0, 0, 0, radius);
+        gradient.addColorStop(0, '#FFFFFF');
+        gradient.addColorStop(0.35, color);
+        gradient.addColorStop(1, color);
+        context.fillStyle = gradient;
+        context.strokeStyle = color;
+        context.beginPath();
+        
+        switch(type) {
+            case 'cube':
+                context.rect(-radius * 0.6, -radius * 0.6, radius * 1.2, radius * 1.2);
+                break;
+            case 'torus':
+                context.lineWidth = radius * 0.6;
+                context.arc(0, 0, radius * 0.7, 0, Math.PI * 2);
+                context.stroke();
+                return;
+            case 'octahedron':
+                this.tracePolygon(4, radius);
+                break;
+            case 'icosahedron':
+                this.tracePolygon(6, radius);
+                break;
+            case 'tetrahedron':
+                this.tracePolygon(3, radius);
+                break;
+            default:
+                context.arc(0, 0, radius, 0, Math.PI * 2);
+        }
+        
+        context.fill();
+    }
+
+    tracePolygon(sides, radius) {
+        for (let i = 0; i < sides; i++) {
+            const angle = (i / sides) * Math.PI * 2 - Math.PI / 2;
+            const x = Math.cos(angle) * radius;
+            const y = Math.sin(angle) * radius;
+            if (i === 0) {
+                this.context.moveTo(x, y);
+            } else {
+                this.context.lineTo(x, y);
+            }
+        }
+        this.context.closePath();
+    }
+
+    dispose() {
+        // Only overlays are ours to remove
+        if (this.source) {
+            this.canvas.remove();
+            this.source.style.visibility = '';
+        }
+    }
+}
+
+// Stands in for THREE.WebGLRenderer in headless animators (Node, CI without a
+// GPU). It draws nothing, but keeps the scene's matrices current and counts frames.
+class NullRenderer {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = 1;
+        this.renderTarget = null;
+        this.frames = 0;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.pixelRatio = pixelRatio;
+    }
+
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    getDrawingBufferSize(target) {
+        return target.set(Math.floor(this.width * this.pixelRatio), Math.floor(this.height * this.pixelRatio));
+    }
+
+    setClearColor() {}
+
+    getRenderTarget() {
+        return this.renderTarget;
+    }
+
+    setRenderTarget(target) {
+        this.renderTarget = target;
+    }
+
+    render(scene, camera) {
+        scene.updateMatrixWorld();
+        camera.updateMatrixWorld();
+        this.frames++;
+    }
+
+    forceContextLoss() {}
+
+    dispose() {}
+}
+
+// Small seedable PRNG (mulberry32) so a scene can be rebuilt from its seed
+class SeededRandom {
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
+
+// Materials and colours for an animator's meshes. The mode decides how the
+// two section colours are applied; every mode keeps them as its source.
+class MaterialPalette {
+    // A mode is { create(palette, colorIndex), update?(palette, material, colorIndex, index, time) }
+    static registerMode(name, mode) {
+        if (!mode || typeof mode.create !== 'function') {
+            throw new TypeError(`Palette mode '${name}' needs a create(palette, colorIndex) function`);
+        }
+        MaterialPalette.modes.set(name, mode);
+    }
+
+    static hasMode(name) {
+        return MaterialPalette.modes.has(name);
+    }
+
+    constructor(mode = 'static', color1 = 0x00FFFF, color2 = 0xFF00FF) {
+        if (!MaterialPalette.hasMode(mode)) {
+            console.warn(`Unknown palette mode '${mode}', using static`);
+            mode = 'static';
+        }
+        
+        this.mode = mode;
+        this.definition = MaterialPalette.modes.get(mode);
+        this.colors = [new THREE.Color(color1), new THREE.Color(color2)];
+    }
+
+    setColors(color1, color2) {
+        this.colors[0].set(color1);
+        this.colors[1].set(color2);
+    }
+
+    createMaterial(colorIndex) {
+        return this.definition.create(this, colorIndex);
+    }
+
+    update(mesh, index, time) {
+        // Meshes with their own colour (see ThreeJSAnimator.restoreMaterial) keep it
+        if (this.definition.update && mesh.material && !mesh.userData.color) {
+            this.definition.update(this, mesh.material, mesh.userData.colorIndex || 0, index, time);
+        }
+    }
+}
+
+MaterialPalette.modes = new Map();
+
+MaterialPalette.phong = (color) => new THREE.MeshPhongMaterial({
+    color: color,
+    shininess: 100,
+    transparent: true,
+    opacity: 0.8,
+    side: THREE.DoubleSide
+});
+
+// Each mesh keeps one of the two section colours
+MaterialPalette.registerMode('static', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex) => {
+        material.color.copy(palette.colors[colorIndex]);
+    }
+});
+
+// Meshes drift back and forth between the two section colours
+MaterialPalette.registerMode('gradient', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex, index, time) => {
+        const t = 0.5 + Math.sin(time * 0.5 + index) * 0.5;
+        material.color.copy(palette.colors[colorIndex]).lerp(palette.colors[1 - colorIndex], t);
+    }
+});
+
+// The original rainbow hue cycle
+MaterialPalette.registerMode('cycle', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex, index, time) => {
+        const hue = (time * 0.1 + index * 0.1) % 1;
+        material.color.setHSL(hue, 0.7, 0.6);
+    }
+});
+
+// Thin-film look: the two colours shift across the surface with viewing angle
+MaterialPalette.registerMode('iridescent', {
+    create: (palette, colorIndex) => new THREE.ShaderMaterial({
+        uniforms: {
+            // Shared with the palette so setColors() reaches every mesh
+            color1: { value: palette.colors[colorIndex] },
+            color2: { value: palette.colors[1 - colorIndex] },
+            time: { value: 0 },
+            opacity: { value: 0.8 }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            varying vec3 vViewDir;
+            void main() {
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vNormal = normalize(normalMatrix * normal);
+                vViewDir = normalize(-mvPosition.xyz);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 color1;
+            uniform vec3 color2;
+            uniform float time;
+            uniform float opacity;
+            varying vec3 vNormal;
+            varying vec3 vViewDir;
+            void main() {
+                float fresnel = pow(1.0 - abs(dot(normalize(vNormal), normalize(vViewDir))), 2.0);
+                float film = 0.5 + 0.5 * sin(fresnel * 6.2831 + time);
+                vec3 color = mix(mix(color1, color2, film), vec3(1.0), fresnel * 0.4);
+                gl_FragColor = vec4(color, opacity);
+            }
+        `,
+        transparent: true,
+        side: THREE.DoubleSide
+    }),
+    update: (palette, material, colorIndex, index, time) => {
+        material.uniforms.time.value = time + index;
+    }
+});
+
+// Flat cel shading in the section colours
+MaterialPalette.registerMode('toon', {
+    create: (palette, colorIndex) => {
+        if (!MaterialPalette.toonGradient) {
+            MaterialPalette.toonGradient = new THREE.DataTexture(
+                new Uint8Array([90, 170, 255]), 3, 1, THREE.LuminanceFormat
+            );
+            MaterialPalette.toonGradient.minFilter = THREE.NearestFilter;
+            MaterialPalette.toonGradient.magFilter = THREE.NearestFilter;
+            MaterialPalette.toonGradient.needsUpdate = true;
+        }
+        
+        return new THREE.MeshToonMaterial({
+            color: palette.colors[colorIndex],
+            gradientMap: MaterialPalette.toonGradient,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        });
+    },
+    update: (palette, material, colorIndex) => {
+        material.color.copy(palette.colors[colorIndex]);
+    }
+});
+
+class ThreeJSAnimator {
+    // Make a shape name usable anywhere a type string is accepted. The factory
+    // receives { size, segments, detail, ...options } and returns a BufferGeometry.
+    static registerShape(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Shape factory for '${name}' must be a function`);
+        }
+        ThreeJSAnimator.shapes.set(name, factory);
+    }
+
+    static hasShape(name) {
+        return ThreeJSAnimator.shapes.has(name);
+    }
+
+    // Why an exportScene()-style snapshot can't be imported, or '' if it can
+    static checkScene(data) {
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        
+        if (!data || typeof data !== 'object') return 'not an object';
+        if (data.version !== ThreeJSAnimator.SCENE_VERSION) return `version must be ${ThreeJSAnimator.SCENE_VERSION}`;
+        if (data.time !== undefined && !(Number.isFinite(data.time) && data.time >= 0)) {
+            return 'time must be a number of seconds, 0 or more';
+        }
+        if (data.seed !== undefined && !(Number.isInteger(data.seed) && data.seed >= 0 && data.seed <= 0xFFFFFFFF)) {
+            return 'seed must be a whole number from 0 to 4294967295';
+        }
+        
+        const palette = data.palette;
+        if (palette !== undefined) {
+            if (!palette || typeof palette !== 'object') return 'palette must be an object';
+            if (palette.mode !== undefined && typeof palette.mode !== 'string') return 'palette.mode must be a mode name';
+            if (palette.colors !== undefined && !(Array.isArray(palette.colors) && palette.colors.every(isColor))) {
+                return 'palette.colors must be a list of "#RRGGBB" colours';
+            }
+        }
+        
+        if (!Array.isArray(data.objects)) return 'objects must be an array';
+        for (let index = 0; index < data.objects.length; index++) {
+            const problem = ThreeJSAnimator.checkObject(data.objects[index]);
+            if (problem) return `objects[${index}]: ${problem}`;
+        }
+        return '';
+    }
+
+    // Why a describeObject()-style description can't be built, or '' if it can
+    static checkObject(description) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isVector = value => Boolean(value) && ['x', 'y', 'z'].every(axis => isNumber(value[axis]));
+        
+        if (!description || typeof description !== 'object') return 'not an object';
+        if (typeof description.type !== 'string') return 'type must be a shape name';
+        if (description.colorIndex !== 0 && description.colorIndex !== 1) return 'colorIndex must be 0 or 1';
+        if (!isVector(description.position)) return 'position needs numeric x, y and z';
+        if (!isVector(description.rotation)) return 'rotation needs numeric x, y and z';
+        if (!description.config || !isNumber(description.config.size)) return 'config.size must be a number';
+        
+        const motion = description.motion;
+        if (!motion || !isVector(motion.rotationSpeed) ||
+            !['floatSpeed', 'floatAmount', 'pulseSpeed'].every(key => isNumber(motion[key]))) {
+            return 'motion needs rotationSpeed, floatSpeed, floatAmount and pulseSpeed';
+        }
+        
+        const material = description.material;
+        if (material !== undefined) {
+            if (!material || typeof material !== 'object') return 'material must be an object';
+            if (material.color !== undefined && !/^#[0-9a-f]{6}$/i.test(material.color)) return 'material.color must be "#RRGGBB"';
+            if (material.opacity !== undefined && !(isNumber(material.opacity) && material.opacity >= 0 && material.opacity <= 1)) {
+                return 'material.opacity must be between 0 and 1';
+            }
+        }
+        
+        const behaviors = description.behaviors;
+        if (behaviors !== undefined && !(Array.isArray(behaviors) &&
+            behaviors.every(behavior => behavior && typeof behavior.type === 'string'))) {
+            return 'behaviors must be a list of { type, ... }';
+        }
+        return '';
+    }
+
+    constructor(canvasId, color1 = 0x00FFFF, color2 = 0xFF00FF, options = {}) {
+        // Headless animators render into a NullRenderer and only move when step() is called
+        this.headless = options.headless === true;
+        
+        // Accept either an element id or the canvas element itself; an id can't
+        // be looked up without a document, which only headless animators allow
+        if (typeof canvasId === 'string') {
+            this.canvas = typeof document !== 'undefined' ? document.getElementById(canvasId) : null;
+        } else {
+            this.canvas = canvasId || null;
+        }
+        if (!this.canvas && !this.headless) {
+            console.warn(`Canvas with id '${canvasId}' not found`);
+            return;
+        }
+
+        const size = this.getViewportSize(options);
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, size.width / size.height, 0.1, 1000);
+        
+        this.pixelRatio = this.headless ? 1 : Math.min(window.devicePixelRatio, 2);
+        
+        // All scene randomness comes from here, so the same seed gives the same layout
+        this.rng = new SeededRandom(options.seed);
+        this.seed = this.rng.seed;
+        
+        this.color1 = color1;
+        this.color2 = color2;
+        this.palette = new MaterialPalette(options.palette, color1, color2);
+        this.objects = [];
+        this.animationId = null;
+        this.isPlaying = false;
+        // Why the loop is stopped: 'offscreen', 'hidden', 'user', 'reducedMotion',
+        // or a caller's own reason such as 'capture'. It runs only when empty.
+        this.pauseReasons = new Set();
+        // Listener and observer removers, run by dispose()
+        this.cleanups = [];
+        this.disposed = false;
+        this.segments = 32;
+        this.clock = new AnimationClock();
+        this.engine = new AnimationEngine(this.clock);
+        this.frameInterval = 0;
+        this.lastFrameTime = 0;
+        // Measured from requestAnimationFrame, which follows the display
+        this.refreshInterval = 1000 / 60;
+        this.lastTickTime = 0;
+        this.pauseWhenHidden = options.pauseWhenHidden !== false;
+        this.fallback = null;
+        this.postProcessor = null;
+        this.effectsEnabled = true;
+        
+        if (this.headless) {
+            this.renderer = new NullRenderer(size.width, size.height);
+        } else if (options.webgl === false || !window.WebGLRenderingContext) {
+            this.enableFallback();
+        } else {
+            try {
+                this.setupRenderer(options);
+            } catch (error) {
+                console.warn(`WebGL unavailable for '${this.canvas.id}', using static fallback:`, error);
+                this.enableFallback();
+            }
+        }
+        
+        if (options.effects) {
+            this.setEffects(options.effects);
+        }
+        
+        this.setupScene();
+        if (!this.headless) {
+            this.setupEventListeners();
+            this.updatePlayback();
+        }
+    }
+
+    // addEventListener that dispose() undoes
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // CSS size of the drawing area; headless animators may have no canvas at all
+    getViewportSize(options = {}) {
+        const width = options.width || (this.canvas && this.canvas.clientWidth) || 300;
+        const height = options.height || (this.canvas && this.canvas.clientHeight) || 150;
+        return { width, height };
+    }
+
+    setupRenderer(options) {
+        if (options.sharedRenderer === false) {
+            // Dedicated context, e.g. for the full-screen hero
+            this.renderer = new THREE.WebGLRenderer({ 
+                canvas: this.canvas, 
+                alpha: true, 
+                antialias: true,
+                powerPreference: "high-performance"
+            });
+            
+            this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
+            this.renderer.setClearColor(0x000000, 0);
+            this.renderer.setPixelRatio(this.pixelRatio);
+            
+            this.listen(this.canvas, 'webglcontextlost', (e) => {
+                e.preventDefault();
+                this.enableFallback();
+            });
+            this.listen(this.canvas, 'webglcontextrestored', () => {
+                this.disableFallback();
+            });
+        } else {
+            this.sharedRenderer = SharedRenderer.acquire(this);
+            this.context = this.canvas.getContext('2d');
+            this.resizeCanvas();
+        }
+    }
+
+    // Switch to the static 2D composition until WebGL comes back
+    enableFallback() {
+        if (this.fallback) return;
+        this.stopLoop();
+        
+        if (this.renderer) {
+            this.fallback = new FallbackRenderer(FallbackRenderer.createOverlay(this.canvas), this.canvas);
+        } else {
+            this.fallback = new FallbackRenderer(this.canvas);
+        }
+        
+        if (this.scene) {
+            this.renderFrame();
+        }
+    }
+
+    disableFallback() {
+        if (!this.fallback) return;
+        
+        this.fallback.dispose();
+        this.fallback = null;
+        this.handleResize();
+        this.renderFrame();
+        this.updatePlayback();
+    }
+
+    setupScene() {
+        // Add ambient lighting
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        this.scene.add(ambientLight);
+        
+        // Add directional lighting
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(10, 10, 5);
+        directionalLight.castShadow = true;
+        this.scene.add(directionalLight);
+        
+        // Add point light for extra illumination
+        const pointLight = new THREE.PointLight(0xffffff, 0.4, 100);
+        pointLight.position.set(-10, -10, -5);
+        this.scene.add(pointLight);
+        
+        this.cameraDistance = 5;
+        this.camera.position.z = this.cameraDistance;
+    }
+
+    setupEventListeners() {
+        // Handle resize
+        const resizeObserver = new ResizeObserver(entries => {
+            for (let entry of entries) {
+                this.handleResize();
+            }
+        });
+        resizeObserver.observe(this.canvas);
+        this.cleanups.push(() => resizeObserver.disconnect());
+
+        if (!this.pauseWhenHidden) return;
+
+        // Pause animation when tab is not visible
+        this.setPaused('hidden', document.hidden);
+        this.listen(document, 'visibilitychange', () => {
+            this.setPaused('hidden', document.hidden);
+        });
+
+        // Handle intersection observer for performance
+        const intersectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.target === this.canvas) {
+                    this.setPaused('offscreen', !entry.isIntersecting);
+                }
+            });
+        }, { threshold: 0.1 });
+        intersectionObserver.observe(this.canvas);
+        this.cleanups.push(() => intersectionObserver.disconnect());
+    }
+
+    createFloatingGeometry(type = 'sphere', options = {}) {
+        const defaults = {
+            size: 0.8,
+            segments: this.segments,
+            detail: 0
+        };
+        
+        // Random colour, placement and motion, drawn in a fixed order so a seed
+        // always gives the same layout
+        const colorIndex = this.random() > 0.5 ? 0 : 1;
+        const position = {
+            x: (this.random() - 0.5) * 6,
+            y: (this.random() - 0.5) * 6,
+            z: (this.random() - 0.5) * 3
+        };
+        const rotation = {
+            x: this.random() * Math.PI * 2,
+            y: this.random() * Math.PI * 2,
+            z: this.random() * Math.PI * 2
+        };
+        const motion = {
+            rotationSpeed: {
+                x: (this.random() - 0.5) * 0.02,
+                y: (this.random() - 0.5) * 0.02,
+                z: (this.random() - 0.5) * 0.02
+            },
+            floatSpeed: this.random() * 0.01 + 0.005,
+            floatAmount: this.random() * 0.5 + 0.2,
+            pulseSpeed: this.random() * 0.02 + 0.01
+        };
+        
+        return this.addObject({
+            type: type,
+            config: { ...defaults, ...options },
+            colorIndex: colorIndex,
+            position: position,
+            rotation: rotation,
+            motion: motion
+        });
+    }
+
+    // Build a mesh from a plain description, as produced by describeObject()
+    addObject(description) {
+        const { type, colorIndex, motion } = description;
+        const config = { segments: this.segments, ...description.config };
+        const geometry = this.buildGeometry(type, config);
+        const material = this.palette.createMaterial(colorIndex);
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        this.restoreMaterial(mesh, description);
+        mesh.position.set(description.position.x, description.position.y, description.position.z);
+        mesh.rotation.set(description.rotation.x, description.rotation.y, description.rotation.z);
+        
+        // Animation properties
+        mesh.userData = {
+            rotationSpeed: { ...motion.rotationSpeed },
+            floatSpeed: motion.floatSpeed,
+            floatAmount: motion.floatAmount,
+            originalPosition: mesh.position.clone(),
+            originalRotation: mesh.rotation.clone(),
+            scale: config.size,
+            colorIndex: colorIndex,
+            shape: { type: type, config: config },
+            pulseSpeed: motion.pulseSpeed,
+            color: mesh.userData.color || null
+        };
+        
+        if (description.behaviors) {
+            this.engine.restore(mesh, description.behaviors);
+        } else {
+            // Default motion; the per-frame speeds above are converted to per second
+            const phase = this.objects.length;
+            this.engine.add(mesh, 'spin', {
+                x: motion.rotationSpeed.x * 60,
+                y: motion.rotationSpeed.y * 60,
+                z: motion.rotationSpeed.z * 60
+            });
+            this.engine.add(mesh, 'float', { speed: motion.floatSpeed, amount: motion.floatAmount * 0.1, phase });
+            this.engine.add(mesh, 'pulse', { speed: motion.pulseSpeed, amount: 0.1, phase });
+        }
+        
+        this.scene.add(mesh);
+        this.objects.push(mesh);
+        
+        if (this.fallback) {
+            this.scheduleFallbackDraw();
+        }
+        
+        return mesh;
+    }
+
+    // The palette mode decides the material type, and animated modes derive the
+    // colour from scene time; a static-mode colour that differs from the palette
+    // (set by hand before exporting) is kept, as is the opacity
+    restoreMaterial(mesh, description) {
+        const saved = description.material;
+        if (!saved) return;
+        
+        if (saved.opacity !== undefined) {
+            mesh.material.opacity = saved.opacity;
+            if (mesh.material.uniforms && mesh.material.uniforms.opacity) {
+                mesh.material.uniforms.opacity.value = saved.opacity;
+            }
+        }
+        
+        if (saved.color && this.palette.mode === 'static' && mesh.material.color) {
+            const color = new THREE.Color(saved.color);
+            if (!color.equals(this.palette.colors[description.colorIndex])) {
+                mesh.userData.color = color;
+                mesh.material.color.copy(color);
+            }
+        }
+    }
+
+    // Everything needed to rebuild a mesh: shape, rest transform, material and motion
+    describeObject(mesh) {
+        const data = mesh.userData;
+        const vector = v => ({ x: v.x, y: v.y, z: v.z });
+        const color = mesh.material.color || this.palette.colors[data.colorIndex];
+        
+        // Segments follow the quality tier of whoever loads the scene
+        const { segments, ...config } = data.shape.config;
+        
+        return {
+            type: data.shape.type,
+            config: config,
+            colorIndex: data.colorIndex,
+            position: vector(data.originalPosition),
+            rotation: vector(data.originalRotation),
+            material: {
+                type: mesh.material.type,
+                color: `#${color.getHexString()}`,
+                opacity: mesh.material.uniforms && mesh.material.uniforms.opacity
+                    ? mesh.material.uniforms.opacity.value
+                    : mesh.material.opacity
+            },
+            motion: {
+                rotationSpeed: { ...data.rotationSpeed },
+                floatSpeed: data.floatSpeed,
+                floatAmount: data.floatAmount,
+                pulseSpeed: data.pulseSpeed
+            },
+            behaviors: this.engine.serialize(mesh)
+        };
+    }
+
+    // Snapshot of the composition as JSON-safe data; importScene() rebuilds it
+    // exactly, including the current moment of the animation
+    exportScene() {
+        return {
+            version: ThreeJSAnimator.SCENE_VERSION,
+            seed: this.seed,
+            time: this.clock.time,
+            palette: {
+                mode: this.palette.mode,
+                colors: this.palette.colors.map(color => `#${color.getHexString()}`)
+            },
+            objects: this.objects.map(obj => this.describeObject(obj))
+        };
+    }
+
+    // Returns false, leaving the current scene as it was, when `data` isn't a valid scene
+    importScene(data) {
+        // Check everything before touching the current scene
+        const problem = ThreeJSAnimator.checkScene(data);
+        if (problem) {
+            console.error(`Invalid scene: ${problem}, got`, data);
+            return false;
+        }
+        
+        const previous = this.exportScene();
+        try {
+            this.buildScene(data);
+        } catch (error) {
+            // e.g. a custom shape factory rejecting the saved config
+            console.error('Could not import scene, keeping the current one:', error);
+            this.buildScene(previous);
+            return false;
+        }
+        return true;
+    }
+
+    buildScene(data) {
+        this.clearObjects();
+        
+        if (data.palette) {
+            const colors = data.palette.colors || [];
+            this.palette = new MaterialPalette(
+                data.palette.mode,
+                colors[0] || this.palette.colors[0],
+                colors[1] || this.palette.colors[1]
+            );
+        }
+        if (data.seed !== undefined) {
+            // Objects added after the import draw from the restored seed
+            this.rng = new SeededRandom(data.seed);
+            this.seed = this.rng.seed;
+        }
+        this.clock.seek(data.time || 0);
+        
+        data.objects.forEach(description => this.addObject(description));
+        if (this.quality) {
+            this.applyQuality(this.quality);
+        }
+        
+        this.update(0);
+        this.renderFrame();
+    }
+
+    // High-resolution still at any size, independent of the on-screen canvas.
+    // Resolves with a PNG Blob; options: width, height, type.
+    captureStill(options = {}) {
+        return new FrameCapture(this, options).still(options);
+    }
+
+    // Deterministic sequence of stills; options: width, height, frames, fps, start
+    captureFrames(options = {}) {
+        return new FrameCapture(this, options).frames(options);
+    }
+
+    // The same sequence recorded to a WebM Blob with MediaRecorder
+    recordVideo(options = {}) {
+        return new FrameCapture(this, options).video(options);
+    }
+
+    // Export the current frame as a glTF 2.0 asset for print and motion work
+    exportGLTF() {
+        // Every object at full detail, not just what the live tier shows
+        const restoreQuality = this.useFullQuality();
+        try {
+            return SceneExporter.toGLTF(this.scene, this.camera, {
+                objects: this.objects,
+                name: this.canvas ? this.canvas.id : 'scene',
+                colorOf: mesh => mesh.material.color || this.palette.colors[mesh.userData.colorIndex || 0]
+            });
+        } finally {
+            restoreQuality();
+        }
+    }
+
+    buildGeometry(type, config) {
+        let factory = ThreeJSAnimator.shapes.get(type);
+        if (!factory) {
+            console.warn(`Unknown shape '${type}', using sphere`);
+            factory = ThreeJSAnimator.shapes.get('sphere');
+        }
+        
+        const geometry = factory(config);
+        if (!(geometry instanceof THREE.BufferGeometry)) {
+            console.error(`Shape factory for '${type}' must return a THREE.BufferGeometry, got`, geometry);
+            return ThreeJSAnimator.shapes.get('sphere')(config);
+        }
+        
+        return geometry;
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    animate() {
+        if (!this.isPlaying) return;
+        
+        this.animationId = requestAnimationFrame(() => this.animate());
+        
+        const now = performance.now();
+        const tick = now - this.lastTickTime;
+        this.lastTickTime = now;
+        if (tick > 0 && tick < 250) {
+            this.refreshInterval += (tick - this.refreshInterval) * 0.1;
+        }
+        
+        // Skip frames to hold the quality tier's target fps on average: draw
+        // whenever this refresh is nearer the next due time than the one after
+        // it, and schedule from the due time rather than now so 45fps on a 60Hz
+        // display draws three frames in four instead of every other one
+        if (this.frameInterval) {
+            const elapsed = now - this.lastFrameTime;
+            if (elapsed < this.frameInterval - this.refreshInterval / 2) return;
+            this.lastFrameTime = elapsed > this.frameInterval * 2 ? now : this.lastFrameTime + this.frameInterval;
+        }
+        
+        this.update(this.clock.tick(now));
+        this.renderFrame();
+    }
+
+    // Advance the scene state by delta seconds of clock time; no rendering here
+    update(delta) {
+        const time = this.clock.time;
+        
+        // Behaviours rebuild every pose from scene time, so motion is frame-rate independent
+        this.engine.update(time);
+        this.objects.forEach((obj, index) => {
+            this.palette.update(obj, index, time);
+        });
+        
+        // Camera slight movement for dynamic feel
+        this.camera.position.x = Math.sin(time * 0.1) * 0.5;
+        this.camera.position.y = Math.cos(time * 0.15) * 0.3;
+        this.camera.position.z = this.cameraDistance;
+        this.camera.lookAt(0, 0, 0);
+        
+        this.beforeRender(time, delta);
+    }
+
+    // Run a fixed number of frames at a fixed delta, independent of the display.
+    // Drives headless scenes and gives repeatable results from a given seed.
+    step(frames = 1, delta = 1 / 60) {
+        for (let i = 0; i < frames; i++) {
+            this.update(this.clock.advance(delta));
+            this.renderFrame();
+        }
+        return this;
+    }
+
+    // Plain-data snapshot of the scene for tests and debugging
+    getSceneState() {
+        const vector = v => ({ x: v.x, y: v.y, z: v.z });
+        
+        return {
+            seed: this.seed,
+            time: this.clock.time,
+            frames: this.renderer instanceof NullRenderer ? this.renderer.frames : null,
+            objectCount: this.objects.length,
+            visibleCount: this.objects.filter(obj => obj.visible).length,
+            camera: vector(this.camera.position),
+            objects: this.objects.map(obj => {
+                const colorIndex = obj.userData.colorIndex || 0;
+                const color = obj.material.color || this.palette.colors[colorIndex];
+                return {
+                    type: obj.userData.shape ? obj.userData.shape.type : null,
+                    visible: obj.visible,
+                    colorIndex: colorIndex,
+                    color: `#${color.getHexString()}`,
+                    position: vector(obj.position),
+                    rotation: vector(obj.rotation),
+                    scale: obj.scale.x
+                };
+            })
+        };
+    }
+
+    // Hook for subclasses to adjust the scene after the built-in motion
+    beforeRender(time, delta) {}
+
+    // The top tier's detail with every object shown, whatever the device manages
+    // live, so captures and exports come out the same everywhere. The live pixel
+    // ratio and frame cap stay, as they only concern the on-screen canvas.
+    // Returns a function that puts the live tier back.
+    useFullQuality() {
+        if (this.qualityHeld) return () => {};
+        
+        const live = this.quality;
+        const top = QualityGovernor.TIERS[QualityGovernor.TIERS.length - 1];
+        this.applyQuality(live ? { ...top, pixelRatio: live.pixelRatio, fps: live.fps } : top);
+        this.qualityHeld = true;
+        this.liveQuality = live;
+        
+        return () => {
+            this.qualityHeld = false;
+            if (this.liveQuality) {
+                this.applyQuality(this.liveQuality);
+            }
+            this.quality = this.liveQuality;
+            this.liveQuality = null;
+        };
+    }
+
+    // Hooks around a FrameCapture; subclasses whose motion depends on more
+    // than the scene clock pin it here too (see HeroAnimator)
+    beginCapture(options = {}) {
+        this.restoreQuality = this.useFullQuality();
+    }
+
+    endCapture() {
+        if (this.restoreQuality) {
+            this.restoreQuality();
+            this.restoreQuality = null;
+        }
+    }
+
+    // Attach a named behaviour (spin, float, pulse, orbit, spring, path) to a mesh
+    addBehavior(mesh, type, params = {}) {
+        return this.engine.add(mesh, type, params);
+    }
+
+    removeBehavior(mesh, behaviorOrType) {
+        this.engine.remove(mesh, behaviorOrType);
+    }
+
+    // Batch the static redraws while a scene is being populated
+    scheduleFallbackDraw() {
+        if (this.fallbackDrawId) return;
+        this.fallbackDrawId = requestAnimationFrame(() => {
+            this.fallbackDrawId = null;
+            if (this.fallback) {
+                this.renderFrame();
+            }
+        });
+    }
+
+    renderFrame() {
+        if (this.disposed) return;
+        const postProcessor = this.effectsEnabled ? this.postProcessor : null;
+        
+        if (this.fallback) {
+            this.fallback.render(this);
+        } else if (this.sharedRenderer) {
+            this.sharedRenderer.render(this.scene, this.camera, this.canvas, this.context, postProcessor, this.clock.time);
+        } else if (postProcessor) {
+            const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+            postProcessor.render(this.renderer, this.scene, this.camera, size.x, size.y, this.clock.time);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // Opt-in post-processing, e.g. ['bloom', { type: 'halftone', dotSize: 8 }]
+    setEffects(effects) {
+        if (this.postProcessor) {
+            this.postProcessor.dispose();
+            this.postProcessor = null;
+        }
+        
+        if (effects && effects.length) {
+            const postProcessor = new PostProcessor(effects);
+            if (!postProcessor.isEmpty) {
+                this.postProcessor = postProcessor;
+            }
+        }
+    }
+
+    resizeCanvas() {
+        // Shared-renderer canvases are plain 2D targets sized in device pixels
+        this.canvas.width = Math.floor(this.canvas.clientWidth * this.pixelRatio);
+        this.canvas.height = Math.floor(this.canvas.clientHeight * this.pixelRatio);
+    }
+
+    handleResize() {
+        if (!this.canvas || !this.camera) return;
+        
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        
+        if (this.sharedRenderer) {
+            this.resizeCanvas();
+        } else if (this.renderer) {
+            this.renderer.setSize(width, height);
+        }
+        
+        if (this.fallback) {
+            this.scheduleFallbackDraw();
+        }
+    }
+
+    // The visitor-facing switch; other pause reasons still apply
+    play() {
+        this.setMotionEnabled(true);
+    }
+
+    pause() {
+        this.setMotionEnabled(false);
+    }
+
+    // Add or clear one pause reason without touching the others
+    setPaused(reason, paused) {
+        if (paused === this.pauseReasons.has(reason)) return;
+        
+        if (paused) {
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
+        }
+        this.updatePlayback();
+    }
+
+    isPausedFor(reason) {
+        return this.pauseReasons.has(reason);
+    }
+
+    get motionEnabled() {
+        return !this.pauseReasons.has('user') && !this.pauseReasons.has('reducedMotion');
+    }
+
+    updatePlayback() {
+        if (this.pauseReasons.size) {
+            this.stopLoop();
+        } else {
+            this.startLoop();
+        }
+    }
+
+    startLoop() {
+        if (this.isPlaying || this.fallback || this.headless || this.disposed) return;
+        this.isPlaying = true;
+        this.clock.reset();
+        this.animate();
+    }
+
+    stopLoop() {
+        this.isPlaying = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // Swap the palette mode; existing meshes get fresh materials
+    setPalette(mode) {
+        this.palette = new MaterialPalette(mode, this.palette.colors[0], this.palette.colors[1]);
+        this.objects.forEach(obj => {
+            obj.material.dispose();
+            obj.material = this.palette.createMaterial(obj.userData.colorIndex || 0);
+            // A new palette recolours everything, including imported colours
+            obj.userData.color = null;
+        });
+    }
+
+    // Called by QualityGovernor when the frame budget changes
+    applyQuality(tier) {
+        // A tier change during a capture waits until the capture ends
+        if (this.qualityHeld) {
+            this.liveQuality = tier;
+            return;
+        }
+        this.quality = tier;
+        this.frameInterval = tier.fps ? 1000 / tier.fps : 0;
+        this.effectsEnabled = tier.effects;
+        
+        const pixelRatio = Math.min(this.headless ? 1 : window.devicePixelRatio, tier.pixelRatio);
+        if (pixelRatio !== this.pixelRatio) {
+            this.pixelRatio = pixelRatio;
+            if (this.sharedRenderer) {
+                this.resizeCanvas();
+            } else if (this.renderer) {
+                this.renderer.setPixelRatio(pixelRatio);
+            }
+        }
+        
+        if (tier.segments !== this.segments) {
+            this.segments = tier.segments;
+            this.objects.forEach(obj => {
+                const shape = obj.userData.shape;
+                if (!shape || shape.config.segments === tier.segments) return;
+                
+                shape.config = { ...shape.config, segments: tier.segments };
+                obj.geometry.dispose();
+                obj.geometry = this.buildGeometry(shape.type, shape.config);
+            });
+        }
+        
+        // Hide the tail of the object list rather than rebuilding the scene
+        const visibleCount = Math.ceil(this.objects.length * tier.objectScale);
+        this.objects.forEach((obj, index) => {
+            obj.visible = index < visibleCount;
+        });
+    }
+
+    // The visitor's motion toggle: hold a still frame
+    setMotionEnabled(enabled) {
+        this.setPaused('user', !enabled);
+        if (!enabled) {
+            this.renderFrame();
+        }
+    }
+
+    // The OS reduced-motion setting, tracked apart from the visitor's choice
+    setReducedMotion(reduced) {
+        this.setPaused('reducedMotion', reduced);
+        if (reduced) {
+            this.renderFrame();
+        }
+    }
+
+    clearObjects() {
+        this.objects.forEach(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+            this.scene.remove(obj);
+        });
+        this.engine.clear();
+        this.objects = [];
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        this.stopLoop();
+        
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.fallbackDrawId) {
+            cancelAnimationFrame(this.fallbackDrawId);
+            this.fallbackDrawId = null;
+        }
+        
+        this.clearObjects();
+        
+        if (this.fallback) {
+            this.fallback.dispose();
+            this.fallback = null;
+        }
+        
+        this.setEffects(null);
+        
+        // Clean up renderer
+        if (this.sharedRenderer) {
+            this.sharedRenderer.release(this);
+            this.sharedRenderer = null;
+        } else if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+        }
+    }
+
+    addRandomObjects(count = 3, types = ThreeJSAnimator.SHAPES) {
+        for (let i = 0; i < count; i++) {
+            const type = types[Math.floor(this.random() * types.length)];
+            const size = this.random() * 0.5 + 0.5;
+            this.createFloatingGeometry(type, { size });
+        }
+    }
+}
+
+ThreeJSAnimator.shapes = new Map();
+
+// Bump when the exportScene() format changes incompatibly
+ThreeJSAnimator.SCENE_VERSION = 1;
+
+// Default pool for addRandomObjects; any registered shape can be requested by name
+ThreeJSAnimator.SHAPES = ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron', 'tetrahedron'];
+
+ThreeJSAnimator.registerShape('sphere', config => {
+    return new THREE.SphereGeometry(config.size, config.segments, config.segments);
+});
+ThreeJSAnimator.registerShape('cube', config => {
+    return new THREE.BoxGeometry(config.size, config.size, config.size);
+});
+ThreeJSAnimator.registerShape('torus', config => {
+    return new THREE.TorusGeometry(
+        config.size * 0.7,
+        config.size * 0.3,
+        Math.round(config.segments / 2),
+        Math.round(config.segments * 3.125)
+    );
+});
+ThreeJSAnimator.registerShape('torusKnot', config => {
+    return new THREE.TorusKnotGeometry(
+        config.size * 0.5,
+        config.size * 0.15,
+        Math.round(config.segments * 2),
+        Math.round(config.segments / 4)
+    );
+});
+ThreeJSAnimator.registerShape('octahedron', config => new THREE.OctahedronGeometry(config.size));
+ThreeJSAnimator.registerShape('icosahedron', config => new THREE.IcosahedronGeometry(config.size, config.detail));
+ThreeJSAnimator.registerShape('tetrahedron', config => new THREE.TetrahedronGeometry(config.size));
+
+// Scroll-linked choreography: keyframes tied to section ids are blended as
+// the reader scrolls between them. A keyframe is reached at the same scroll
+// position the navigation links scroll to, so it lines up with the active link.
+class ScrollTimeline {
+    constructor(keyframes = []) {
+        this.keyframes = keyframes
+            .map(keyframe => ScrollTimeline.normalize(keyframe))
+            .filter(Boolean);
+        this.anchors = [];
+        this.frozenScrollY = null;
+        
+        // Sections can move as content above them loads, so re-measure whenever
+        // the reader reaches a new one as well as on resize
+        this.onLayoutChange = () => this.measure();
+        window.addEventListener('app:resize', this.onLayoutChange);
+        window.addEventListener('nav:sectionchange', this.onLayoutChange);
+        
+        this.measure();
+    }
+
+    static normalize(keyframe) {
+        const element = document.getElementById(keyframe.section);
+        if (!element) {
+            console.warn(`Scroll keyframe section '${keyframe.section}' not found`);
+            return null;
+        }
+        
+        const camera = keyframe.camera || {};
+        const colors = keyframe.colors || [0x00FFFF, 0xFF00FF];
+        
+        return {
+            section: keyframe.section,
+            element: element,
+            camera: new THREE.Vector3(camera.x || 0, camera.y || 0, camera.z || 0),
+            colors: colors.map(color => new THREE.Color(color)),
+            spread: keyframe.spread !== undefined ? keyframe.spread : 1,
+            rotationSpeed: keyframe.rotationSpeed !== undefined ? keyframe.rotationSpeed : 1
+        };
+    }
+
+    measure() {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        
+        this.keyframes.forEach(keyframe => {
+            keyframe.anchor = keyframe.element.getBoundingClientRect().top + window.scrollY - headerHeight;
+        });
+        this.keyframes.sort((a, b) => a.anchor - b.anchor);
+    }
+
+    // Pin sample() to one scroll position, or follow the page again with null
+    freeze(scrollY) {
+        this.frozenScrollY = scrollY;
+    }
+
+    sample(scrollY = this.frozenScrollY !== null ? this.frozenScrollY : window.scrollY) {
+        const keyframes = this.keyframes;
+        if (!keyframes.length) return null;
+        
+        let index = 0;
+        while (index < keyframes.length - 1 && scrollY >= keyframes[index + 1].anchor) {
+            index++;
+        }
+        
+        const from = keyframes[index];
+        const to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+        const range = to.anchor - from.anchor;
+        const t = range > 0 ? Math.min(Math.max((scrollY - from.anchor) / range, 0), 1) : 0;
+        
+        return {
+            section: t < 0.5 ? from.section : to.section,
+            progress: t,
+            camera: from.camera.clone().lerp(to.camera, t),
+            colors: from.colors.map((color, i) => color.clone().lerp(to.colors[i] || color, t)),
+            spread: from.spread + (to.spread - from.spread) * t,
+            rotationSpeed: from.rotationSpeed + (to.rotationSpeed - from.rotationSpeed) * t
+        };
+    }
+
+    dispose() {
+        window.removeEventListener('app:resize', this.onLayoutChange);
+        window.removeEventListener('nav:sectionchange', this.onLayoutChange);
+    }
+}
+
+// Hero section specialized animator
+class HeroAnimator extends ThreeJSAnimator {
+    constructor(options = {}) {
+        const colors = options.colors || [0x00FFFF, 0xFF00FF];
+        super('hero-canvas', colors[0], colors[1], { ...options, sharedRenderer: false });
+        if (!this.scene) return;
+        
+        this.objectCount = options.objectCount !== undefined ? options.objectCount : 20;
+        this.shapes = options.shapes || ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron'];
+        this.focalShape = options.focalShape || 'icosahedron';
+        this.createHeroScene();
+        
+        if (options.interactive !== false && !this.headless) {
+            this.setupInteraction();
+        }
+    }
+
+    createHeroScene() {
+        const types = this.shapes;
+        
+        // Create more objects for the hero section
+        for (let i = 0; i < this.objectCount; i++) {
+            const type = types[Math.floor(this.random() * types.length)];
+            const size = this.random() * 0.8 + 0.4;
+            this.createFloatingGeometry(type, { size });
+        }
+        
+        // Add some larger focal objects
+        for (let i = 0; i < 3; i++) {
+            const size = this.random() * 1.5 + 1;
+            this.createFloatingGeometry(this.focalShape, { size });
+        }
+    }
+
+    setupInteraction() {
+        this.interaction = {
+            enabled: false,
+            pointer: new THREE.Vector2(),
+            pointerMoved: false,
+            parallax: new THREE.Vector2(),
+            parallaxTarget: new THREE.Vector2(),
+            raycaster: new THREE.Raycaster(),
+            hovered: null
+        };
+        
+        // The hero content sits above the canvas, so listen on the whole section
+        this.interactionTarget = this.canvas.parentElement || this.canvas;
+        
+        this.onPointerMove = (e) => {
+            this.updatePointer(e);
+            this.interaction.parallaxTarget.copy(this.interaction.pointer);
+            // Touch has no hover state, only parallax
+            this.interaction.pointerMoved = e.pointerType !== 'touch';
+        };
+        
+        this.onPointerLeave = () => {
+            this.interaction.parallaxTarget.set(0, 0);
+            this.setHovered(null);
+        };
+        
+        this.onPointerClick = (e) => {
+            if (e.target.closest('a, button')) return;
+            this.updatePointer(e);
+            this.applyImpulse();
+        };
+        
+        // Switch off when the visitor asks for reduced motion
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.onReducedMotionChange = () => {
+            this.setInteractive(this.motionEnabled && !this.reducedMotionQuery.matches);
+        };
+        this.listen(this.reducedMotionQuery, 'change', this.onReducedMotionChange);
+        this.onReducedMotionChange();
+    }
+
+    setInteractive(enabled) {
+        if (!this.interaction || this.interaction.enabled === enabled) return;
+        this.interaction.enabled = enabled;
+        
+        const method = enabled ? 'addEventListener' : 'removeEventListener';
+        this.interactionTarget[method]('pointermove', this.onPointerMove, { passive: true });
+        this.interactionTarget[method]('pointerleave', this.onPointerLeave);
+        this.interactionTarget[method]('click', this.onPointerClick);
+        
+        if (!enabled) {
+            this.onPointerLeave();
+        }
+    }
+
+    setPaused(reason, paused) {
+        super.setPaused(reason, paused);
+        if (this.interaction) {
+            this.onReducedMotionChange();
+        }
+    }
+
+    updatePointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.interaction.pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    setHovered(mesh) {
+        const previous = this.interaction.hovered;
+        if (previous === mesh) return;
+        
+        if (previous && previous.material.emissive) {
+            previous.material.emissive.setHex(0x000000);
+        }
+        if (mesh && mesh.material.emissive) {
+            mesh.material.emissive.setHex(0x444444);
+        }
+        
+        this.interaction.hovered = mesh;
+        this.interactionTarget.style.cursor = mesh ? 'pointer' : '';
+    }
+
+    // Push shapes near the pointer away; a spring behaviour carries them back to
+    // originalPosition, picking up from wherever an earlier push left them
+    applyImpulse() {
+        const { raycaster, pointer } = this.interaction;
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        const origin = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (!origin) return;
+        
+        const radius = 3;
+        const time = this.clock.time;
+        this.objects.filter(obj => obj.visible).forEach(obj => {
+            const direction = obj.position.clone().sub(origin);
+            const distance = direction.length();
+            if (distance > radius) return;
+            
+            const current = this.engine.get(obj, 'spring');
+            const state = current ? current.state(time) : null;
+            const strength = (1 - distance / radius) * 15;
+            const velocity = direction.normalize().multiplyScalar(strength);
+            
+            if (current) {
+                this.engine.remove(obj, current);
+                velocity.add(state.velocity);
+            }
+            this.engine.add(obj, 'spring', {
+                from: state ? state.offset : null,
+                velocity: velocity
+            });
+        });
+    }
+
+    setScrollTimeline(timeline) {
+        if (this.scrollTimeline) {
+            this.scrollTimeline.dispose();
+        }
+        this.scrollTimeline = timeline;
+    }
+
+    beforeRender(time, delta) {
+        this.applyScrollTimeline(delta);
+        if (!this.capture) {
+            this.applyInteraction(delta);
+        }
+    }
+
+    // A capture samples the timeline at one scroll position (options.scrollY,
+    // default where the page is now), starts the section's extra spin from
+    // zero and ignores the pointer, so the same options give the same frames
+    beginCapture(options = {}) {
+        super.beginCapture(options);
+        this.capture = {
+            boosts: this.objects.map(obj => obj.userData.rotationBoost)
+        };
+        this.objects.forEach(obj => {
+            obj.userData.rotationBoost = null;
+        });
+        if (this.scrollTimeline) {
+            this.scrollTimeline.freeze(options.scrollY !== undefined ? options.scrollY : window.scrollY);
+        }
+    }
+
+    endCapture() {
+        super.endCapture();
+        if (!this.capture) return;
+        this.objects.forEach((obj, index) => {
+            obj.userData.rotationBoost = this.capture.boosts[index];
+        });
+        if (this.scrollTimeline) {
+            this.scrollTimeline.freeze(null);
+        }
+        this.capture = null;
+    }
+
+    applyScrollTimeline(delta) {
+        if (!this.scrollTimeline) return;
+        const state = this.scrollTimeline.sample();
+        if (!state) return;
+        
+        this.objects.forEach(obj => {
+            // The section's extra spin accumulates on top of the spin behaviour
+            const speed = obj.userData.rotationSpeed;
+            const boost = obj.userData.rotationBoost || (obj.userData.rotationBoost = new THREE.Vector3());
+            boost.x += speed.x * 60 * (state.rotationSpeed - 1) * delta;
+            boost.y += speed.y * 60 * (state.rotationSpeed - 1) * delta;
+            boost.z += speed.z * 60 * (state.rotationSpeed - 1) * delta;
+            obj.rotation.x += boost.x;
+            obj.rotation.y += boost.y;
+            obj.rotation.z += boost.z;
+            
+            obj.position.multiplyScalar(state.spread);
+        });
+        
+        this.palette.setColors(state.colors[0], state.colors[1]);
+        
+        this.camera.position.add(state.camera);
+        this.camera.lookAt(0, 0, 0);
+        this.scrollState = state;
+    }
+
+    applyInteraction(delta) {
+        if (!this.interaction || !this.interaction.enabled) return;
+        const { raycaster, pointer, parallax, parallaxTarget } = this.interaction;
+        
+        // Ease the camera toward the pointer for parallax (5% per 60 Hz frame)
+        parallax.lerp(parallaxTarget, 1 - Math.pow(0.95, delta * 60));
+        this.camera.position.x += parallax.x * 0.8;
+        this.camera.position.y += parallax.y * 0.5;
+        this.camera.lookAt(0, 0, 0);
+        
+        // Look again if the quality tier has just hidden the hovered shape
+        const { hovered } = this.interaction;
+        if (this.interaction.pointerMoved || (hovered && !hovered.visible)) {
+            raycaster.setFromCamera(pointer, this.camera);
+            // The raycaster ignores `visible`, so leave out what the quality tier hides
+            const hit = raycaster.intersectObjects(this.objects.filter(obj => obj.visible))[0];
+            this.setHovered(hit ? hit.object : null);
+            this.interaction.pointerMoved = false;
+        }
+    }
+
+    dispose() {
+        this.setScrollTimeline(null);
+        if (this.interaction) {
+            this.setInteractive(false);
+        }
+        super.dispose();
+    }
+}
+
+// Watches page frame times and steps every animator's quality tier down when
+// frames run slow, and back up after a sustained stretch of headroom
+class QualityGovernor {
+    constructor(onChange, options = {}) {
+        this.onChange = onChange;
+        this.tierIndex = QualityGovernor.TIERS.length - 1;
+        this.sampleSize = options.sampleSize || 60;
+        // Frame times are judged against the display's own refresh interval, so
+        // a 48Hz or 120Hz screen isn't mistaken for a slow or idle GPU
+        this.slowRatio = options.slowRatio || 1.2;
+        this.fastRatio = options.fastRatio || 1.05;
+        this.refreshInterval = 1000 / 60;
+        this.measuredRefresh = false;
+        this.windowsBeforeUpgrade = options.windowsBeforeUpgrade || 5;
+        this.debug = options.debug === true;
+        
+        this.frameTimes = [];
+        this.fastWindows = 0;
+        this.lastTime = 0;
+        this.frameId = null;
+    }
+
+    get tier() {
+        return QualityGovernor.TIERS[this.tierIndex];
+    }
+
+    start() {
+        if (this.frameId) return;
+        this.lastTime = 0;
+        this.frameId = requestAnimationFrame(time => this.sample(time));
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.frameTimes = [];
+    }
+
+    sample(time) {
+        this.frameId = requestAnimationFrame(next => this.sample(next));
+        
+        // Ignore the gap after a hidden tab or a pause
+        const delta = time - this.lastTime;
+        this.lastTime = time;
+        if (!delta || delta > 250) return;
+        
+        this.frameTimes.push(delta);
+        if (this.frameTimes.length < this.sampleSize) return;
+        
+        const average = this.frameTimes.reduce((sum, value) => sum + value, 0) / this.frameTimes.length;
+        this.measureRefresh(this.frameTimes);
+        this.frameTimes = [];
+        this.evaluate(average);
+    }
+
+    // The display refreshes at least as often as the smoothest window so far
+    // ran, so the lowest median frame time seen is taken as its interval
+    measureRefresh(frameTimes) {
+        const sorted = frameTimes.slice().sort((a, b) => a - b);
+        const quick = sorted[Math.floor(sorted.length / 2)];
+        if (!this.measuredRefresh || quick < this.refreshInterval) {
+            this.refreshInterval = quick;
+            this.measuredRefresh = true;
+        }
+    }
+
+    evaluate(averageFrameTime) {
+        if (averageFrameTime > this.refreshInterval * this.slowRatio) {
+            this.fastWindows = 0;
+            this.setTier(this.tierIndex - 1);
+        } else if (averageFrameTime < this.refreshInterval * this.fastRatio) {
+            this.fastWindows++;
+            if (this.fastWindows >= this.windowsBeforeUpgrade) {
+                this.fastWindows = 0;
+                this.setTier(this.tierIndex + 1);
+            }
+        } else {
+            this.fastWindows = 0;
+        }
+    }
+
+    setTier(index) {
+        const clamped = Math.min(Math.max(index, 0), QualityGovernor.TIERS.length - 1);
+        if (clamped === this.tierIndex) return;
+        
+        this.tierIndex = clamped;
+        if (this.debug) {
+            console.info(`3D quality tier: ${this.tier.name}`);
+        }
+        this.onChange(this.tier);
+    }
+}
+
+// fps caps the frame rate of the degraded tiers; 0 runs at the display's own rate
+QualityGovernor.TIERS = [
+    { name: 'low', pixelRatio: 0.75, segments: 12, objectScale: 0.5, fps: 30, effects: false },
+    { name: 'medium', pixelRatio: 1, segments: 20, objectScale: 0.75, fps: 45, effects: false },
+    { name: 'high', pixelRatio: 2, segments: 32, objectScale: 1, fps: 0, effects: true }
+];
+
+// Validated animation settings read from site-config.json
+class AnimationConfig {
+    static fromSiteConfig(siteConfig = {}) {
+        const config = new AnimationConfig();
+        const three = SiteConfig.get(siteConfig, 'animations.three', {});
+        const animations = SiteConfig.get(siteConfig, 'animations', {});
+        const performance = SiteConfig.get(siteConfig, 'performance', {});
+        
+        config.heroObjectCount = AnimationConfig.parseCount(
+            three.heroObjectCount, 'animations.three.heroObjectCount', config.heroObjectCount
+        );
+        config.cardObjectCount = AnimationConfig.parseCount(
+            three.cardObjectCount, 'animations.three.cardObjectCount', config.cardObjectCount
+        );
+        config.heroSeed = AnimationConfig.parseCount(
+            three.heroSeed, 'animations.three.heroSeed', config.heroSeed
+        );
+        config.palette = AnimationConfig.parsePalette(
+            three.palette, 'animations.three.palette', config.palette
+        );
+        config.heroPalette = AnimationConfig.parsePalette(
+            three.heroPalette, 'animations.three.heroPalette', config.palette
+        );
+        config.heroEffects = AnimationConfig.parseEffects(
+            three.heroEffects, 'animations.three.heroEffects', config.heroEffects
+        );
+        config.enabledByDefault = AnimationConfig.parseFlag(
+            animations.enabledByDefault, 'animations.enabledByDefault', config.enabledByDefault
+        );
+        config.respectsReducedMotion = AnimationConfig.parseFlag(
+            animations.respectsReducedMotion, 'animations.respectsReducedMotion', config.respectsReducedMotion
+        );
+        config.enableWebGL = AnimationConfig.parseFlag(
+            performance.enableWebGL, 'performance.enableWebGL', config.enableWebGL
+        );
+        config.pauseAnimationsOnInvisible = AnimationConfig.parseFlag(
+            performance.pauseAnimationsOnInvisible, 'performance.pauseAnimationsOnInvisible', config.pauseAnimationsOnInvisible
+        );
+        
+        Object.entries(three.colors || {}).forEach(([section, pair]) => {
+            const path = `animations.three.colors.${section}`;
+            if (!Array.isArray(pair) || pair.length !== 2) {
+                console.error(`Invalid colour pair at ${path}: expected ["#RRGGBB", "#RRGGBB"], got`, pair);
+                return;
+            }
+            
+            const colors = pair.map((value, index) => AnimationConfig.parseColor(value, `${path}[${index}]`));
+            if (colors.every(color => color !== null)) {
+                config.colors[section] = colors;
+            }
+        });
+        
+        return config;
+    }
+
+    static parseCount(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!Number.isInteger(value) || value < 0) {
+            console.error(`Invalid value at ${path}: expected a non-negative integer, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    static parseFlag(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'boolean') {
+            console.error(`Invalid value at ${path}: expected true or false, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    static parsePalette(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!MaterialPalette.hasMode(value)) {
+            const modes = Array.from(MaterialPalette.modes.keys()).join(', ');
+            console.error(`Invalid value at ${path}: expected one of ${modes}, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    // Effects are names or { type, ...params } objects; bad entries are dropped
+    static parseEffects(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!Array.isArray(value)) {
+            console.error(`Invalid value at ${path}: expected an array of effects, got`, value);
+            return fallback;
+        }
+        
+        return value.filter((effect, index) => {
+            const type = typeof effect === 'string' ? effect : effect && effect.type;
+            if (!PostProcessor.hasEffect(type)) {
+                const effects = Array.from(PostProcessor.effects.keys()).join(', ');
+                console.error(`Invalid effect at ${path}[${index}]: expected one of ${effects}, got`, effect);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    static parseColor(value, path) {
+        if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+            console.error(`Invalid colour at ${path}: expected "#RRGGBB", got`, value);
+            return null;
+        }
+        return parseInt(value.slice(1), 16);
+    }
+
+    constructor() {
+        this.heroObjectCount = 20;
+        this.cardObjectCount = 3;
+        this.heroSeed = undefined;
+        this.palette = 'static';
+        this.heroPalette = 'static';
+        this.heroEffects = [];
+        this.enabledByDefault = true;
+        this.respectsReducedMotion = true;
+        this.enableWebGL = true;
+        this.pauseAnimationsOnInvisible = true;
+        this.colors = {};
+    }
+
+    colorsFor(section, fallback) {
+        return this.colors[section] || fallback;
+    }
+}
+
+// Animation manager for all canvas elements
+class AnimationManager {
+    // One manager per page, shared by the site's own scenes and any
+    // <mitski-scene> elements, so they all follow the same motion settings
+    static shared() {
+        if (!AnimationManager.instance) {
+            AnimationManager.instance = new AnimationManager();
+            AnimationManager.instance.configure();
+        }
+        return AnimationManager.instance;
+    }
+
+    // options.headless builds every scene on a NullRenderer, synchronously and
+    // without the frame-time governor, for stepping under Node/jsdom;
+    // options.debug logs quality tier changes
+    constructor(options = {}) {
+        this.headless = options.headless === true;
+        this.animators = new Map();
+        this.config = new AnimationConfig();
+        this.motionEnabled = true;
+        this.motionState = { user: false, reducedMotion: false };
+        // Pending card set-up, cancelled if we're disposed first
+        this.timers = new Set();
+        this.followingMotionQuery = false;
+        this.disposed = false;
+        this.motionQuery = typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+        this.onMotionQueryChange = () => this.applyMotionPreference();
+        this.governor = new QualityGovernor(tier => {
+            this.animators.forEach(animator => animator.applyQuality(tier));
+        }, { debug: options.debug });
+    }
+
+    init(config = new AnimationConfig()) {
+        this.configure(config);
+        
+        // Initialize hero animation
+        this.initHeroAnimation();
+        
+        if (this.headless) {
+            this.initCardAnimations();
+            return;
+        }
+        
+        // Initialize card animations with delay for performance
+        this.schedule(() => this.initCardAnimations(), 500);
+    }
+
+    // Apply a config to the manager and any scenes already registered; init()
+    // does this and then builds the page's hero and cards
+    configure(config = new AnimationConfig()) {
+        this.config = config;
+        
+        if (!this.config.enableWebGL) {
+            console.info('WebGL disabled in site config, using static 3D fallback');
+        }
+        
+        // Follow live changes to the OS reduced-motion setting
+        this.applyMotionPreference();
+        if (this.motionQuery && !this.followingMotionQuery) {
+            this.motionQuery.addEventListener('change', this.onMotionQueryChange);
+            this.followingMotionQuery = true;
+        }
+    }
+
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    initHeroAnimation() {
+        // Pages without #hero-canvas have no hero, headless or not
+        if (!document.getElementById('hero-canvas')) return;
+        
+        try {
+            const heroAnimator = new HeroAnimator({
+                objectCount: this.config.heroObjectCount,
+                seed: this.config.heroSeed,
+                palette: this.config.heroPalette,
+                effects: this.config.heroEffects,
+                webgl: this.config.enableWebGL,
+                colors: this.config.colorsFor('hero'),
+                pauseWhenHidden: this.config.pauseAnimationsOnInvisible,
+                headless: this.headless
+            });
+            if (!heroAnimator.scene) return;
+            
+            heroAnimator.applyQuality(this.governor.tier);
+            heroAnimator.setScrollTimeline(new ScrollTimeline(this.buildScrollKeyframes()));
+            this.applyMotionState(heroAnimator);
+            this.animators.set('hero-canvas', heroAnimator);
+        } catch (error) {
+            console.error('Failed to initialize hero animation:', error);
+        }
+    }
+
+    // Each keyframe takes its palette from the section's colours in site-config.json
+    buildScrollKeyframes(keyframes = AnimationManager.SCROLL_KEYFRAMES) {
+        return keyframes.map(keyframe => ({
+            colors: this.config.colorsFor(keyframe.section === 'home' ? 'hero' : keyframe.section),
+            ...keyframe
+        }));
+    }
+
+    initCardAnimations() {
+        const canvases = document.querySelectorAll('canvas.card-3d');
+        
+        canvases.forEach((canvas, index) => {
+            const key = canvas.id || `card-canvas-${index + 1}`;
+            
+            const createCard = () => {
+                this.createScene(key, canvas, this.readCanvasScene(canvas, key));
+            };
+            
+            // Stagger initialization to prevent performance issues
+            if (this.headless) {
+                createCard();
+            } else {
+                this.schedule(createCard, index * 50);
+            }
+        });
+    }
+
+    // Build an animator for a canvas from a scene description (see readScene)
+    // and give it the page's quality tier and motion settings
+    createScene(key, canvas, description) {
+        try {
+            const animator = new ThreeJSAnimator(canvas, description.colors[0], description.colors[1], {
+                seed: description.seed,
+                palette: description.palette,
+                effects: description.effects,
+                webgl: this.config.enableWebGL,
+                pauseWhenHidden: this.config.pauseAnimationsOnInvisible,
+                headless: this.headless
+            });
+            if (!animator.scene) return null;
+            
+            animator.addRandomObjects(description.count, description.shapes);
+            animator.applyQuality(this.governor.tier);
+            this.applyMotionState(animator);
+            this.animators.set(key, animator);
+            return animator;
+        } catch (error) {
+            console.error(`Failed to initialize animation for ${key}:`, error);
+            return null;
+        }
+    }
+
+    removeScene(key) {
+        const animator = this.animators.get(key);
+        if (!animator) return;
+        
+        animator.dispose();
+        this.animators.delete(key);
+    }
+
+    // Read the scene a canvas declares through its data-three-* attributes,
+    // falling back to the section colours from site-config.json
+    readCanvasScene(canvas, key) {
+        return this.readScene(canvas, key, name => `data-three-${name}`);
+    }
+
+    // Shared by canvas data attributes and <mitski-scene> attributes;
+    // attributeName maps 'shapes', 'colors', ... to the attribute to read
+    readScene(element, key, attributeName = name => name) {
+        const read = name => {
+            const value = element.getAttribute(attributeName(name));
+            return value === null ? undefined : value;
+        };
+        const label = name => `${key}[${attributeName(name)}]`;
+        const data = {
+            shapes: read('shapes'),
+            colors: read('colors'),
+            count: read('count'),
+            palette: read('palette'),
+            effects: read('effects'),
+            seed: read('seed')
+        };
+        const section = element.closest('section[id]');
+        const description = {
+            shapes: ThreeJSAnimator.SHAPES,
+            colors: this.config.colorsFor(section ? section.id : '', [0x00FFFF, 0xFF00FF]),
+            count: this.config.cardObjectCount,
+            seed: undefined,
+            palette: this.config.palette,
+            effects: []
+        };
+        
+        if (data.shapes) {
+            const shapes = data.shapes.split(',').map(shape => shape.trim()).filter(Boolean);
+            const unknown = shapes.filter(shape => !ThreeJSAnimator.hasShape(shape));
+            if (unknown.length) {
+                console.error(`Unknown shape(s) in ${label('shapes')}: ${unknown.join(', ')}`);
+            }
+            
+            const known = shapes.filter(shape => ThreeJSAnimator.hasShape(shape));
+            if (known.length) {
+                description.shapes = known;
+            }
+        }
+        
+        if (data.colors) {
+            const values = data.colors.split(',').map(value => value.trim());
+            const colors = values.map((value, index) => {
+                return AnimationConfig.parseColor(value, `${label('colors')}[${index}]`);
+            });
+            
+            if (colors.length !== 2) {
+                console.error(`Invalid value in ${label('colors')}: expected two colours, got`, data.colors);
+            } else if (colors.every(color => color !== null)) {
+                description.colors = colors;
+            }
+        }
+        
+        if (data.count !== undefined) {
+            description.count = AnimationConfig.parseCount(
+                Number(data.count), label('count'), description.count
+            );
+        }
+        
+        if (data.palette !== undefined) {
+            description.palette = AnimationConfig.parsePalette(
+                data.palette, label('palette'), description.palette
+            );
+        }
+        
+        if (data.effects) {
+            description.effects = AnimationConfig.parseEffects(
+                data.effects.split(',').map(effect => effect.trim()).filter(Boolean),
+                label('effects'),
+                description.effects
+            );
+        }
+        
+        if (data.seed !== undefined) {
+            description.seed = AnimationConfig.parseCount(
+                Number(data.seed), label('seed'), undefined
+            );
+        }
+        
+        return description;
+    }
+
+    getQualityTier() {
+        return this.governor.tier.name;
+    }
+
+    // Seeds of every live animator, so an approved layout can be saved
+    getSeeds() {
+        const seeds = {};
+        this.animators.forEach((animator, key) => {
+            seeds[key] = animator.seed;
+        });
+        return seeds;
+    }
+
+    // Why motion is off, split into the visitor's choice and the OS setting.
+    // A stored choice from the motion toggle wins over the OS setting.
+    getMotionState() {
+        const stored = this.getStoredMotionPreference();
+        const reducedMotion = stored === null &&
+            this.config.respectsReducedMotion &&
+            Boolean(this.motionQuery && this.motionQuery.matches);
+        
+        return {
+            user: stored !== null ? !stored : !this.config.enabledByDefault,
+            reducedMotion: reducedMotion
+        };
+    }
+
+    isMotionEnabled() {
+        const state = this.getMotionState();
+        return !state.user && !state.reducedMotion;
+    }
+
+    getStoredMotionPreference() {
+        try {
+            const value = localStorage.getItem(AnimationManager.MOTION_STORAGE_KEY);
+            return value === null ? null : value === 'on';
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setMotionPreference(enabled) {
+        try {
+            localStorage.setItem(AnimationManager.MOTION_STORAGE_KEY, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Could not save motion preference:', error);
+        }
+        this.applyMotionPreference();
+    }
+
+    applyMotionPreference() {
+        this.motionState = this.getMotionState();
+        this.motionEnabled = !this.motionState.user && !this.motionState.reducedMotion;
+        this.animators.forEach(animator => this.applyMotionState(animator));
+        
+        // Nothing to measure while every scene holds a still frame
+        if (this.motionEnabled && !this.headless) {
+            this.governor.start();
+        } else {
+            this.governor.stop();
+        }
+        
+        window.dispatchEvent(new CustomEvent('animations:motionchange', {
+            detail: { enabled: this.motionEnabled }
+        }));
+    }
+
+    applyMotionState(animator) {
+        animator.setMotionEnabled(!this.motionState.user);
+        animator.setReducedMotion(this.motionState.reducedMotion);
+    }
+
+    // Holds every animator on a still frame until playAll()
+    pauseAll() {
+        this.animators.forEach(animator => {
+            animator.setMotionEnabled(false);
+        });
+    }
+
+    playAll() {
+        this.animators.forEach(animator => {
+            animator.setMotionEnabled(true);
+        });
+    }
+
+    // Save a scene as JSON (reload with importScene) or glTF for designers, or
+    // capture it as 'png', 'png-sequence' (a .zip) or 'webm'. Captures return a
+    // promise; options are passed to the capture (width, height, frames, fps).
+    downloadScene(key = 'hero-canvas', format = 'json', options = {}) {
+        const animator = this.animators.get(key);
+        if (!animator) {
+            console.error(`No animation '${key}' to export`);
+            return Promise.resolve();
+        }
+        
+        let capture;
+        if (format === 'gltf') {
+            SceneExporter.download(animator.exportGLTF(), `${key}.gltf`, 'model/gltf+json');
+        } else if (format === 'png') {
+            capture = animator.captureStill(options).then(blob => {
+                SceneExporter.download(blob, `${key}.png`);
+            });
+        } else if (format === 'png-sequence') {
+            capture = animator.captureFrames(options)
+                .then(blobs => FrameCapture.zip(blobs.map((blob, index) => ({
+                    name: `${key}-${String(index + 1).padStart(4, '0')}.png`,
+                    blob: blob
+                }))))
+                .then(zip => SceneExporter.download(zip, `${key}-frames.zip`));
+        } else if (format === 'webm') {
+            capture = animator.recordVideo(options).then(blob => {
+                SceneExporter.download(blob, `${key}.webm`);
+            });
+        } else {
+            SceneExporter.download(animator.exportScene(), `${key}.json`);
+        }
+        
+        return (capture || Promise.resolve()).catch(error => {
+            console.error(`Failed to capture ${key} as ${format}:`, error);
+        });
+    }
+
+    // Step every animator by the same number of frames (see ThreeJSAnimator.step)
+    step(frames = 1, delta = 1 / 60) {
+        this.animators.forEach(animator => animator.step(frames, delta));
+    }
+
+    getSceneState() {
+        const state = {};
+        this.animators.forEach((animator, key) => {
+            state[key] = animator.getSceneState();
+        });
+        return state;
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        
+        if (this.motionQuery) {
+            this.motionQuery.removeEventListener('change', this.onMotionQueryChange);
+            this.followingMotionQuery = false;
+        }
+        this.governor.stop();
+        this.animators.forEach(animator => {
+            animator.dispose();
+        });
+        this.animators.clear();
+        
+        if (AnimationManager.instance === this) {
+            AnimationManager.instance = null;
+        }
+    }
+}
+
+AnimationManager.instance = null;
+AnimationManager.MOTION_STORAGE_KEY = 'mitski:motion';
+
+// Default hero choreography, one keyframe per section
+AnimationManager.SCROLL_KEYFRAMES = [
+    { section: 'home' },
+    { section: 'about', camera: { x: 1, z: -1 }, spread: 0.8, rotationSpeed: 0.6 },
+    { section: 'services', camera: { x: -1, y: 0.5 }, spread: 1.2, rotationSpeed: 1.4 },
+    { section: 'collections', camera: { y: -0.5, z: 1 }, spread: 1.4 },
+    { section: 'testimonials', camera: { x: 0.5, z: -1.5 }, spread: 0.7, rotationSpeed: 0.5 },
+    { section: 'events', camera: { x: -0.5, y: -0.5 }, spread: 1.1, rotationSpeed: 1.2 },
+    { section: 'faq', camera: { z: 0.5 }, spread: 0.9 },
+    { section: 'careers', camera: { x: 1, y: 0.5 }, spread: 1.3, rotationSpeed: 1.5 },
+    { section: 'contact', camera: { z: 2 }, spread: 1.6, rotationSpeed: 0.8 }
+];
+
+// Start the page's animations: the shared manager builds the hero and card
+// scenes once the site config has loaded. Call once the DOM is ready.
+function initAnimations() {
+    // Without WebGL the animators draw a static 2D fallback
+    if (!window.WebGLRenderingContext) {
+        console.warn('WebGL not supported, using static 3D fallback');
+    }
+
+    const animationManager = AnimationManager.shared();
+    SiteConfig.load().then(siteConfig => {
+        animationManager.init(AnimationConfig.fromSiteConfig(siteConfig));
+    });
+
+    // Clean up on page unload
+    window.addEventListener('beforeunload', () => {
+        animationManager.dispose();
+    });
+
+    return animationManager;
+}
+
+// ---- mitski-scene.js
+
+/**
+ * Mitski Scene Element
+ * <mitski-scene> custom element: a self-contained floating-shapes scene
+ *
+ *   <mitski-scene shapes="cube,torus" colors="#00FFFF,#FF00FF" count="6" seed="42" motion="on"></mitski-scene>
+ */
+
+
+// Lets the module load under Node, where there is no HTMLElement to extend
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+class MitskiScene extends BaseElement {
+    static get observedAttributes() {
+        return ['shapes', 'colors', 'count', 'seed', 'palette', 'effects', 'motion'];
+    }
+
+    constructor() {
+        super();
+        this.animator = null;
+        this.manager = null;
+        this.stale = false;
+        this.updateQueued = false;
+        this.autoKey = `mitski-scene-${++MitskiScene.count}`;
+        this.key = this.autoKey;
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+                :host { display: block; position: relative; min-height: 200px; }
+                :host([hidden]) { display: none; }
+                canvas { position: absolute; inset: 0; width: 100%; height: 100%; display: block; }
+            </style>
+            <canvas aria-hidden="true"></canvas>
+        `;
+        this.canvas = root.querySelector('canvas');
+    }
+
+    connectedCallback() {
+        // A move is a disconnect and a reconnect; the scene built before it stays
+        if (!this.animator) {
+            this.mount();
+        }
+    }
+
+    disconnectedCallback() {
+        this.scheduleUpdate();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.animator || oldValue === value) return;
+
+        if (name === 'motion') {
+            this.applyMotion();
+        } else {
+            this.stale = true;
+            this.scheduleUpdate();
+        }
+    }
+
+    // Attribute changes, moves and removals settle once per microtask, so
+    // setting several attributes in a row rebuilds the scene once
+    scheduleUpdate() {
+        if (this.updateQueued) return;
+        this.updateQueued = true;
+
+        queueMicrotask(() => {
+            this.updateQueued = false;
+            if (!this.isConnected) {
+                this.unmount();
+            } else if (this.stale) {
+                this.mount();
+            }
+        });
+    }
+
+    // Build (or rebuild) the scene from the current attributes
+    mount() {
+        this.stale = false;
+
+        // Swapping the only card scene on the page would otherwise hand back the
+        // shared WebGL context and create a new one straight away
+        SharedRenderer.keepAlive(() => {
+            this.unmount();
+
+            // The element's id names the scene in the manager, unless it's taken
+            const manager = AnimationManager.shared();
+            this.manager = manager;
+            this.key = this.id && !manager.animators.has(this.id) ? this.id : this.autoKey;
+            this.animator = manager.createScene(this.key, this.canvas, manager.readScene(this, this.key));
+        });
+        this.applyMotion();
+    }
+
+    unmount() {
+        if (!this.animator) return;
+        this.manager.removeScene(this.key);
+        this.animator = null;
+        this.manager = null;
+    }
+
+    // motion="off" holds a still frame whatever the page's motion setting;
+    // "on" (the default) follows the visitor's toggle and reduced motion
+    applyMotion() {
+        if (!this.animator) return;
+
+        const motion = this.getAttribute('motion') || 'on';
+        if (motion !== 'on' && motion !== 'off') {
+            console.error(`Invalid value in ${this.key}[motion]: expected "on" or "off", got`, motion);
+        }
+
+        const still = motion === 'off';
+        this.animator.setPaused('attribute', still);
+        if (still) {
+            this.animator.renderFrame();
+        }
+    }
+}
+
+MitskiScene.count = 0;
+
+// Register the element; safe to call more than once
+function defineMitskiScene(name = 'mitski-scene') {
+    if (typeof window !== 'undefined' && window.customElements && !customElements.get(name)) {
+        customElements.define(name, MitskiScene);
+    }
+}
+
+// ---- contact-form.js
+
+/**
+ * Contact Form Module
+ * Validates the "Start a Project" form, keeps bots out and sends it through a configurable adapter
+ */
+
+
+class ContactForm {
+    // A rule is (value, arg, field) => error message, or '' when the value passes.
+    // Rules other than 'required' only run on fields that have a value.
+    static registerRule(name, rule) {
+        if (typeof rule !== 'function') {
+            throw new TypeError(`Rule '${name}' needs to be a function`);
+        }
+        ContactForm.rules.set(name, rule);
+    }
+
+    // An adapter is (data, options) => Promise that resolves once the message is
+    // delivered (optionally with { message } to show instead of the default) and
+    // rejects when it isn't
+    static registerAdapter(name, adapter) {
+        if (typeof adapter !== 'function') {
+            throw new TypeError(`Adapter '${name}' needs to be a function`);
+        }
+        ContactForm.adapters.set(name, adapter);
+    }
+
+    // contact.form in site-config.json, in the units the form uses
+    static fromSiteConfig(config) {
+        const get = (path, fallback) => SiteConfig.get(config, `contact.form.${path}`, fallback);
+        const endpoint = get('endpoint', '');
+
+        return {
+            adapter: get('adapter', endpoint ? 'fetch' : ''),
+            endpoint: endpoint,
+            timeout: get('timeoutSeconds', 10) * 1000,
+            rateLimit: {
+                max: get('rateLimit.max', 3),
+                period: get('rateLimit.windowMinutes', 10) * 60 * 1000
+            },
+            mock: {
+                delay: get('mock.delayMs', 800),
+                fail: get('mock.fail', false)
+            },
+            fallbackEmail: SiteConfig.get(config, 'contact.email', '')
+        };
+    }
+
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = { ...ContactForm.defaults };
+        this.announce = options.announce || (() => {});
+        this.status = form.querySelector('.form-status');
+        this.submitButton = form.querySelector('[type="submit"]');
+        this.state = 'idle';
+        this.cleanups = [];
+        this.configure(options);
+
+        // Our own messages replace the browser's validation bubbles
+        form.noValidate = true;
+
+        this.listen(form, 'submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Check a field when the visitor leaves it, but not for just tabbing past
+        this.listen(form, 'focusout', (e) => {
+            const field = e.target;
+            if (this.isField(field) && (field.value.trim() || this.isInvalid(field))) {
+                this.validateField(field);
+            }
+        });
+
+        // Clear an error as soon as it's fixed
+        this.listen(form, 'input', (e) => {
+            if (this.isField(e.target) && this.isInvalid(e.target)) {
+                this.validateField(e.target);
+            }
+        });
+    }
+
+    configure(options) {
+        const { announce, ...rest } = options;
+        this.options = { ...this.options, ...rest };
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    get fields() {
+        return Array.from(this.form.elements).filter(element => this.isField(element));
+    }
+
+    isField(element) {
+        return Boolean(element.name) &&
+            element.name !== this.options.honeypot &&
+            !['submit', 'button', 'reset', 'fieldset'].includes(element.type);
+    }
+
+    isInvalid(field) {
+        return field.getAttribute('aria-invalid') === 'true';
+    }
+
+    // Built-in rules come from the field's own attributes; data-rules adds
+    // registered ones, e.g. data-rules="phone minWords:3"
+    rulesFor(field) {
+        const rules = [];
+        if (field.required) rules.push(['required']);
+        if (field.type === 'email') rules.push(['email']);
+        if (field.minLength > 0) rules.push(['minLength', field.minLength]);
+        if (field.maxLength > 0) rules.push(['maxLength', field.maxLength]);
+        if (field.pattern) rules.push(['pattern', field.pattern]);
+
+        (field.dataset.rules || '').split(/\s+/).filter(Boolean).forEach(token => {
+            const [name, arg] = token.split(':');
+            rules.push([name, arg]);
+        });
+        return rules;
+    }
+
+    validateField(field) {
+        const value = field.value.trim();
+        let message = '';
+
+        this.rulesFor(field).some(([name, arg]) => {
+            const rule = ContactForm.rules.get(name);
+            if (!rule) {
+                console.warn(`Unknown validation rule '${name}' on ${field.name}`);
+                return false;
+            }
+            if (name !== 'required' && !value) return false;
+
+            message = rule(value, arg, field);
+            return Boolean(message);
+        });
+
+        if (message) {
+            this.showError(field, message);
+        } else {
+            this.clearError(field);
+        }
+        return message;
+    }
+
+    validate() {
+        return this.fields
+            .map(field => ({ field, message: this.validateField(field) }))
+            .filter(result => result.message);
+    }
+
+    errorFor(field) {
+        const id = `${field.id || field.name}-error`;
+        let error = this.form.querySelector(`#${id}`);
+        if (!error) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'form-error';
+            error.hidden = true;
+            field.insertAdjacentElement('afterend', error);
+        }
+        return error;
+    }
+
+    showError(field, message) {
+        const error = this.errorFor(field);
+        error.textContent = message;
+        error.hidden = false;
+
+        field.setAttribute('aria-invalid', 'true');
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(error.id)) {
+            field.setAttribute('aria-describedby', describedBy.concat(error.id).join(' '));
+        }
+    }
+
+    clearError(field) {
+        const error = this.errorFor(field);
+        error.textContent = '';
+        error.hidden = true;
+
+        field.removeAttribute('aria-invalid');
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== error.id);
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // The field's visible label, without the required marker
+    labelFor(field) {
+        const label = field.labels && field.labels[0];
+        if (!label) return field.name;
+
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('[aria-hidden="true"]').forEach(node => node.remove());
+        return copy.textContent.trim();
+    }
+
+    collect() {
+        const data = {};
+        this.fields.forEach(field => {
+            data[field.name] = field.value.trim();
+        });
+        return data;
+    }
+
+    // People never see the honeypot field, so anything in it came from a bot
+    isSpam() {
+        const trap = this.form.elements[this.options.honeypot];
+        return Boolean(trap && trap.value);
+    }
+
+    readSent() {
+        try {
+            const sent = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(sent) ? sent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSent() {
+        const now = Date.now();
+        const recent = this.readSent().filter(time => now - time < this.options.rateLimit.period);
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(recent.concat(now)));
+        } catch (error) {
+            // Storage is unavailable (e.g. private mode); the limit just doesn't apply
+        }
+    }
+
+    // Milliseconds until another message is allowed, 0 if it is now
+    rateLimitWait() {
+        const { max, period } = this.options.rateLimit;
+        const now = Date.now();
+        const recent = this.readSent().filter(time => now - time < period);
+        if (recent.length < max) return 0;
+        return Math.min(...recent) + period - now;
+    }
+
+    // Whether submitting can deliver anything: a registered adapter, and for
+    // fetch an endpoint to post to
+    canSend() {
+        const { adapter, endpoint } = this.options;
+        return ContactForm.adapters.has(adapter) && (adapter !== 'fetch' || Boolean(endpoint));
+    }
+
+    failureMessage() {
+        const email = this.options.fallbackEmail;
+        return `Sorry, your message couldn't be sent. Please try again${email ? ` or email us at ${email}` : ''}.`;
+    }
+
+    setState(state, message) {
+        this.state = state;
+        this.form.dataset.state = state;
+        this.form.setAttribute('aria-busy', String(state === 'submitting'));
+        if (this.submitButton) {
+            this.submitButton.disabled = state === 'submitting';
+        }
+        if (this.status) {
+            this.status.textContent = message;
+            this.status.hidden = !message;
+        }
+        if (message) {
+            this.announce(message);
+        }
+    }
+
+    // Resolves with true once the message is delivered, false otherwise
+    submit() {
+        if (this.state === 'submitting') return Promise.resolve(false);
+
+        const errors = this.validate();
+        if (errors.length) {
+            const labels = errors.map(({ field }) => this.labelFor(field));
+            const count = errors.length === 1 ? '1 field' : `${errors.length} fields`;
+            this.setState('invalid', `Please check ${count}: ${labels.join(', ')}.`);
+            errors[0].field.focus();
+            return Promise.resolve(false);
+        }
+
+        if (this.isSpam()) {
+            this.setState('error', this.failureMessage());
+            return Promise.resolve(false);
+        }
+
+        const wait = this.rateLimitWait();
+        if (wait > 0) {
+            const minutes = Math.ceil(wait / 60000);
+            this.setState('error', `You've sent several messages recently. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+            return Promise.resolve(false);
+        }
+
+        const adapter = ContactForm.adapters.get(this.options.adapter);
+        if (!adapter) {
+            console.error(`Unknown contact form adapter '${this.options.adapter}'`);
+            this.setState('error', this.failureMessage());
+            return Promise.resolve(false);
+        }
+
+        this.setState('submitting', 'Sending your message…');
+
+        // Only delivered messages count towards the limit; a failed send
+        // leaves the visitor free to try again
+        return Promise.resolve()
+            .then(() => adapter(this.collect(), this.options))
+            .then(result => {
+                this.recordSent();
+                this.form.reset();
+                this.setState('success', (result && result.message) || "Thanks! Your message has been sent. We'll be in touch soon.");
+                return true;
+            }, error => {
+                console.error('Contact form submission failed:', error);
+                this.setState('error', this.failureMessage());
+                return false;
+            });
+    }
+
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+    }
+}
+
+ContactForm.rules = new Map();
+ContactForm.adapters = new Map();
+
+ContactForm.defaults = {
+    adapter: '',
+    endpoint: '',
+    timeout: 10000,
+    rateLimit: { max: 3, period: 10 * 60 * 1000 },
+    mock: { delay: 800, fail: false },
+    fallbackEmail: '',
+    honeypot: 'website',
+    storageKey: 'mitski-contact-sent'
+};
+
+ContactForm.registerRule('required', (value) => value ? '' : 'This field is required.');
+
+ContactForm.registerRule('email', (value) => {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Enter an email address like name@example.com.';
+});
+
+ContactForm.registerRule('minLength', (value, length) => {
+    return value.length >= Number(length) ? '' : `Use at least ${length} characters (${value.length} so far).`;
+});
+
+ContactForm.registerRule('maxLength', (value, length) => {
+    return value.length <= Number(length) ? '' : `Use at most ${length} characters (${value.length} so far).`;
+});
+
+ContactForm.registerRule('pattern', (value, pattern, field) => {
+    return new RegExp(`^(?:${pattern})$`).test(value) ? '' : (field.title || 'Check the format of this field.');
+});
+
+// POSTs the fields as JSON; anything but a 2xx response counts as a failure
+ContactForm.registerAdapter('fetch', (data, options) => {
+    if (!options.endpoint) {
+        return Promise.reject(new Error('The fetch adapter needs contact.form.endpoint'));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+
+    return fetch(options.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(data),
+        signal: controller.signal
+    })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        })
+        .finally(() => clearTimeout(timer));
+});
+
+// For local development: nothing leaves the browser, and the success message
+// says so. mock.fail rejects instead, to try the error state.
+ContactForm.registerAdapter('mock', (data, options) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+        if (options.mock.fail) {
+            reject(new Error('Mock adapter set to fail'));
+            return;
+        }
+        resolve({ message: 'Test mode: your message passed every check but was not sent anywhere.' });
+    }, options.mock.delay);
+}));
+
+// ---- tooltip.js
+
+/**
+ * Tooltip Module
+ * Accessible tooltips for [data-tooltip] elements: shown on hover, keyboard focus
+ * and long-press, dismissed with Escape, and flipped to stay inside the viewport
+ */
+
+class Tooltip {
+    // Every element with data-tooltip (plain text) or data-tooltip-template
+    // (the id of a <template> with rich content) inside `root`
+    static attachAll(root = document) {
+        return Array.from(root.querySelectorAll('[data-tooltip], [data-tooltip-template]'))
+            .map(element => Tooltip.attach(element));
+    }
+
+    // One tooltip per element; attaching again returns the existing one
+    static attach(element, options = {}) {
+        return Tooltip.instances.get(element) || new Tooltip(element, options);
+    }
+
+    // Where the tooltip goes for `placement`, in viewport coordinates, before any clamping
+    static position(placement, anchor, size, gap) {
+        switch (placement) {
+            case 'bottom':
+                return { top: anchor.bottom + gap, left: anchor.left + (anchor.width - size.width) / 2 };
+            case 'left':
+                return { top: anchor.top + (anchor.height - size.height) / 2, left: anchor.left - size.width - gap };
+            case 'right':
+                return { top: anchor.top + (anchor.height - size.height) / 2, left: anchor.right + gap };
+            default:
+                return { top: anchor.top - size.height - gap, left: anchor.left + (anchor.width - size.width) / 2 };
+        }
+    }
+
+    // Whether a tooltip at `position` (viewport coordinates) stays on screen along
+    // the side it's placed on; the other direction is clamped afterwards
+    static fits(placement, position, size, margin) {
+        if (placement === 'left' || placement === 'right') {
+            return position.left >= margin && position.left + size.width <= window.innerWidth - margin;
+        }
+        return position.top >= margin && position.top + size.height <= window.innerHeight - margin;
+    }
+
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...Tooltip.defaults, ...options };
+        this.content = options.content || this.contentFromAttributes();
+        this.visible = false;
+        this.pressed = false;
+        this.timer = null;
+        this.cleanups = [];
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'tooltip';
+        this.tooltip.id = `tooltip-${++Tooltip.count}`;
+        this.tooltip.setAttribute('role', 'tooltip');
+        this.tooltip.hidden = true;
+        this.render();
+        document.body.appendChild(this.tooltip);
+
+        // Screen readers read the tooltip along with the element, without it being shown
+        const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        element.setAttribute('aria-describedby', describedBy.concat(this.tooltip.id).join(' '));
+
+        Tooltip.instances.set(element, this);
+        this.init();
+    }
+
+    contentFromAttributes() {
+        const templateId = this.element.dataset.tooltipTemplate;
+        if (templateId) {
+            const template = document.getElementById(templateId);
+            if (template && template.content) {
+                return () => template.content.cloneNode(true);
+            }
+            console.warn(`Tooltip template '${templateId}' not found`);
+        }
+        return this.element.dataset.tooltip || '';
+    }
+
+    // Content is a string, a Node, or a function returning either
+    render() {
+        const content = typeof this.content === 'function' ? this.content(this.element) : this.content;
+        if (content instanceof Node) {
+            this.tooltip.replaceChildren(content);
+        } else {
+            this.tooltip.textContent = content;
+        }
+    }
+
+    setContent(content) {
+        this.content = content;
+        this.render();
+        if (this.visible) {
+            this.place();
+        }
+    }
+
+    init() {
+        const { showDelay, hideDelay, longPress } = this.options;
+
+        this.listen(this.element, 'mouseenter', () => this.schedule(true, showDelay));
+        this.listen(this.element, 'mouseleave', () => this.schedule(false, hideDelay));
+        this.listen(this.element, 'focus', () => this.show());
+        this.listen(this.element, 'blur', () => this.hide());
+
+        // The pointer can move onto the tooltip without it disappearing
+        this.listen(this.tooltip, 'mouseenter', () => this.schedule(true, 0));
+        this.listen(this.tooltip, 'mouseleave', () => this.schedule(false, hideDelay));
+
+        // Touch has no hover: pressing and holding shows the tooltip instead
+        let start = null;
+        this.listen(this.element, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            start = { x: e.clientX, y: e.clientY };
+            this.pressed = false;
+            this.schedule(true, longPress, () => {
+                this.pressed = true;
+            });
+        });
+        this.listen(this.element, 'pointermove', (e) => {
+            if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) {
+                start = null;
+                this.cancel();
+            }
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.listen(this.element, type, () => {
+                if (start && !this.pressed) {
+                    this.cancel();
+                }
+                start = null;
+            });
+        });
+
+        // A long-press shows the tooltip; it shouldn't also open the browser's
+        // context menu or follow the link
+        this.listen(this.element, 'contextmenu', (e) => {
+            if (this.pressed) e.preventDefault();
+        });
+        this.listen(this.element, 'click', (e) => {
+            if (this.pressed) {
+                e.preventDefault();
+                this.pressed = false;
+            }
+        });
+
+        // Escape dismisses the tooltip first, before menus that also close on it
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.visible) {
+                e.stopPropagation();
+                this.hide();
+            }
+        }, true);
+
+        this.listen(document, 'pointerdown', (e) => {
+            if (this.visible && !this.element.contains(e.target) && !this.tooltip.contains(e.target)) {
+                this.hide();
+            }
+        });
+
+        // Elements in the fixed header move against the page, so follow them
+        this.listen(window, 'scroll', () => {
+            if (this.visible) this.place();
+        }, { passive: true });
+        this.listen(window, 'resize', () => this.hide());
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    schedule(show, delay, then) {
+        this.cancel();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (show) {
+                this.show();
+            } else {
+                this.hide();
+            }
+            if (then) then();
+        }, delay);
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    show() {
+        this.cancel();
+        if (!this.tooltip.textContent.trim() && !this.tooltip.children.length) return;
+
+        // Only one tooltip at a time
+        if (Tooltip.current && Tooltip.current !== this) {
+            Tooltip.current.hide();
+        }
+        Tooltip.current = this;
+
+        this.tooltip.hidden = false;
+        this.visible = true;
+        this.place();
+    }
+
+    hide() {
+        this.cancel();
+        if (!this.visible) return;
+
+        this.tooltip.hidden = true;
+        this.visible = false;
+        if (Tooltip.current === this) {
+            Tooltip.current = null;
+        }
+    }
+
+    // The preferred side, else the opposite one, else whichever side fits; then
+    // kept inside the viewport and converted to page coordinates, as the tooltip
+    // is positioned in the document and scrolls with it
+    place() {
+        const anchor = this.element.getBoundingClientRect();
+        const size = { width: this.tooltip.offsetWidth, height: this.tooltip.offsetHeight };
+        const preferred = this.element.dataset.tooltipPlacement || this.options.placement;
+        const candidates = [preferred, Tooltip.OPPOSITE[preferred]]
+            .concat(Object.keys(Tooltip.OPPOSITE))
+            .filter((placement, index, all) => placement && all.indexOf(placement) === index);
+
+        const { gap, margin } = this.options;
+        const placement = candidates.find(candidate => {
+            return Tooltip.fits(candidate, Tooltip.position(candidate, anchor, size, gap), size, margin);
+        }) || preferred;
+
+        const position = Tooltip.position(placement, anchor, size, gap);
+        const clamp = (value, max) => Math.min(Math.max(value, margin), Math.max(margin, max - margin));
+        const top = clamp(position.top, window.innerHeight - size.height);
+        const left = clamp(position.left, window.innerWidth - size.width);
+
+        this.tooltip.dataset.placement = placement;
+        this.tooltip.style.top = `${top + window.scrollY}px`;
+        this.tooltip.style.left = `${left + window.scrollX}px`;
+
+        // Keep the arrow pointing at the element after clamping
+        this.tooltip.style.setProperty('--arrow-x', `${anchor.left + anchor.width / 2 - left}px`);
+        this.tooltip.style.setProperty('--arrow-y', `${anchor.top + anchor.height / 2 - top}px`);
+    }
+
+    destroy() {
+        this.hide();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+
+        const describedBy = (this.element.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== this.tooltip.id);
+        if (describedBy.length) {
+            this.element.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            this.element.removeAttribute('aria-describedby');
+        }
+
+        this.tooltip.remove();
+        Tooltip.instances.delete(this.element);
+    }
+}
+
+Tooltip.instances = new Map();
+Tooltip.current = null;
+Tooltip.count = 0;
+
+Tooltip.OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+Tooltip.defaults = {
+    placement: 'top',
+    showDelay: 150,
+    hideDelay: 100,
+    longPress: 500,
+    // Between the tooltip and its element, and the tooltip and the viewport edge
+    gap: 8,
+    margin: 8
+};
+
+// ---- main.js
+
+/**
+ * Main Application Module
+ * Coordinates all functionality and provides app-wide utilities
+ */
+
+
+class MitskiApp {
+    // options.animationManager drives the motion toggle; without it the toggle stays hidden
+    constructor(options = {}) {
+        this.animationManager = options.animationManager || null;
+        this.isLoaded = false;
+        this.scrollObserver = null;
+        this.contactForms = [];
+        this.tooltips = [];
+        this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        
+        this.init();
+    }
+
+    init() {
+        this.setupScrollAnimations();
+        this.setupInteractionEffects();
+        this.setupAccessibilityFeatures();
+        this.setupPerformanceOptimizations();
+        this.setupErrorHandling();
+        
+        this.isLoaded = true;
+        console.log('Mitski 3D Interactive Website Loaded Successfully!');
+    }
+
+    setupScrollAnimations() {
+        if (this.prefersReducedMotion) return;
+
+        const observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                    
+                    // Add staggered animation for grid items
+                    if (entry.target.closest('.grid-container')) {
+                        const gridItems = entry.target.closest('.grid-container').children;
+                        Array.from(gridItems).forEach((item, index) => {
+                            setTimeout(() => {
+                                item.classList.add('animate-in');
+                            }, index * 100);
+                        });
+                    }
+                }
+            });
+        }, observerOptions);
+
+        // Observe all cards for scroll animations
+        document.querySelectorAll('.card').forEach(card => {
+            this.scrollObserver.observe(card);
+        });
+
+        // Observe sections for reveal animations
+        document.querySelectorAll('.section').forEach(section => {
+            this.scrollObserver.observe(section);
+        });
+    }
+
+    setupInteractionEffects() {
+        this.setupCTAButton();
+        this.setupCardHoverEffects();
+        this.setupFormValidation();
+        this.setupTooltips();
+        this.setupMotionToggle();
+    }
+
+    setupCTAButton() {
+        const ctaButton = document.querySelector('.cta-button');
+        if (!ctaButton) return;
+
+        ctaButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            // Add click animation
+            ctaButton.style.transform = 'scale(0.95)';
+            setTimeout(() => {
+                ctaButton.style.transform = '';
+            }, 150);
+
+            // Smooth scroll to about section
+            this.scrollToSection('about');
+        });
+
+        // Add ripple effect on click
+        ctaButton.addEventListener('click', (e) => {
+            const ripple = document.createElement('span');
+            const rect = ctaButton.getBoundingClientRect();
+            const size = Math.max(rect.width, rect.height);
+            const x = e.clientX - rect.left - size / 2;
+            const y = e.clientY - rect.top - size / 2;
+            
+            ripple.style.cssText = `
+                position: absolute;
+                width: ${size}px;
+                height: ${size}px;
+                left: ${x}px;
+                top: ${y}px;
+                background: rgba(255, 255, 255, 0.3);
+                border-radius: 50%;
+                transform: scale(0);
+                animation: ripple 0.6s linear;
+                pointer-events: none;
+            `;
+            
+            ctaButton.style.position = 'relative';
+            ctaButton.style.overflow = 'hidden';
+            ctaButton.appendChild(ripple);
+            
+            setTimeout(() => {
+                ripple.remove();
+            }, 600);
+        });
+    }
+
+    setupCardHoverEffects() {
+        document.querySelectorAll('.card').forEach(card => {
+            card.addEventListener('mouseenter', () => {
+                if (!this.prefersReducedMotion) {
+                    card.classList.add('animate-pulse');
+                }
+            });
+            
+            card.addEventListener('mouseleave', () => {
+                card.classList.remove('animate-pulse');
+            });
+
+            // Add focus support for keyboard users
+            card.addEventListener('focusin', () => {
+                card.classList.add('focused');
+            });
+
+            card.addEventListener('focusout', () => {
+                card.classList.remove('focused');
+            });
+        });
+    }
+
+    setupFormValidation() {
+        // Forms marked data-contact-form validate and send through ContactForm.
+        // They start hidden and are only shown once the site config gives them
+        // somewhere to send to; until then the mailto links are the way in.
+        this.contactForms = Array.from(document.querySelectorAll('form[data-contact-form]')).map(form => {
+            return new ContactForm(form, { announce: (message) => this.announce(message) });
+        });
+        if (!this.contactForms.length) return;
+
+        SiteConfig.load().then(config => {
+            const options = ContactForm.fromSiteConfig(config);
+            this.contactForms.forEach(contactForm => {
+                contactForm.configure(options);
+                contactForm.form.hidden = !contactForm.canSend();
+            });
+        });
+    }
+
+    setupTooltips() {
+        this.tooltips = Tooltip.attachAll(document);
+    }
+
+    setupMotionToggle() {
+        const toggle = document.querySelector('.motion-toggle');
+        const animationManager = this.animationManager;
+        if (!toggle || !animationManager) return;
+
+        const label = toggle.querySelector('.motion-toggle-label');
+        const update = (enabled) => {
+            toggle.setAttribute('aria-pressed', String(enabled));
+            label.textContent = enabled ? 'Motion on' : 'Motion off';
+        };
+
+        toggle.hidden = false;
+        update(animationManager.isMotionEnabled());
+
+        toggle.addEventListener('click', () => {
+            const enabled = toggle.getAttribute('aria-pressed') !== 'true';
+            animationManager.setMotionPreference(enabled);
+            this.announce(enabled ? 'Animations resumed' : 'Animations paused');
+        });
+
+        // Stay in sync with OS reduced-motion changes
+        window.addEventListener('animations:motionchange', (e) => {
+            update(e.detail.enabled);
+        });
+    }
+
+    setupAccessibilityFeatures() {
+        // Add skip links
+        this.addSkipLinks();
+        
+        // Keyboard navigation
+        this.setupKeyboardNavigation();
+        
+        // Focus management
+        this.setupFocusManagement();
+        
+        // ARIA live regions
+        this.setupLiveRegions();
+    }
+
+    addSkipLinks() {
+        const skipLinks = document.createElement('div');
+        skipLinks.className = 'skip-links';
+        skipLinks.innerHTML = `
+            <a href="#main" class="skip-link">Skip to main content</a>
+            <a href="#navigation" class="skip-link">Skip to navigation</a>
+        `;
+        document.body.insertBefore(skipLinks, document.body.firstChild);
+    }
+
+    setupKeyboardNavigation() {
+        // Trap focus in mobile menu when open
+        document.addEventListener('keydown', (e) => {
+            const mobileMenu = document.querySelector('.nav-menu.active');
+            if (mobileMenu && e.key === 'Tab') {
+                const focusableElements = Array.from(mobileMenu.querySelectorAll('a, button'))
+                    .filter(element => !element.closest('[hidden]'));
+                const firstElement = focusableElements[0];
+                const lastElement = focusableElements[focusableElements.length - 1];
+
+                if (e.shiftKey && document.activeElement === firstElement) {
+                    e.preventDefault();
+                    lastElement.focus();
+                } else if (!e.shiftKey && document.activeElement === lastElement) {
+                    e.preventDefault();
+                    firstElement.focus();
+                }
+            }
+        });
+
+        // Add keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.altKey) {
+                switch(e.key) {
+                    case 'h':
+                        e.preventDefault();
+                        document.querySelector('#home').focus();
+                        break;
+                    case 'm':
+                        e.preventDefault();
+                        document.querySelector('#main').focus();
+                        break;
+                }
+            }
+        });
+    }
+
+    setupFocusManagement() {
+        // Ensure focus is visible
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                document.body.classList.add('keyboard-navigation');
+            }
+        });
+
+        document.addEventListener('mousedown', () => {
+            document.body.classList.remove('keyboard-navigation');
+        });
+    }
+
+    setupLiveRegions() {
+        // Add ARIA live region for announcements
+        const liveRegion = document.createElement('div');
+        liveRegion.id = 'live-region';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.className = 'sr-only';
+        document.body.appendChild(liveRegion);
+    }
+
+    setupPerformanceOptimizations() {
+        // Lazy load images when they get added
+        this.setupLazyLoading();
+        
+        // Debounce resize events
+        this.setupOptimizedResize();
+
+        // Offline caching, when the site config turns it on
+        this.setupServiceWorker();
+    }
+
+    setupLazyLoading() {
+        if ('IntersectionObserver' in window) {
+            const imageObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const img = entry.target;
+                        img.src = img.dataset.src;
+                        img.classList.remove('lazy');
+                        imageObserver.unobserve(img);
+                    }
+                });
+            });
+
+            document.querySelectorAll('img[data-src]').forEach(img => {
+                imageObserver.observe(img);
+            });
+        }
+    }
+
+    setupOptimizedResize() {
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                this.handleResize();
+            }, 250);
+        });
+    }
+
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        SiteConfig.load().then(config => {
+            if (SiteConfig.get(config, 'performance.enableServiceWorker', false)) {
+                navigator.serviceWorker.register(MitskiApp.serviceWorkerUrl).catch(error => {
+                    console.warn('Service worker registration failed:', error);
+                });
+            } else {
+                this.removeServiceWorker();
+            }
+        });
+    }
+
+    // Turning the flag off also drops a worker and caches left by an earlier visit
+    removeServiceWorker() {
+        const scriptUrl = new URL(MitskiApp.serviceWorkerUrl, location.href).href;
+
+        navigator.serviceWorker.getRegistrations().then(registrations => {
+            registrations
+                .filter(registration => {
+                    const worker = registration.active || registration.waiting || registration.installing;
+                    return worker && worker.scriptURL === scriptUrl;
+                })
+                .forEach(registration => registration.unregister());
+        });
+
+        if (window.caches) {
+            caches.keys().then(keys => {
+                keys.filter(key => key.startsWith('mitski-3dspace-')).forEach(key => caches.delete(key));
+            });
+        }
+    }
+
+    setupErrorHandling() {
+        // Global error handler
+        window.addEventListener('error', (e) => {
+            console.error('Application error:', e.error);
+            this.handleError(e.error);
+        });
+
+        // Unhandled promise rejection handler
+        window.addEventListener('unhandledrejection', (e) => {
+            console.error('Unhandled promise rejection:', e.reason);
+            this.handleError(e.reason);
+        });
+    }
+
+    // Utility methods
+    handleResize() {
+        // Dispatch custom resize event for other modules
+        window.dispatchEvent(new CustomEvent('app:resize'));
+    }
+
+    handleError(error) {
+        // Log error and show user-friendly message
+        const liveRegion = document.getElementById('live-region');
+        if (liveRegion) {
+            liveRegion.textContent = 'An error occurred. Please refresh the page if problems persist.';
+        }
+    }
+
+    // Public API methods
+    announce(message) {
+        const liveRegion = document.getElementById('live-region');
+        if (liveRegion) {
+            liveRegion.textContent = message;
+        }
+    }
+
+    scrollToSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (section) {
+            NavigationManager.scrollToElement(section);
+        }
+    }
+
+    destroy() {
+        if (this.scrollObserver) {
+            this.scrollObserver.disconnect();
+        }
+
+        this.contactForms.forEach(contactForm => contactForm.destroy());
+        this.tooltips.forEach(tooltip => tooltip.destroy());
+        
+        // Clean up event listeners and resources
+        window.removeEventListener('error', this.handleError);
+        window.removeEventListener('unhandledrejection', this.handleError);
+        
+        console.log('Mitski app destroyed');
+    }
+}
+
+MitskiApp.serviceWorkerUrl = 'sw.js';
+
+// CSS for ripple effect, skip links and keyboard focus
+const APP_STYLES = `
+    @keyframes ripple {
+        to {
+            transform: scale(4);
+            opacity: 0;
+        }
+    }
+    
+    .skip-links {
+        position: absolute;
+        top: -100px;
+        left: 0;
+        z-index: 9999;
+    }
+    
+    .skip-link {
+        position: absolute;
+        top: 0;
+        left: 0;
+        background: #000;
+        color: #fff;
+        padding: 8px 16px;
+        text-decoration: none;
+        transition: top 0.3s;
+    }
+    
+    .skip-link:focus {
+        top: 100px;
+    }
+    
+    .keyboard-navigation *:focus {
+        outline: 2px solid #00FFFF !important;
+        outline-offset: 2px !important;
+    }
+    
+    .card.focused {
+        outline: 2px solid #00FFFF;
+        outline-offset: 2px;
+    }
+`;
+
+// Start the application; call once the DOM is ready
+function initApp(options = {}) {
+    if (!document.getElementById('mitski-app-styles')) {
+        const style = document.createElement('style');
+        style.id = 'mitski-app-styles';
+        style.textContent = APP_STYLES;
+        document.head.appendChild(style);
+    }
+
+    return new MitskiApp(options);
+}
+
+// ---- index.js
+
+/**
+ * Mitski 3D Space
+ * Entry point for bundlers: every module's exports, plus initSite() to start the whole page
+ */
+
+
+
+// Start everything index.html uses; call once the DOM is ready.
+// Pass { animations: false } for a page without the 3D scenes.
+function initSite(options = {}) {
+    const navigation = initNavigation();
+    const scrollProgress = initScrollProgress({ navigation: navigation });
+
+    let animationManager = null;
+    if (options.animations !== false) {
+        animationManager = initAnimations();
+        defineMitskiScene();
+    }
+
+    const app = initApp({ animationManager: animationManager });
+    return { navigation, scrollProgress, animationManager, app };
+}
+
+// ---- script-tag start
+
+const Mitski3DSpace = { SiteConfig, ThreeLoader, NavigationManager, initNavigation, ScrollProgress, initScrollProgress, PostProcessor, AnimationClock, Behavior, AnimationEngine, SceneExporter, FrameCapture, SharedRenderer, FallbackRenderer, NullRenderer, SeededRandom, MaterialPalette, ThreeJSAnimator, ScrollTimeline, HeroAnimator, QualityGovernor, AnimationConfig, AnimationManager, initAnimations, MitskiScene, defineMitskiScene, ContactForm, Tooltip, MitskiApp, initApp, initSite };
+global.Mitski3DSpace = Mitski3DSpace;
+
+// The classes stay reachable by name, as with the old separate script tags
+Object.keys(Mitski3DSpace).forEach(name => {
+    if (/^[A-Z]/.test(name)) {
+        global[name] = Mitski3DSpace[name];
+    }
+});
+
+if (typeof document !== 'undefined' && !(script && script.dataset.autostart === 'false')) {
+    // Fetch Three.js while the page is still parsing
+    const loaded = ThreeLoader.load();
+    const domReady = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', resolve);
+        } else {
+            resolve();
+        }
+    });
+
+    Promise.all([loaded, domReady]).then(([three]) => {
+        THREE = three;
+        if (!THREE) {
+            console.warn('Three.js not loaded, skipping 3D animations');
+        }
+
+        const site = initSite({ animations: Boolean(THREE) });
+
+        // Export for debugging
+        global.animationManager = site.animationManager;
+        global.mitskiApp = site.app;
+    });
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,127 @@
+/**
+ * Mitski Scene Element
+ * <mitski-scene> custom element: a self-contained floating-shapes scene
+ *
+ *   <mitski-scene shapes="cube,torus" colors="#00FFFF,#FF00FF" count="6" seed="42" motion="on"></mitski-scene>
+ */
+
+import { AnimationManager, SharedRenderer } from './three-animations.js';
+
+// Lets the module load under Node, where there is no HTMLElement to extend
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export class MitskiScene extends BaseElement {
+    static get observedAttributes() {
+        return ['shapes', 'colors', 'count', 'seed', 'palette', 'effects', 'motion'];
+    }
+
+    constructor() {
+        super();
+        this.animator = null;
+        this.manager = null;
+        this.stale = false;
+        this.updateQueued = false;
+        this.autoKey = `mitski-scene-${++MitskiScene.count}`;
+        this.key = this.autoKey;
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+                :host { display: block; position: relative; min-height: 200px; }
+                :host([hidden]) { display: none; }
+                canvas { position: absolute; inset: 0; width: 100%; height: 100%; display: block; }
+            </style>
+            <canvas aria-hidden="true"></canvas>
+        `;
+        this.canvas = root.querySelector('canvas');
+    }
+
+    connectedCallback() {
+        // A move is a disconnect and a reconnect; the scene built before it stays
+        if (!this.animator) {
+            this.mount();
+        }
+    }
+
+    disconnectedCallback() {
+        this.scheduleUpdate();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.animator || oldValue === value) return;
+
+        if (name === 'motion') {
+            this.applyMotion();
+        } else {
+            this.stale = true;
+            this.scheduleUpdate();
+        }
+    }
+
+    // Attribute changes, moves and removals settle once per microtask, so
+    // setting several attributes in a row rebuilds the scene once
+    scheduleUpdate() {
+        if (this.updateQueued) return;
+        this.updateQueued = true;
+
+        queueMicrotask(() => {
+            this.updateQueued = false;
+            if (!this.isConnected) {
+                this.unmount();
+            } else if (this.stale) {
+                this.mount();
+            }
+        });
+    }
+
+    // Build (or rebuild) the scene from the current attributes
+    mount() {
+        this.stale = false;
+
+        // Swapping the only card scene on the page would otherwise hand back the
+        // shared WebGL context and create a new one straight away
+        SharedRenderer.keepAlive(() => {
+            this.unmount();
+
+            // The element's id names the scene in the manager, unless it's taken
+            const manager = AnimationManager.shared();
+            this.manager = manager;
+            this.key = this.id && !manager.animators.has(this.id) ? this.id : this.autoKey;
+            this.animator = manager.createScene(this.key, this.canvas, manager.readScene(this, this.key));
+        });
+        this.applyMotion();
+    }
+
+    unmount() {
+        if (!this.animator) return;
+        this.manager.removeScene(this.key);
+        this.animator = null;
+        this.manager = null;
+    }
+
+    // motion="off" holds a still frame whatever the page's motion setting;
+    // "on" (the default) follows the visitor's toggle and reduced motion
+    applyMotion() {
+        if (!this.animator) return;
+
+        const motion = this.getAttribute('motion') || 'on';
+        if (motion !== 'on' && motion !== 'off') {
+            console.error(`Invalid value in ${this.key}[motion]: expected "on" or "off", got`, motion);
+        }
+
+        const still = motion === 'off';
+        this.animator.setPaused('attribute', still);
+        if (still) {
+            this.animator.renderFrame();
+        }
+    }
+}
+
+MitskiScene.count = 0;
+
+// Register the element; safe to call more than once
+export function defineMitskiScene(name = 'mitski-scene') {
+    if (typeof window !== 'undefined' && window.customElements && !customElements.get(name)) {
+        customElements.define(name, MitskiScene);
+    }
+}
@@ -1,24 +1,173 @@
 /**
  * Navigation Module
- * Handles mobile menu, smooth scrolling, and header effects
+ * Renders the menus from site config; handles mobile menu, sub-menus, section
+ * routing, smooth scrolling, and header effects
  */
 
-class NavigationManager {
+import { SiteConfig } from './site-config.js';
+
+export class NavigationManager {
+    // Where the page has to scroll for an element to sit just below the fixed header
+    static scrollOffset(element) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        return element.getBoundingClientRect().top + window.scrollY - headerHeight;
+    }
+
+    // The one place that scrolls to a section; smooth unless the visitor prefers reduced motion
+    static scrollToElement(element, behavior) {
+        const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        window.scrollTo({
+            top: NavigationManager.scrollOffset(element),
+            behavior: behavior || (reduced ? 'auto' : 'smooth')
+        });
+    }
+
+    // Give a section's heading (or the section itself) keyboard and screen reader focus
+    static focusSection(section) {
+        const target = section.querySelector('h1, h2, h3') || section;
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.classList.add('route-focus');
+        target.focus({ preventScroll: true });
+    }
+
+    static renderList(items) {
+        const list = document.createElement('ul');
+        items.filter(item => NavigationManager.isValidItem(item)).forEach(item => {
+            const li = document.createElement('li');
+            if (item.href) {
+                li.appendChild(NavigationManager.createLink(item));
+            } else {
+                li.textContent = item.label;
+            }
+            if (Array.isArray(item.children)) {
+                li.appendChild(NavigationManager.renderList(item.children));
+            }
+            list.appendChild(li);
+        });
+        return list;
+    }
+
+    static createLink(item) {
+        const link = document.createElement('a');
+        link.href = item.href;
+        link.textContent = item.label;
+        if (item.id) {
+            link.id = item.id;
+        }
+        if (item.ariaLabel) {
+            link.setAttribute('aria-label', item.ariaLabel);
+        }
+        return link;
+    }
+
+    static isValidItem(item) {
+        if (item && item.label && (item.href || Array.isArray(item.children))) return true;
+        console.warn('Skipping navigation item without a label and an href or children:', item);
+        return false;
+    }
+
     constructor() {
         this.header = document.querySelector('.header');
         this.mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
         this.navMenu = document.querySelector('.nav-menu');
         this.navLinks = document.querySelectorAll('.nav-menu a');
+        this.sections = document.querySelectorAll('section[id]');
+        this.activeId = null;
         
         this.init();
     }
 
     init() {
         this.setupMobileMenu();
-        this.setupSmoothScrolling();
+        this.setupSubmenus();
+        this.setupRouter();
         this.setupScrollEffects();
         this.setupActiveNavLinks();
         this.setupKeyboardNavigation();
+
+        // The hand-written menus in index.html stay for visitors without JavaScript
+        SiteConfig.load().then(config => this.renderMenus(config));
+    }
+
+    renderMenus(config) {
+        const main = SiteConfig.get(config, 'navigation.main', null);
+        if (Array.isArray(main) && this.navMenu) {
+            this.navMenu.replaceChildren(...main.map(item => this.renderMenuItem(item)).filter(Boolean));
+            this.navLinks = this.navMenu.querySelectorAll('a');
+            if (this.activeId) {
+                this.setActiveLink(this.activeId);
+            }
+        }
+
+        const footer = SiteConfig.get(config, 'navigation.footer', null);
+        if (Array.isArray(footer)) {
+            this.renderFooterMenus(footer);
+        }
+    }
+
+    // { label, href?, id?, ariaLabel?, children? }: an item with children gets a disclosure
+    // button next to its link (or in place of it, without an href)
+    renderMenuItem(item) {
+        if (!NavigationManager.isValidItem(item)) return null;
+
+        const li = document.createElement('li');
+        if (item.href) {
+            li.appendChild(NavigationManager.createLink(item));
+        }
+        if (!Array.isArray(item.children)) return li;
+
+        const submenu = document.createElement('ul');
+        submenu.className = 'nav-submenu';
+        submenu.id = item.id ? `${item.id}-submenu` : `nav-submenu-${++NavigationManager.submenuCount}`;
+        submenu.hidden = true;
+        submenu.append(...item.children.map(child => this.renderMenuItem(child)).filter(Boolean));
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'nav-submenu-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', submenu.id);
+        if (item.href) {
+            toggle.setAttribute('aria-label', `${item.label} menu`);
+        } else {
+            toggle.textContent = item.label;
+        }
+        toggle.insertAdjacentHTML('beforeend', '<span class="nav-submenu-icon" aria-hidden="true"></span>');
+
+        li.classList.add('has-submenu');
+        li.append(toggle, submenu);
+        return li;
+    }
+
+    // Footer groups are { label, items }; nested items are listed, not collapsed
+    renderFooterMenus(groups) {
+        const container = document.querySelector('.footer-content');
+        if (!container) return;
+
+        container.querySelectorAll('[data-footer-menu]').forEach(section => section.remove());
+        groups.forEach(group => {
+            if (!group || !group.label || !Array.isArray(group.items)) {
+                console.warn('Skipping footer menu without a label and items:', group);
+                return;
+            }
+
+            const section = document.createElement('div');
+            section.className = 'footer-section';
+            section.dataset.footerMenu = '';
+
+            const heading = document.createElement('h3');
+            heading.textContent = group.label;
+
+            const nav = document.createElement('nav');
+            nav.setAttribute('aria-label', `Footer ${group.label} Navigation`);
+            nav.appendChild(NavigationManager.renderList(group.items));
+
+            section.append(heading, nav);
+            container.appendChild(section);
+        });
     }
 
     setupMobileMenu() {
@@ -28,11 +177,11 @@ class NavigationManager {
             this.toggleMobileMenu();
         });
 
-        // Close mobile menu when clicking on a link
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', () => {
+        // Close mobile menu when clicking on a link (delegated, as the menu is re-rendered)
+        this.navMenu.addEventListener('click', (e) => {
+            if (e.target.closest('a')) {
                 this.closeMobileMenu();
-            });
+            }
         });
 
         // Close mobile menu when clicking outside
@@ -72,32 +221,162 @@ class NavigationManager {
         document.body.style.overflow = ''; // Restore scrolling
     }
 
-    setupSmoothScrolling() {
-        this.navLinks.forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                const href = anchor.getAttribute('href');
-                
-                if (href.startsWith('#')) {
-                    e.preventDefault();
-                    const target = document.querySelector(href);
-                    
-                    if (target) {
-                        const headerHeight = this.header.offsetHeight;
-                        const targetPosition = target.offsetTop - headerHeight;
-                        
-                        window.scrollTo({
-                            top: targetPosition,
-                            behavior: 'smooth'
-                        });
-                        
-                        // Update URL without triggering scroll
-                        history.replaceState(null, null, href);
-                    }
+    // Each section gets its own history entry (#about, #careers, ...), so Back
+    // returns to the previous section and deep links land below the header
+    setupRouter() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            const id = link.getAttribute('href').slice(1);
+            if (this.findSection(id)) {
+                e.preventDefault();
+                this.navigateTo(id);
+            }
+        });
+
+        window.addEventListener('popstate', () => {
+            const id = location.hash.slice(1);
+            if (this.findSection(id)) {
+                this.navigateTo(id, { push: false });
+            } else if (!id) {
+                window.scrollTo({ top: 0, behavior: 'auto' });
+            }
+        });
+
+        // The browser's own jump to the hash ignores the fixed header; correct
+        // it now and again once images and fonts have settled the layout
+        const initial = location.hash.slice(1);
+        if (this.findSection(initial)) {
+            this.navigateTo(initial, { push: false, behavior: 'auto' });
+            if (document.readyState !== 'complete') {
+                window.addEventListener('load', () => {
+                    this.navigateTo(initial, { push: false, behavior: 'auto', focus: false });
+                }, { once: true });
+            }
+        }
+    }
+
+    findSection(id) {
+        return id ? Array.from(this.sections).find(section => section.id === id) || null : null;
+    }
+
+    navigateTo(id, options = {}) {
+        const section = this.findSection(id);
+        if (!section) return false;
+
+        // Once the router places sections itself, the browser's own restoring
+        // would fight it; pages without a hash keep the browser's behaviour
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        const { push = true, focus = true, behavior } = options;
+        if (push && location.hash !== `#${id}`) {
+            history.pushState({ section: id }, '', `#${id}`);
+        }
+
+        NavigationManager.scrollToElement(section, behavior);
+        this.setActiveLink(id);
+        if (focus) {
+            NavigationManager.focusSection(section);
+        }
+        return true;
+    }
+
+    setActiveLink(id) {
+        this.activeId = id;
+        this.navLinks.forEach(link => {
+            const active = link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        // A closed sub-menu shows that the current section is inside it
+        if (this.navMenu) {
+            this.navMenu.querySelectorAll('.has-submenu').forEach(item => {
+                item.classList.toggle('has-active', Boolean(item.querySelector('a.active')));
+            });
+        }
+    }
+
+    setupSubmenus() {
+        if (!this.navMenu) return;
+
+        this.navMenu.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.nav-submenu-toggle');
+            if (toggle) {
+                this.toggleSubmenu(toggle);
+            } else if (e.target.closest('a')) {
+                this.closeSubmenus();
+            }
+        });
+
+        // Close a sub-menu once focus leaves it, or on a click anywhere else
+        this.navMenu.addEventListener('focusout', (e) => {
+            const item = e.target.closest('.has-submenu');
+            if (item && !item.contains(e.relatedTarget)) {
+                this.closeSubmenus(item);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.has-submenu')) {
+                this.closeSubmenus();
+            }
+        });
+
+        // Escape closes the innermost open sub-menu before the mobile menu
+        this.navMenu.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            const item = e.target.closest('.has-submenu');
+            const toggle = item && item.querySelector(':scope > .nav-submenu-toggle');
+            if (toggle && toggle.getAttribute('aria-expanded') === 'true') {
+                e.stopPropagation();
+                this.setSubmenuOpen(toggle, false);
+                toggle.focus();
+            }
+        });
+    }
+
+    toggleSubmenu(toggle) {
+        const open = toggle.getAttribute('aria-expanded') !== 'true';
+        if (open) {
+            // One open at a time, apart from the ones this one is nested in
+            this.navMenu.querySelectorAll('.nav-submenu-toggle[aria-expanded="true"]').forEach(other => {
+                if (!other.parentElement.contains(toggle)) {
+                    this.setSubmenuOpen(other, false);
                 }
             });
+        }
+        this.setSubmenuOpen(toggle, open);
+    }
+
+    setSubmenuOpen(toggle, open) {
+        const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+        toggle.setAttribute('aria-expanded', String(open));
+        if (submenu) {
+            submenu.hidden = !open;
+        }
+    }
+
+    // Close every open sub-menu, or just those inside `within`
+    closeSubmenus(within = this.navMenu) {
+        within.querySelectorAll('.nav-submenu-toggle[aria-expanded="true"]').forEach(toggle => {
+            this.setSubmenuOpen(toggle, false);
         });
     }
 
+    // Links and buttons a keyboard can reach, skipping closed sub-menus
+    focusableItems() {
+        return Array.from(this.navMenu.querySelectorAll('a, button'))
+            .filter(element => !element.closest('[hidden]'));
+    }
+
     setupScrollEffects() {
         let ticking = false;
 
@@ -128,8 +407,6 @@ class NavigationManager {
     }
 
     setupActiveNavLinks() {
-        const sections = document.querySelectorAll('section[id]');
-        
         const observerOptions = {
             root: null,
             rootMargin: '-20% 0% -70% 0%',
@@ -139,20 +416,17 @@ class NavigationManager {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 const id = entry.target.getAttribute('id');
-                const navLink = document.querySelector(`.nav-menu a[href="#${id}"]`);
                 
                 if (entry.isIntersecting) {
-                    // Remove active class from all links
-                    this.navLinks.forEach(link => link.classList.remove('active'));
-                    // Add active class to current link
-                    if (navLink) {
-                        navLink.classList.add('active');
-                    }
+                    this.setActiveLink(id);
+                    
+                    // Let other modules follow the active section
+                    window.dispatchEvent(new CustomEvent('nav:sectionchange', { detail: { id } }));
                 }
             });
         }, observerOptions);
 
-        sections.forEach(section => {
+        this.sections.forEach(section => {
             observer.observe(section);
         });
     }
@@ -175,7 +449,7 @@ class NavigationManager {
         // Tab navigation for mobile menu
         this.navMenu.addEventListener('keydown', (e) => {
             if (e.key === 'Tab') {
-                const focusableElements = this.navMenu.querySelectorAll('a');
+                const focusableElements = this.focusableItems();
                 const firstElement = focusableElements[0];
                 const lastElement = focusableElements[focusableElements.length - 1];
 
@@ -191,12 +465,9 @@ class NavigationManager {
     }
 }
 
-// Initialize navigation when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new NavigationManager();
-});
+NavigationManager.submenuCount = 0;
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = NavigationManager;
-}
\ No newline at end of file
+// Start navigation; call once the DOM is ready
+export function initNavigation() {
+    return new NavigationManager();
+}
@@ -0,0 +1,218 @@
+/**
+ * Post-Processing Module
+ * Full-screen shader passes applied after an animator renders its scene
+ */
+
+import * as THREE from 'three';
+
+export class PostProcessor {
+    // An effect is { uniforms: { name: defaultValue }, fragmentShader }. Every
+    // shader also receives tDiffuse, resolution (in pixels), time and vUv.
+    static registerEffect(name, effect) {
+        if (!effect || typeof effect.fragmentShader !== 'string') {
+            throw new TypeError(`Effect '${name}' needs a fragmentShader string`);
+        }
+        PostProcessor.effects.set(name, effect);
+    }
+
+    static hasEffect(name) {
+        return PostProcessor.effects.has(name);
+    }
+
+    // Accepts 'bloom' or { type: 'bloom', strength: 0.8 }
+    constructor(effects = []) {
+        this.passes = effects
+            .map(effect => typeof effect === 'string' ? { type: effect } : effect)
+            .map(effect => this.createPass(effect))
+            .filter(Boolean);
+
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat
+        }));
+
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quadScene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quadScene.add(this.quad);
+    }
+
+    createPass(effect) {
+        const definition = PostProcessor.effects.get(effect.type);
+        if (!definition) {
+            console.error(`Unknown post-processing effect '${effect.type}'`);
+            return null;
+        }
+
+        const uniforms = {
+            tDiffuse: { value: null },
+            resolution: { value: new THREE.Vector2() },
+            time: { value: 0 }
+        };
+        Object.entries(definition.uniforms || {}).forEach(([name, value]) => {
+            uniforms[name] = { value: effect[name] !== undefined ? effect[name] : value };
+        });
+
+        return {
+            type: effect.type,
+            material: new THREE.ShaderMaterial({
+                uniforms: uniforms,
+                vertexShader: PostProcessor.vertexShader,
+                fragmentShader: definition.fragmentShader,
+                transparent: true,
+                depthTest: false,
+                depthWrite: false
+            })
+        };
+    }
+
+    get isEmpty() {
+        return this.passes.length === 0;
+    }
+
+    setSize(width, height) {
+        this.targets.forEach(target => {
+            if (target.width !== width || target.height !== height) {
+                target.setSize(width, height);
+            }
+        });
+    }
+
+    // Renders the scene into a target, runs the passes back and forth between
+    // the two targets, and draws the last one wherever the renderer was pointed.
+    // `time` (seconds) drives animated passes such as film grain; animators pass
+    // their clock, so captures come out the same every time.
+    render(renderer, scene, camera, width, height, time = performance.now() * 0.001) {
+        const output = renderer.getRenderTarget();
+        this.setSize(width, height);
+
+        renderer.setRenderTarget(this.targets[0]);
+        renderer.render(scene, camera);
+
+        let read = 0;
+        this.passes.forEach((pass, index) => {
+            const uniforms = pass.material.uniforms;
+            uniforms.tDiffuse.value = this.targets[read].texture;
+            uniforms.resolution.value.set(width, height);
+            uniforms.time.value = time;
+
+            const isLast = index === this.passes.length - 1;
+            renderer.setRenderTarget(isLast ? output : this.targets[1 - read]);
+            this.quad.material = pass.material;
+            renderer.render(this.quadScene, this.quadCamera);
+            read = 1 - read;
+        });
+    }
+
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        this.passes.forEach(pass => pass.material.dispose());
+        this.quad.geometry.dispose();
+    }
+}
+
+PostProcessor.effects = new Map();
+
+PostProcessor.vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Soft glow around the brightest colours, sampled on a golden-angle spiral
+PostProcessor.registerEffect('bloom', {
+    uniforms: { strength: 0.8, threshold: 0.6, radius: 12 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float strength;
+        uniform float threshold;
+        uniform float radius;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 glow = vec3(0.0);
+            for (int i = 0; i < 24; i++) {
+                float angle = float(i) * 2.39996;
+                float spread = sqrt(float(i) + 0.5) / 4.9;
+                vec2 offset = vec2(cos(angle), sin(angle)) * spread * radius / resolution;
+                vec4 tap = texture2D(tDiffuse, vUv + offset);
+                glow += max(tap.rgb - vec3(threshold), 0.0) * tap.a;
+            }
+            glow = glow / 24.0 * strength;
+            gl_FragColor = vec4(base.rgb + glow, max(base.a, max(glow.r, max(glow.g, glow.b))));
+        }
+    `
+});
+
+// Red and blue split apart toward the edges like a cheap lens
+PostProcessor.registerEffect('chromaticAberration', {
+    uniforms: { amount: 0.02 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+        void main() {
+            vec2 direction = vUv - 0.5;
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec4 red = texture2D(tDiffuse, vUv + direction * amount);
+            vec4 blue = texture2D(tDiffuse, vUv - direction * amount);
+            gl_FragColor = vec4(red.r, base.g, blue.b, max(base.a, max(red.a, blue.a)));
+        }
+    `
+});
+
+PostProcessor.registerEffect('filmGrain', {
+    uniforms: { intensity: 0.08 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float time;
+        uniform float intensity;
+        varying vec2 vUv;
+        float random(vec2 point) {
+            return fract(sin(dot(point, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            float noise = random(floor(vUv * resolution) + fract(time) * 100.0) - 0.5;
+            gl_FragColor = vec4(base.rgb + noise * intensity * base.a, base.a);
+        }
+    `
+});
+
+// Print-style CMYK halftone: one dot screen per ink at the classic angles
+// (C 15°, M 75°, Y 0°, K 45°), dot area proportional to ink coverage
+PostProcessor.registerEffect('halftone', {
+    uniforms: { dotSize: 6, blend: 1 },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float dotSize;
+        uniform float blend;
+        varying vec2 vUv;
+        float screen(vec2 point, float angle, float coverage) {
+            float s = sin(angle);
+            float c = cos(angle);
+            vec2 cell = fract(mat2(c, -s, s, c) * point / dotSize) - 0.5;
+            float radius = sqrt(clamp(coverage, 0.0, 1.0)) * 0.7071;
+            return 1.0 - smoothstep(radius - 0.06, radius + 0.06, length(cell));
+        }
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            float k = 1.0 - max(base.r, max(base.g, base.b));
+            vec3 cmy = (1.0 - base.rgb - k) / max(1.0 - k, 0.0001);
+            vec2 point = vUv * resolution;
+            vec3 inks = vec3(
+                screen(point, 0.2618, cmy.x),
+                screen(point, 1.3090, cmy.y),
+                screen(point, 0.0, cmy.z)
+            );
+            vec3 printed = (vec3(1.0) - inks) * (1.0 - screen(point, 0.7854, k));
+            gl_FragColor = vec4(mix(base.rgb, printed, blend), base.a);
+        }
+    `
+});
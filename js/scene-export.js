@@ -0,0 +1,222 @@
+/**
+ * Scene Export Module
+ * Writes an animator's current frame as glTF 2.0 and saves exports as files
+ */
+
+import * as THREE from 'three';
+
+export class SceneExporter {
+    // Builds a self-contained .gltf (JSON with the geometry embedded as base64).
+    // options.objects limits the export to those meshes; options.colorOf(mesh)
+    // supplies a base colour for materials without one (e.g. shader materials).
+    static toGLTF(scene, camera, options = {}) {
+        const writer = new SceneExporter(options);
+        scene.updateMatrixWorld();
+
+        const meshes = options.objects || scene.children.filter(child => child.isMesh);
+        const nodes = meshes
+            .filter(mesh => mesh.visible)
+            .map(mesh => writer.addMesh(mesh));
+
+        if (camera) {
+            nodes.push(writer.addCamera(camera));
+        }
+
+        return writer.finish(options.name || 'scene', nodes);
+    }
+
+    // Accepts a Blob, a string or anything JSON.stringify can write
+    static download(data, filename, type = 'application/json') {
+        let blob = data;
+        if (!(data instanceof Blob)) {
+            const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+            blob = new Blob([text], { type: type });
+        }
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    constructor(options = {}) {
+        this.colorOf = options.colorOf || (mesh => mesh.material.color || new THREE.Color(0xffffff));
+        this.json = {
+            asset: { version: '2.0', generator: 'mitski-3dspace SceneExporter' },
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: []
+        };
+        this.chunks = [];
+        this.byteLength = 0;
+    }
+
+    addMesh(mesh) {
+        const geometry = mesh.geometry;
+        const attributes = {
+            POSITION: this.addAccessor(geometry.attributes.position, SceneExporter.ARRAY_BUFFER, true)
+        };
+        if (geometry.attributes.normal) {
+            attributes.NORMAL = this.addAccessor(geometry.attributes.normal, SceneExporter.ARRAY_BUFFER);
+        }
+
+        const primitive = { attributes: attributes, material: this.addMaterial(mesh) };
+        if (geometry.index) {
+            primitive.indices = this.addAccessor(geometry.index, SceneExporter.ELEMENT_ARRAY_BUFFER);
+        }
+
+        const type = mesh.userData.shape ? mesh.userData.shape.type : 'mesh';
+        this.json.meshes.push({ name: type, primitives: [primitive] });
+
+        return this.addNode({
+            name: `${type}-${this.json.meshes.length}`,
+            mesh: this.json.meshes.length - 1
+        }, mesh);
+    }
+
+    addCamera(camera) {
+        this.json.cameras = [{
+            type: 'perspective',
+            perspective: {
+                yfov: THREE.MathUtils.degToRad(camera.fov),
+                aspectRatio: camera.aspect,
+                znear: camera.near,
+                zfar: camera.far
+            }
+        }];
+        return this.addNode({ name: 'camera', camera: 0 }, camera);
+    }
+
+    addNode(node, object) {
+        // Scene children sit at the root, so local and world transforms agree
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        object.matrixWorld.decompose(position, quaternion, scale);
+
+        node.translation = position.toArray();
+        node.rotation = quaternion.toArray();
+        node.scale = scale.toArray();
+
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+
+    addMaterial(mesh) {
+        const material = mesh.material;
+        const color = this.colorOf(mesh);
+        const opacity = material.opacity !== undefined ? material.opacity : 1;
+
+        const entry = {
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, opacity],
+                metallicFactor: 0,
+                roughnessFactor: 0.4
+            },
+            doubleSided: material.side === THREE.DoubleSide
+        };
+        if (material.transparent && opacity < 1) {
+            entry.alphaMode = 'BLEND';
+        }
+
+        this.json.materials.push(entry);
+        return this.json.materials.length - 1;
+    }
+
+    addAccessor(attribute, target, withBounds = false) {
+        const isIndex = target === SceneExporter.ELEMENT_ARRAY_BUFFER;
+        const count = attribute.count;
+        const itemSize = attribute.itemSize;
+
+        let array;
+        if (isIndex) {
+            array = count > 65535 ? new Uint32Array(count) : new Uint16Array(count);
+            for (let i = 0; i < count; i++) array[i] = attribute.getX(i);
+        } else {
+            array = new Float32Array(count * itemSize);
+            for (let i = 0; i < count; i++) {
+                for (let j = 0; j < itemSize; j++) {
+                    array[i * itemSize + j] = attribute.array[i * itemSize + j];
+                }
+            }
+        }
+
+        const accessor = {
+            bufferView: this.addBufferView(array, target),
+            componentType: isIndex ? (array instanceof Uint32Array ? 5125 : 5123) : 5126,
+            count: count,
+            type: isIndex ? 'SCALAR' : `VEC${itemSize}`
+        };
+
+        // POSITION accessors must carry their bounds
+        if (withBounds) {
+            accessor.min = new Array(itemSize).fill(Infinity);
+            accessor.max = new Array(itemSize).fill(-Infinity);
+            for (let i = 0; i < array.length; i++) {
+                const axis = i % itemSize;
+                accessor.min[axis] = Math.min(accessor.min[axis], array[i]);
+                accessor.max[axis] = Math.max(accessor.max[axis], array[i]);
+            }
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    addBufferView(array, target) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        this.json.bufferViews.push({
+            buffer: 0,
+            byteOffset: this.byteLength,
+            byteLength: bytes.length,
+            target: target
+        });
+
+        // Every view starts on a 4-byte boundary
+        const padded = Math.ceil(bytes.length / 4) * 4;
+        this.chunks.push({ bytes: bytes, offset: this.byteLength });
+        this.byteLength += padded;
+        return this.json.bufferViews.length - 1;
+    }
+
+    finish(name, nodes) {
+        this.json.scene = 0;
+        this.json.scenes = [{ name: name, nodes: nodes }];
+
+        if (this.byteLength) {
+            const buffer = new Uint8Array(this.byteLength);
+            this.chunks.forEach(chunk => buffer.set(chunk.bytes, chunk.offset));
+            this.json.buffers = [{
+                byteLength: this.byteLength,
+                uri: `data:application/octet-stream;base64,${SceneExporter.toBase64(buffer)}`
+            }];
+        }
+
+        // glTF doesn't allow empty top-level arrays
+        Object.keys(this.json).forEach(key => {
+            if (Array.isArray(this.json[key]) && this.json[key].length === 0) {
+                delete this.json[key];
+            }
+        });
+        return this.json;
+    }
+}
+
+SceneExporter.ARRAY_BUFFER = 34962;
+SceneExporter.ELEMENT_ARRAY_BUFFER = 34963;
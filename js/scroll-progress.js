@@ -0,0 +1,222 @@
+/**
+ * Scroll Progress Module
+ * A reading progress bar in the header and a collapsible side minimap with a dot
+ * per section that fills as the section is read
+ */
+
+import { NavigationManager } from './navigation.js';
+
+export class ScrollProgress {
+    // How much of `section` has been read, 0 to 1: reading starts when its top
+    // reaches the bottom of the fixed header and ends when its bottom comes into view
+    static sectionProgress(section) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+
+        // The page can't scroll past either end, so the first and last sections
+        // may never line up with the header
+        const top = NavigationManager.scrollOffset(section);
+        const end = Math.min(maxScroll, top + section.offsetHeight - (window.innerHeight - headerHeight));
+        const start = Math.min(Math.max(0, top), end);
+
+        if (end <= start) {
+            return window.scrollY >= end ? 1 : 0;
+        }
+        return Math.min(1, Math.max(0, (window.scrollY - start) / (end - start)));
+    }
+
+    static pageProgress() {
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        return maxScroll > 0 ? Math.min(1, Math.max(0, window.scrollY / maxScroll)) : 1;
+    }
+
+    // The nav link's text, then the section's heading, then its aria-label
+    static labelFor(section) {
+        const link = document.querySelector(`.nav-menu a[href="#${section.id}"]`);
+        const headingId = section.getAttribute('aria-labelledby');
+        const heading = headingId && document.getElementById(headingId);
+        return (link && link.textContent.trim()) ||
+            (heading && heading.textContent.trim()) ||
+            section.getAttribute('aria-label') ||
+            section.id;
+    }
+
+    constructor(options = {}) {
+        this.navigation = options.navigation || null;
+        this.header = document.querySelector('.header');
+        this.sections = Array.from(document.querySelectorAll('section[id]'));
+        this.activeId = this.navigation ? this.navigation.activeId : null;
+        this.dots = new Map();
+        this.percents = new Map();
+        this.cleanups = [];
+
+        this.init(options);
+    }
+
+    init(options) {
+        if (options.bar !== false) {
+            this.createBar();
+        }
+        if (options.minimap !== false && this.sections.length) {
+            this.createMinimap();
+        }
+
+        let ticking = false;
+        const onScroll = () => {
+            if (!ticking) {
+                requestAnimationFrame(() => {
+                    this.update();
+                    ticking = false;
+                });
+                ticking = true;
+            }
+        };
+        this.listen(window, 'scroll', onScroll, { passive: true });
+        this.listen(window, 'resize', onScroll);
+        this.listen(window, 'load', onScroll);
+
+        // The navigation's observer already tracks the section in view
+        this.listen(window, 'nav:sectionchange', (e) => this.setActive(e.detail.id));
+
+        this.update();
+        if (this.activeId) {
+            this.setActive(this.activeId);
+        }
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    createBar() {
+        if (!this.header) return;
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'scroll-progress';
+        this.bar.setAttribute('role', 'progressbar');
+        this.bar.setAttribute('aria-label', 'Reading progress');
+        this.bar.setAttribute('aria-valuemin', '0');
+        this.bar.setAttribute('aria-valuemax', '100');
+        this.bar.innerHTML = '<span class="scroll-progress-fill"></span>';
+        this.header.appendChild(this.bar);
+    }
+
+    createMinimap() {
+        this.minimap = document.createElement('nav');
+        this.minimap.className = 'section-minimap';
+        this.minimap.setAttribute('aria-label', 'Section minimap');
+
+        const list = document.createElement('ol');
+        list.className = 'section-minimap-list';
+        list.id = 'section-minimap-list';
+
+        this.sections.forEach(section => {
+            const item = document.createElement('li');
+            const dot = document.createElement('a');
+            dot.className = 'section-minimap-dot';
+            // The router handles these links like any other #section link
+            dot.href = `#${section.id}`;
+
+            const label = document.createElement('span');
+            label.className = 'section-minimap-label';
+            label.textContent = ScrollProgress.labelFor(section);
+
+            const percent = document.createElement('span');
+            percent.className = 'section-minimap-percent';
+
+            label.append(' ', percent);
+            dot.appendChild(label);
+            item.appendChild(dot);
+            list.appendChild(item);
+            this.dots.set(section.id, dot);
+        });
+
+        this.toggle = document.createElement('button');
+        this.toggle.type = 'button';
+        this.toggle.className = 'section-minimap-toggle';
+        this.toggle.setAttribute('aria-controls', list.id);
+        this.toggle.innerHTML = '<span class="section-minimap-toggle-icon" aria-hidden="true"></span><span class="sr-only">Sections</span>';
+        this.listen(this.toggle, 'click', () => {
+            this.setCollapsed(this.toggle.getAttribute('aria-expanded') === 'true');
+        });
+
+        this.minimap.append(this.toggle, list);
+        document.body.appendChild(this.minimap);
+        this.setCollapsed(this.getStoredCollapsed(), false);
+    }
+
+    setCollapsed(collapsed, save = true) {
+        if (!this.minimap) return;
+
+        this.toggle.setAttribute('aria-expanded', String(!collapsed));
+        this.minimap.querySelector('.section-minimap-list').hidden = collapsed;
+        this.minimap.classList.toggle('collapsed', collapsed);
+
+        if (save) {
+            try {
+                localStorage.setItem(ScrollProgress.STORAGE_KEY, collapsed ? 'collapsed' : 'open');
+            } catch (error) {
+                console.warn('Could not save minimap preference:', error);
+            }
+        }
+    }
+
+    getStoredCollapsed() {
+        try {
+            return localStorage.getItem(ScrollProgress.STORAGE_KEY) === 'collapsed';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    update() {
+        // Measure everything before writing anything, so a scroll frame costs one layout
+        const progress = this.bar ? ScrollProgress.pageProgress() : 0;
+        const percents = this.sections
+            .filter(section => this.dots.has(section.id))
+            .map(section => [section.id, Math.round(ScrollProgress.sectionProgress(section) * 100)]);
+
+        if (this.bar) {
+            this.bar.firstChild.style.transform = `scaleX(${progress})`;
+            this.bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        }
+
+        percents.forEach(([id, percent]) => {
+            // Skip the DOM writes while a section's percentage stays the same
+            if (this.percents.get(id) === percent) return;
+
+            const dot = this.dots.get(id);
+            this.percents.set(id, percent);
+            dot.style.setProperty('--read', `${percent}%`);
+            dot.classList.toggle('read', percent === 100);
+            dot.querySelector('.section-minimap-percent').textContent = `${percent}% read`;
+        });
+    }
+
+    setActive(id) {
+        this.activeId = id;
+        this.dots.forEach((dot, sectionId) => {
+            if (sectionId === id) {
+                dot.setAttribute('aria-current', 'location');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.bar) this.bar.remove();
+        if (this.minimap) this.minimap.remove();
+    }
+}
+
+ScrollProgress.STORAGE_KEY = 'mitski:minimap';
+
+// Start the progress bar and minimap; call after initNavigation()
+export function initScrollProgress(options) {
+    return new ScrollProgress(options);
+}
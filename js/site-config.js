@@ -0,0 +1,36 @@
+/**
+ * Site Configuration Module
+ * Loads assets/icons/site-config.json once and shares it with the other modules
+ */
+
+export class SiteConfig {
+    static load(url = SiteConfig.url) {
+        if (!SiteConfig.pending) {
+            SiteConfig.pending = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error(`Failed to load site config from '${url}', using defaults:`, error);
+                    return {};
+                });
+        }
+        
+        return SiteConfig.pending;
+    }
+
+    // Read a dotted path such as 'animations.three.heroObjectCount'
+    static get(config, path, fallback) {
+        const value = path.split('.').reduce((node, key) => {
+            return node && typeof node === 'object' ? node[key] : undefined;
+        }, config);
+        
+        return value === undefined ? fallback : value;
+    }
+}
+
+SiteConfig.url = 'assets/icons/site-config.json';
+SiteConfig.pending = null;
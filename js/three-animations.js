@@ -3,42 +3,669 @@
  * Handles all 3D animations and graphics throughout the site
  */
 
-class ThreeJSAnimator {
-    constructor(canvasId, color1 = 0x00FFFF, color2 = 0xFF00FF) {
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) {
-            console.warn(`Canvas with id '${canvasId}' not found`);
-            return;
+import * as THREE from 'three';
+import { SiteConfig } from './site-config.js';
+import { PostProcessor } from './post-processing.js';
+import { AnimationClock, AnimationEngine } from './animation-engine.js';
+import { SceneExporter } from './scene-export.js';
+import { FrameCapture } from './frame-capture.js';
+
+// Single WebGL context shared by every card animator. Browsers only keep
+// around 16 live contexts, so each card scene is drawn into a viewport of
+// one offscreen renderer and then copied onto its own 2D canvas.
+export class SharedRenderer {
+    static acquire(animator) {
+        if (!SharedRenderer.instance) {
+            SharedRenderer.instance = new SharedRenderer();
         }
+        SharedRenderer.instance.clients.add(animator);
+        return SharedRenderer.instance;
+    }
 
-        this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(
-            75, 
-            this.canvas.clientWidth / this.canvas.clientHeight, 
-            0.1, 
-            1000
-        );
-        
-        this.renderer = new THREE.WebGLRenderer({ 
-            canvas: this.canvas, 
-            alpha: true, 
+    // Run `task` with the current context (if any) held open, so a scene that
+    // is torn down and rebuilt doesn't drop the last client and start a new one
+    static keepAlive(task) {
+        const instance = SharedRenderer.instance;
+        const holder = { enableFallback() {}, disableFallback() {} };
+        if (instance) {
+            instance.clients.add(holder);
+        }
+        try {
+            return task();
+        } finally {
+            if (instance) {
+                instance.release(holder);
+            }
+        }
+    }
+
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            alpha: true,
             antialias: true,
             powerPreference: "high-performance"
         });
         
-        this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
         this.renderer.setClearColor(0x000000, 0);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(1);
+        this.renderer.setScissorTest(true);
+        this.clients = new Set();
+        
+        // Every card falls back to 2D together when the shared context goes
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.clients.forEach(animator => animator.enableFallback());
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.clients.forEach(animator => animator.disableFallback());
+        });
+    }
+
+    render(scene, camera, targetCanvas, context, postProcessor = null, time) {
+        const width = targetCanvas.width;
+        const height = targetCanvas.height;
+        if (!width || !height) return;
+        
+        // Grow the backing buffer to fit the largest canvas seen so far
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (size.x < width || size.y < height) {
+            this.renderer.setSize(Math.max(size.x, width), Math.max(size.y, height), false);
+        }
+        
+        this.renderer.setViewport(0, 0, width, height);
+        this.renderer.setScissor(0, 0, width, height);
+        this.renderer.clear();
+        if (postProcessor) {
+            postProcessor.render(this.renderer, scene, camera, width, height, time);
+        } else {
+            this.renderer.render(scene, camera);
+        }
+        
+        // WebGL's origin is bottom-left, so the viewport sits at the bottom of the buffer
+        context.clearRect(0, 0, width, height);
+        context.drawImage(
+            this.canvas,
+            0, this.canvas.height - height, width, height,
+            0, 0, width, height
+        );
+    }
+
+    release(animator) {
+        this.clients.delete(animator);
+        if (!this.clients.size) {
+            // dispose() frees GPU resources but keeps the context; browsers only
+            // allow a handful, so give it back too
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            SharedRenderer.instance = null;
+        }
+    }
+}
+
+SharedRenderer.instance = null;
+
+// Flat 2D rendering of an animator's shapes for browsers without WebGL or
+// while a context is lost, so the cards keep their section colours
+export class FallbackRenderer {
+    // A canvas that already holds a WebGL context can't hand out a 2D one,
+    // so draw onto a copy layered in its place
+    static createOverlay(canvas) {
+        const overlay = document.createElement('canvas');
+        overlay.className = canvas.className;
+        overlay.setAttribute('aria-hidden', 'true');
+        canvas.insertAdjacentElement('afterend', overlay);
+        canvas.style.visibility = 'hidden';
+        return overlay;
+    }
+
+    constructor(canvas, source = null) {
+        this.canvas = canvas;
+        this.source = source;
+        this.context = canvas.getContext('2d');
+    }
+
+    // size overrides the canvas's layout size, e.g. for off-screen captures
+    render(animator, size = null) {
+        const canvas = this.canvas;
+        const context = this.context;
+        const pixelRatio = animator.pixelRatio;
+        const width = size ? size.width : Math.floor(canvas.clientWidth * pixelRatio);
+        const height = size ? size.height : Math.floor(canvas.clientHeight * pixelRatio);
+        if (!context || !width || !height) return;
+        
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const camera = animator.camera;
+        camera.updateMatrixWorld();
+        const focalLength = height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        
+        // Painter's order: farthest shapes first
+        const shapes = animator.objects
+            .filter(obj => obj.visible)
+            .map(obj => ({ obj, point: obj.position.clone().project(camera) }))
+            .filter(({ point }) => point.z < 1)
+            .sort((a, b) => b.point.z - a.point.z);
+        
+        context.clearRect(0, 0, width, height);
+        
+        shapes.forEach(({ obj, point }) => {
+            const distance = obj.position.distanceTo(camera.position);
+            const radius = (obj.scale.x || obj.userData.scale) * focalLength / distance;
+            const color = animator.palette.colors[obj.userData.colorIndex || 0];
+            const shape = obj.userData.shape ? obj.userData.shape.type : 'sphere';
+            
+            context.save();
+            context.translate((point.x + 1) / 2 * width, (1 - point.y) / 2 * height);
+            context.rotate(obj.rotation.z);
+            context.globalAlpha = 0.8;
+            this.drawShape(shape, radius, `#${color.getHexString()}`);
+            context.restore();
+        });
+    }
+
+    drawShape(type, radius, color) {
+        const context = this.context;
+        
+        // Soft highlight in the top-left, like the directional light
+        const gradient = context.createRadialGradient(-radius * 0.3, -radius * 0.3, 0, 0, 0, radius);
+        gradient.addColorStop(0, '#FFFFFF');
+        gradient.addColorStop(0.35, color);
+        gradient.addColorStop(1, color);
+        context.fillStyle = gradient;
+        context.strokeStyle = color;
+        context.beginPath();
+        
+        switch(type) {
+            case 'cube':
+                context.rect(-radius * 0.6, -radius * 0.6, radius * 1.2, radius * 1.2);
+                break;
+            case 'torus':
+                context.lineWidth = radius * 0.6;
+                context.arc(0, 0, radius * 0.7, 0, Math.PI * 2);
+                context.stroke();
+                return;
+            case 'octahedron':
+                this.tracePolygon(4, radius);
+                break;
+            case 'icosahedron':
+                this.tracePolygon(6, radius);
+                break;
+            case 'tetrahedron':
+                this.tracePolygon(3, radius);
+                break;
+            default:
+                context.arc(0, 0, radius, 0, Math.PI * 2);
+        }
+        
+        context.fill();
+    }
+
+    tracePolygon(sides, radius) {
+        for (let i = 0; i < sides; i++) {
+            const angle = (i / sides) * Math.PI * 2 - Math.PI / 2;
+            const x = Math.cos(angle) * radius;
+            const y = Math.sin(angle) * radius;
+            if (i === 0) {
+                this.context.moveTo(x, y);
+            } else {
+                this.context.lineTo(x, y);
+            }
+        }
+        this.context.closePath();
+    }
+
+    dispose() {
+        // Only overlays are ours to remove
+        if (this.source) {
+            this.canvas.remove();
+            this.source.style.visibility = '';
+        }
+    }
+}
+
+// Stands in for THREE.WebGLRenderer in headless animators (Node, CI without a
+// GPU). It draws nothing, but keeps the scene's matrices current and counts frames.
+export class NullRenderer {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = 1;
+        this.renderTarget = null;
+        this.frames = 0;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.pixelRatio = pixelRatio;
+    }
+
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    getDrawingBufferSize(target) {
+        return target.set(Math.floor(this.width * this.pixelRatio), Math.floor(this.height * this.pixelRatio));
+    }
+
+    setClearColor() {}
+
+    getRenderTarget() {
+        return this.renderTarget;
+    }
+
+    setRenderTarget(target) {
+        this.renderTarget = target;
+    }
+
+    render(scene, camera) {
+        scene.updateMatrixWorld();
+        camera.updateMatrixWorld();
+        this.frames++;
+    }
+
+    forceContextLoss() {}
+
+    dispose() {}
+}
+
+// Small seedable PRNG (mulberry32) so a scene can be rebuilt from its seed
+export class SeededRandom {
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
+
+// Materials and colours for an animator's meshes. The mode decides how the
+// two section colours are applied; every mode keeps them as its source.
+export class MaterialPalette {
+    // A mode is { create(palette, colorIndex), update?(palette, material, colorIndex, index, time) }
+    static registerMode(name, mode) {
+        if (!mode || typeof mode.create !== 'function') {
+            throw new TypeError(`Palette mode '${name}' needs a create(palette, colorIndex) function`);
+        }
+        MaterialPalette.modes.set(name, mode);
+    }
+
+    static hasMode(name) {
+        return MaterialPalette.modes.has(name);
+    }
+
+    constructor(mode = 'static', color1 = 0x00FFFF, color2 = 0xFF00FF) {
+        if (!MaterialPalette.hasMode(mode)) {
+            console.warn(`Unknown palette mode '${mode}', using static`);
+            mode = 'static';
+        }
+        
+        this.mode = mode;
+        this.definition = MaterialPalette.modes.get(mode);
+        this.colors = [new THREE.Color(color1), new THREE.Color(color2)];
+    }
+
+    setColors(color1, color2) {
+        this.colors[0].set(color1);
+        this.colors[1].set(color2);
+    }
+
+    createMaterial(colorIndex) {
+        return this.definition.create(this, colorIndex);
+    }
+
+    update(mesh, index, time) {
+        // Meshes with their own colour (see ThreeJSAnimator.restoreMaterial) keep it
+        if (this.definition.update && mesh.material && !mesh.userData.color) {
+            this.definition.update(this, mesh.material, mesh.userData.colorIndex || 0, index, time);
+        }
+    }
+}
+
+MaterialPalette.modes = new Map();
+
+MaterialPalette.phong = (color) => new THREE.MeshPhongMaterial({
+    color: color,
+    shininess: 100,
+    transparent: true,
+    opacity: 0.8,
+    side: THREE.DoubleSide
+});
+
+// Each mesh keeps one of the two section colours
+MaterialPalette.registerMode('static', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex) => {
+        material.color.copy(palette.colors[colorIndex]);
+    }
+});
+
+// Meshes drift back and forth between the two section colours
+MaterialPalette.registerMode('gradient', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex, index, time) => {
+        const t = 0.5 + Math.sin(time * 0.5 + index) * 0.5;
+        material.color.copy(palette.colors[colorIndex]).lerp(palette.colors[1 - colorIndex], t);
+    }
+});
+
+// The original rainbow hue cycle
+MaterialPalette.registerMode('cycle', {
+    create: (palette, colorIndex) => MaterialPalette.phong(palette.colors[colorIndex]),
+    update: (palette, material, colorIndex, index, time) => {
+        const hue = (time * 0.1 + index * 0.1) % 1;
+        material.color.setHSL(hue, 0.7, 0.6);
+    }
+});
+
+// Thin-film look: the two colours shift across the surface with viewing angle
+MaterialPalette.registerMode('iridescent', {
+    create: (palette, colorIndex) => new THREE.ShaderMaterial({
+        uniforms: {
+            // Shared with the palette so setColors() reaches every mesh
+            color1: { value: palette.colors[colorIndex] },
+            color2: { value: palette.colors[1 - colorIndex] },
+            time: { value: 0 },
+            opacity: { value: 0.8 }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            varying vec3 vViewDir;
+            void main() {
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vNormal = normalize(normalMatrix * normal);
+                vViewDir = normalize(-mvPosition.xyz);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 color1;
+            uniform vec3 color2;
+            uniform float time;
+            uniform float opacity;
+            varying vec3 vNormal;
+            varying vec3 vViewDir;
+            void main() {
+                float fresnel = pow(1.0 - abs(dot(normalize(vNormal), normalize(vViewDir))), 2.0);
+                float film = 0.5 + 0.5 * sin(fresnel * 6.2831 + time);
+                vec3 color = mix(mix(color1, color2, film), vec3(1.0), fresnel * 0.4);
+                gl_FragColor = vec4(color, opacity);
+            }
+        `,
+        transparent: true,
+        side: THREE.DoubleSide
+    }),
+    update: (palette, material, colorIndex, index, time) => {
+        material.uniforms.time.value = time + index;
+    }
+});
+
+// Flat cel shading in the section colours
+MaterialPalette.registerMode('toon', {
+    create: (palette, colorIndex) => {
+        if (!MaterialPalette.toonGradient) {
+            MaterialPalette.toonGradient = new THREE.DataTexture(
+                new Uint8Array([90, 170, 255]), 3, 1, THREE.LuminanceFormat
+            );
+            MaterialPalette.toonGradient.minFilter = THREE.NearestFilter;
+            MaterialPalette.toonGradient.magFilter = THREE.NearestFilter;
+            MaterialPalette.toonGradient.needsUpdate = true;
+        }
+        
+        return new THREE.MeshToonMaterial({
+            color: palette.colors[colorIndex],
+            gradientMap: MaterialPalette.toonGradient,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        });
+    },
+    update: (palette, material, colorIndex) => {
+        material.color.copy(palette.colors[colorIndex]);
+    }
+});
+
+export class ThreeJSAnimator {
+    // Make a shape name usable anywhere a type string is accepted. The factory
+    // receives { size, segments, detail, ...options } and returns a BufferGeometry.
+    static registerShape(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Shape factory for '${name}' must be a function`);
+        }
+        ThreeJSAnimator.shapes.set(name, factory);
+    }
+
+    static hasShape(name) {
+        return ThreeJSAnimator.shapes.has(name);
+    }
+
+    // Why an exportScene()-style snapshot can't be imported, or '' if it can
+    static checkScene(data) {
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        
+        if (!data || typeof data !== 'object') return 'not an object';
+        if (data.version !== ThreeJSAnimator.SCENE_VERSION) return `version must be ${ThreeJSAnimator.SCENE_VERSION}`;
+        if (data.time !== undefined && !(Number.isFinite(data.time) && data.time >= 0)) {
+            return 'time must be a number of seconds, 0 or more';
+        }
+        if (data.seed !== undefined && !(Number.isInteger(data.seed) && data.seed >= 0 && data.seed <= 0xFFFFFFFF)) {
+            return 'seed must be a whole number from 0 to 4294967295';
+        }
+        
+        const palette = data.palette;
+        if (palette !== undefined) {
+            if (!palette || typeof palette !== 'object') return 'palette must be an object';
+            if (palette.mode !== undefined && typeof palette.mode !== 'string') return 'palette.mode must be a mode name';
+            if (palette.colors !== undefined && !(Array.isArray(palette.colors) && palette.colors.every(isColor))) {
+                return 'palette.colors must be a list of "#RRGGBB" colours';
+            }
+        }
+        
+        if (!Array.isArray(data.objects)) return 'objects must be an array';
+        for (let index = 0; index < data.objects.length; index++) {
+            const problem = ThreeJSAnimator.checkObject(data.objects[index]);
+            if (problem) return `objects[${index}]: ${problem}`;
+        }
+        return '';
+    }
+
+    // Why a describeObject()-style description can't be built, or '' if it can
+    static checkObject(description) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isVector = value => Boolean(value) && ['x', 'y', 'z'].every(axis => isNumber(value[axis]));
+        
+        if (!description || typeof description !== 'object') return 'not an object';
+        if (typeof description.type !== 'string') return 'type must be a shape name';
+        if (description.colorIndex !== 0 && description.colorIndex !== 1) return 'colorIndex must be 0 or 1';
+        if (!isVector(description.position)) return 'position needs numeric x, y and z';
+        if (!isVector(description.rotation)) return 'rotation needs numeric x, y and z';
+        if (!description.config || !isNumber(description.config.size)) return 'config.size must be a number';
+        
+        const motion = description.motion;
+        if (!motion || !isVector(motion.rotationSpeed) ||
+            !['floatSpeed', 'floatAmount', 'pulseSpeed'].every(key => isNumber(motion[key]))) {
+            return 'motion needs rotationSpeed, floatSpeed, floatAmount and pulseSpeed';
+        }
+        
+        const material = description.material;
+        if (material !== undefined) {
+            if (!material || typeof material !== 'object') return 'material must be an object';
+            if (material.color !== undefined && !/^#[0-9a-f]{6}$/i.test(material.color)) return 'material.color must be "#RRGGBB"';
+            if (material.opacity !== undefined && !(isNumber(material.opacity) && material.opacity >= 0 && material.opacity <= 1)) {
+                return 'material.opacity must be between 0 and 1';
+            }
+        }
+        
+        const behaviors = description.behaviors;
+        if (behaviors !== undefined && !(Array.isArray(behaviors) &&
+            behaviors.every(behavior => behavior && typeof behavior.type === 'string'))) {
+            return 'behaviors must be a list of { type, ... }';
+        }
+        return '';
+    }
+
+    constructor(canvasId, color1 = 0x00FFFF, color2 = 0xFF00FF, options = {}) {
+        // Headless animators render into a NullRenderer and only move when step() is called
+        this.headless = options.headless === true;
+        
+        // Accept either an element id or the canvas element itself; an id can't
+        // be looked up without a document, which only headless animators allow
+        if (typeof canvasId === 'string') {
+            this.canvas = typeof document !== 'undefined' ? document.getElementById(canvasId) : null;
+        } else {
+            this.canvas = canvasId || null;
+        }
+        if (!this.canvas && !this.headless) {
+            console.warn(`Canvas with id '${canvasId}' not found`);
+            return;
+        }
+
+        const size = this.getViewportSize(options);
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, size.width / size.height, 0.1, 1000);
+        
+        this.pixelRatio = this.headless ? 1 : Math.min(window.devicePixelRatio, 2);
+        
+        // All scene randomness comes from here, so the same seed gives the same layout
+        this.rng = new SeededRandom(options.seed);
+        this.seed = this.rng.seed;
         
         this.color1 = color1;
         this.color2 = color2;
+        this.palette = new MaterialPalette(options.palette, color1, color2);
         this.objects = [];
         this.animationId = null;
-        this.isPlaying = true;
+        this.isPlaying = false;
+        // Why the loop is stopped: 'offscreen', 'hidden', 'user', 'reducedMotion',
+        // or a caller's own reason such as 'capture'. It runs only when empty.
+        this.pauseReasons = new Set();
+        // Listener and observer removers, run by dispose()
+        this.cleanups = [];
+        this.disposed = false;
+        this.segments = 32;
+        this.clock = new AnimationClock();
+        this.engine = new AnimationEngine(this.clock);
+        this.frameInterval = 0;
+        this.lastFrameTime = 0;
+        // Measured from requestAnimationFrame, which follows the display
+        this.refreshInterval = 1000 / 60;
+        this.lastTickTime = 0;
+        this.pauseWhenHidden = options.pauseWhenHidden !== false;
+        this.fallback = null;
+        this.postProcessor = null;
+        this.effectsEnabled = true;
+        
+        if (this.headless) {
+            this.renderer = new NullRenderer(size.width, size.height);
+        } else if (options.webgl === false || !window.WebGLRenderingContext) {
+            this.enableFallback();
+        } else {
+            try {
+                this.setupRenderer(options);
+            } catch (error) {
+                console.warn(`WebGL unavailable for '${this.canvas.id}', using static fallback:`, error);
+                this.enableFallback();
+            }
+        }
+        
+        if (options.effects) {
+            this.setEffects(options.effects);
+        }
         
         this.setupScene();
-        this.setupEventListeners();
-        this.animate();
+        if (!this.headless) {
+            this.setupEventListeners();
+            this.updatePlayback();
+        }
+    }
+
+    // addEventListener that dispose() undoes
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // CSS size of the drawing area; headless animators may have no canvas at all
+    getViewportSize(options = {}) {
+        const width = options.width || (this.canvas && this.canvas.clientWidth) || 300;
+        const height = options.height || (this.canvas && this.canvas.clientHeight) || 150;
+        return { width, height };
+    }
+
+    setupRenderer(options) {
+        if (options.sharedRenderer === false) {
+            // Dedicated context, e.g. for the full-screen hero
+            this.renderer = new THREE.WebGLRenderer({ 
+                canvas: this.canvas, 
+                alpha: true, 
+                antialias: true,
+                powerPreference: "high-performance"
+            });
+            
+            this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
+            this.renderer.setClearColor(0x000000, 0);
+            this.renderer.setPixelRatio(this.pixelRatio);
+            
+            this.listen(this.canvas, 'webglcontextlost', (e) => {
+                e.preventDefault();
+                this.enableFallback();
+            });
+            this.listen(this.canvas, 'webglcontextrestored', () => {
+                this.disableFallback();
+            });
+        } else {
+            this.sharedRenderer = SharedRenderer.acquire(this);
+            this.context = this.canvas.getContext('2d');
+            this.resizeCanvas();
+        }
+    }
+
+    // Switch to the static 2D composition until WebGL comes back
+    enableFallback() {
+        if (this.fallback) return;
+        this.stopLoop();
+        
+        if (this.renderer) {
+            this.fallback = new FallbackRenderer(FallbackRenderer.createOverlay(this.canvas), this.canvas);
+        } else {
+            this.fallback = new FallbackRenderer(this.canvas);
+        }
+        
+        if (this.scene) {
+            this.renderFrame();
+        }
+    }
+
+    disableFallback() {
+        if (!this.fallback) return;
+        
+        this.fallback.dispose();
+        this.fallback = null;
+        this.handleResize();
+        this.renderFrame();
+        this.updatePlayback();
     }
 
     setupScene() {
@@ -57,7 +684,8 @@ class ThreeJSAnimator {
         pointLight.position.set(-10, -10, -5);
         this.scene.add(pointLight);
         
-        this.camera.position.z = 5;
+        this.cameraDistance = 5;
+        this.camera.position.z = this.cameraDistance;
     }
 
     setupEventListeners() {
@@ -67,335 +695,1692 @@ class ThreeJSAnimator {
                 this.handleResize();
             }
         });
-        
-        if (this.canvas) {
-            resizeObserver.observe(this.canvas);
-        }
+        resizeObserver.observe(this.canvas);
+        this.cleanups.push(() => resizeObserver.disconnect());
+
+        if (!this.pauseWhenHidden) return;
 
         // Pause animation when tab is not visible
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pause();
-            } else {
-                this.play();
-            }
+        this.setPaused('hidden', document.hidden);
+        this.listen(document, 'visibilitychange', () => {
+            this.setPaused('hidden', document.hidden);
         });
 
         // Handle intersection observer for performance
         const intersectionObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.target === this.canvas) {
-                    if (entry.isIntersecting) {
-                        this.play();
-                    } else {
-                        this.pause();
-                    }
+                    this.setPaused('offscreen', !entry.isIntersecting);
                 }
             });
         }, { threshold: 0.1 });
-
         intersectionObserver.observe(this.canvas);
+        this.cleanups.push(() => intersectionObserver.disconnect());
     }
 
     createFloatingGeometry(type = 'sphere', options = {}) {
-        let geometry;
-        
         const defaults = {
             size: 0.8,
-            segments: 32,
+            segments: this.segments,
             detail: 0
         };
         
-        const config = { ...defaults, ...options };
-        
-        switch(type) {
-            case 'sphere':
-                geometry = new THREE.SphereGeometry(config.size, config.segments, config.segments);
-                break;
-            case 'cube':
-                geometry = new THREE.BoxGeometry(config.size, config.size, config.size);
-                break;
-            case 'torus':
-                geometry = new THREE.TorusGeometry(config.size * 0.7, config.size * 0.3, 16, 100);
-                break;
-            case 'octahedron':
-                geometry = new THREE.OctahedronGeometry(config.size);
-                break;
-            case 'icosahedron':
-                geometry = new THREE.IcosahedronGeometry(config.size, config.detail);
-                break;
-            case 'tetrahedron':
-                geometry = new THREE.TetrahedronGeometry(config.size);
-                break;
-            default:
-                geometry = new THREE.SphereGeometry(config.size, config.segments, config.segments);
-        }
+        // Random colour, placement and motion, drawn in a fixed order so a seed
+        // always gives the same layout
+        const colorIndex = this.random() > 0.5 ? 0 : 1;
+        const position = {
+            x: (this.random() - 0.5) * 6,
+            y: (this.random() - 0.5) * 6,
+            z: (this.random() - 0.5) * 3
+        };
+        const rotation = {
+            x: this.random() * Math.PI * 2,
+            y: this.random() * Math.PI * 2,
+            z: this.random() * Math.PI * 2
+        };
+        const motion = {
+            rotationSpeed: {
+                x: (this.random() - 0.5) * 0.02,
+                y: (this.random() - 0.5) * 0.02,
+                z: (this.random() - 0.5) * 0.02
+            },
+            floatSpeed: this.random() * 0.01 + 0.005,
+            floatAmount: this.random() * 0.5 + 0.2,
+            pulseSpeed: this.random() * 0.02 + 0.01
+        };
         
-        const material = new THREE.MeshPhongMaterial({
-            color: Math.random() > 0.5 ? this.color1 : this.color2,
-            shininess: 100,
-            transparent: true,
-            opacity: 0.8,
-            side: THREE.DoubleSide
+        return this.addObject({
+            type: type,
+            config: { ...defaults, ...options },
+            colorIndex: colorIndex,
+            position: position,
+            rotation: rotation,
+            motion: motion
         });
+    }
+
+    // Build a mesh from a plain description, as produced by describeObject()
+    addObject(description) {
+        const { type, colorIndex, motion } = description;
+        const config = { segments: this.segments, ...description.config };
+        const geometry = this.buildGeometry(type, config);
+        const material = this.palette.createMaterial(colorIndex);
         
         const mesh = new THREE.Mesh(geometry, material);
-        
-        // Random positioning
-        mesh.position.set(
-            (Math.random() - 0.5) * 6,
-            (Math.random() - 0.5) * 6,
-            (Math.random() - 0.5) * 3
-        );
-        
-        // Random rotation
-        mesh.rotation.set(
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2
-        );
+        this.restoreMaterial(mesh, description);
+        mesh.position.set(description.position.x, description.position.y, description.position.z);
+        mesh.rotation.set(description.rotation.x, description.rotation.y, description.rotation.z);
         
         // Animation properties
         mesh.userData = {
-            rotationSpeed: {
-                x: (Math.random() - 0.5) * 0.02,
-                y: (Math.random() - 0.5) * 0.02,
-                z: (Math.random() - 0.5) * 0.02
-            },
-            floatSpeed: Math.random() * 0.01 + 0.005,
-            floatAmount: Math.random() * 0.5 + 0.2,
+            rotationSpeed: { ...motion.rotationSpeed },
+            floatSpeed: motion.floatSpeed,
+            floatAmount: motion.floatAmount,
             originalPosition: mesh.position.clone(),
+            originalRotation: mesh.rotation.clone(),
             scale: config.size,
-            pulseSpeed: Math.random() * 0.02 + 0.01
+            colorIndex: colorIndex,
+            shape: { type: type, config: config },
+            pulseSpeed: motion.pulseSpeed,
+            color: mesh.userData.color || null
+        };
+        
+        if (description.behaviors) {
+            this.engine.restore(mesh, description.behaviors);
+        } else {
+            // Default motion; the per-frame speeds above are converted to per second
+            const phase = this.objects.length;
+            this.engine.add(mesh, 'spin', {
+                x: motion.rotationSpeed.x * 60,
+                y: motion.rotationSpeed.y * 60,
+                z: motion.rotationSpeed.z * 60
+            });
+            this.engine.add(mesh, 'float', { speed: motion.floatSpeed, amount: motion.floatAmount * 0.1, phase });
+            this.engine.add(mesh, 'pulse', { speed: motion.pulseSpeed, amount: 0.1, phase });
+        }
+        
+        this.scene.add(mesh);
+        this.objects.push(mesh);
+        
+        if (this.fallback) {
+            this.scheduleFallbackDraw();
+        }
+        
+        return mesh;
+    }
+
+    // The palette mode decides the material type, and animated modes derive the
+    // colour from scene time; a static-mode colour that differs from the palette
+    // (set by hand before exporting) is kept, as is the opacity
+    restoreMaterial(mesh, description) {
+        const saved = description.material;
+        if (!saved) return;
+        
+        if (saved.opacity !== undefined) {
+            mesh.material.opacity = saved.opacity;
+            if (mesh.material.uniforms && mesh.material.uniforms.opacity) {
+                mesh.material.uniforms.opacity.value = saved.opacity;
+            }
+        }
+        
+        if (saved.color && this.palette.mode === 'static' && mesh.material.color) {
+            const color = new THREE.Color(saved.color);
+            if (!color.equals(this.palette.colors[description.colorIndex])) {
+                mesh.userData.color = color;
+                mesh.material.color.copy(color);
+            }
+        }
+    }
+
+    // Everything needed to rebuild a mesh: shape, rest transform, material and motion
+    describeObject(mesh) {
+        const data = mesh.userData;
+        const vector = v => ({ x: v.x, y: v.y, z: v.z });
+        const color = mesh.material.color || this.palette.colors[data.colorIndex];
+        
+        // Segments follow the quality tier of whoever loads the scene
+        const { segments, ...config } = data.shape.config;
+        
+        return {
+            type: data.shape.type,
+            config: config,
+            colorIndex: data.colorIndex,
+            position: vector(data.originalPosition),
+            rotation: vector(data.originalRotation),
+            material: {
+                type: mesh.material.type,
+                color: `#${color.getHexString()}`,
+                opacity: mesh.material.uniforms && mesh.material.uniforms.opacity
+                    ? mesh.material.uniforms.opacity.value
+                    : mesh.material.opacity
+            },
+            motion: {
+                rotationSpeed: { ...data.rotationSpeed },
+                floatSpeed: data.floatSpeed,
+                floatAmount: data.floatAmount,
+                pulseSpeed: data.pulseSpeed
+            },
+            behaviors: this.engine.serialize(mesh)
+        };
+    }
+
+    // Snapshot of the composition as JSON-safe data; importScene() rebuilds it
+    // exactly, including the current moment of the animation
+    exportScene() {
+        return {
+            version: ThreeJSAnimator.SCENE_VERSION,
+            seed: this.seed,
+            time: this.clock.time,
+            palette: {
+                mode: this.palette.mode,
+                colors: this.palette.colors.map(color => `#${color.getHexString()}`)
+            },
+            objects: this.objects.map(obj => this.describeObject(obj))
+        };
+    }
+
+    // Returns false, leaving the current scene as it was, when `data` isn't a valid scene
+    importScene(data) {
+        // Check everything before touching the current scene
+        const problem = ThreeJSAnimator.checkScene(data);
+        if (problem) {
+            console.error(`Invalid scene: ${problem}, got`, data);
+            return false;
+        }
+        
+        const previous = this.exportScene();
+        try {
+            this.buildScene(data);
+        } catch (error) {
+            // e.g. a custom shape factory rejecting the saved config
+            console.error('Could not import scene, keeping the current one:', error);
+            this.buildScene(previous);
+            return false;
+        }
+        return true;
+    }
+
+    buildScene(data) {
+        this.clearObjects();
+        
+        if (data.palette) {
+            const colors = data.palette.colors || [];
+            this.palette = new MaterialPalette(
+                data.palette.mode,
+                colors[0] || this.palette.colors[0],
+                colors[1] || this.palette.colors[1]
+            );
+        }
+        if (data.seed !== undefined) {
+            // Objects added after the import draw from the restored seed
+            this.rng = new SeededRandom(data.seed);
+            this.seed = this.rng.seed;
+        }
+        this.clock.seek(data.time || 0);
+        
+        data.objects.forEach(description => this.addObject(description));
+        if (this.quality) {
+            this.applyQuality(this.quality);
+        }
+        
+        this.update(0);
+        this.renderFrame();
+    }
+
+    // High-resolution still at any size, independent of the on-screen canvas.
+    // Resolves with a PNG Blob; options: width, height, type.
+    captureStill(options = {}) {
+        return new FrameCapture(this, options).still(options);
+    }
+
+    // Deterministic sequence of stills; options: width, height, frames, fps, start
+    captureFrames(options = {}) {
+        return new FrameCapture(this, options).frames(options);
+    }
+
+    // The same sequence recorded to a WebM Blob with MediaRecorder
+    recordVideo(options = {}) {
+        return new FrameCapture(this, options).video(options);
+    }
+
+    // Export the current frame as a glTF 2.0 asset for print and motion work
+    exportGLTF() {
+        // Every object at full detail, not just what the live tier shows
+        const restoreQuality = this.useFullQuality();
+        try {
+            return SceneExporter.toGLTF(this.scene, this.camera, {
+                objects: this.objects,
+                name: this.canvas ? this.canvas.id : 'scene',
+                colorOf: mesh => mesh.material.color || this.palette.colors[mesh.userData.colorIndex || 0]
+            });
+        } finally {
+            restoreQuality();
+        }
+    }
+
+    buildGeometry(type, config) {
+        let factory = ThreeJSAnimator.shapes.get(type);
+        if (!factory) {
+            console.warn(`Unknown shape '${type}', using sphere`);
+            factory = ThreeJSAnimator.shapes.get('sphere');
+        }
+        
+        const geometry = factory(config);
+        if (!(geometry instanceof THREE.BufferGeometry)) {
+            console.error(`Shape factory for '${type}' must return a THREE.BufferGeometry, got`, geometry);
+            return ThreeJSAnimator.shapes.get('sphere')(config);
+        }
+        
+        return geometry;
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    animate() {
+        if (!this.isPlaying) return;
+        
+        this.animationId = requestAnimationFrame(() => this.animate());
+        
+        const now = performance.now();
+        const tick = now - this.lastTickTime;
+        this.lastTickTime = now;
+        if (tick > 0 && tick < 250) {
+            this.refreshInterval += (tick - this.refreshInterval) * 0.1;
+        }
+        
+        // Skip frames to hold the quality tier's target fps on average: draw
+        // whenever this refresh is nearer the next due time than the one after
+        // it, and schedule from the due time rather than now so 45fps on a 60Hz
+        // display draws three frames in four instead of every other one
+        if (this.frameInterval) {
+            const elapsed = now - this.lastFrameTime;
+            if (elapsed < this.frameInterval - this.refreshInterval / 2) return;
+            this.lastFrameTime = elapsed > this.frameInterval * 2 ? now : this.lastFrameTime + this.frameInterval;
+        }
+        
+        this.update(this.clock.tick(now));
+        this.renderFrame();
+    }
+
+    // Advance the scene state by delta seconds of clock time; no rendering here
+    update(delta) {
+        const time = this.clock.time;
+        
+        // Behaviours rebuild every pose from scene time, so motion is frame-rate independent
+        this.engine.update(time);
+        this.objects.forEach((obj, index) => {
+            this.palette.update(obj, index, time);
+        });
+        
+        // Camera slight movement for dynamic feel
+        this.camera.position.x = Math.sin(time * 0.1) * 0.5;
+        this.camera.position.y = Math.cos(time * 0.15) * 0.3;
+        this.camera.position.z = this.cameraDistance;
+        this.camera.lookAt(0, 0, 0);
+        
+        this.beforeRender(time, delta);
+    }
+
+    // Run a fixed number of frames at a fixed delta, independent of the display.
+    // Drives headless scenes and gives repeatable results from a given seed.
+    step(frames = 1, delta = 1 / 60) {
+        for (let i = 0; i < frames; i++) {
+            this.update(this.clock.advance(delta));
+            this.renderFrame();
+        }
+        return this;
+    }
+
+    // Plain-data snapshot of the scene for tests and debugging
+    getSceneState() {
+        const vector = v => ({ x: v.x, y: v.y, z: v.z });
+        
+        return {
+            seed: this.seed,
+            time: this.clock.time,
+            frames: this.renderer instanceof NullRenderer ? this.renderer.frames : null,
+            objectCount: this.objects.length,
+            visibleCount: this.objects.filter(obj => obj.visible).length,
+            camera: vector(this.camera.position),
+            objects: this.objects.map(obj => {
+                const colorIndex = obj.userData.colorIndex || 0;
+                const color = obj.material.color || this.palette.colors[colorIndex];
+                return {
+                    type: obj.userData.shape ? obj.userData.shape.type : null,
+                    visible: obj.visible,
+                    colorIndex: colorIndex,
+                    color: `#${color.getHexString()}`,
+                    position: vector(obj.position),
+                    rotation: vector(obj.rotation),
+                    scale: obj.scale.x
+                };
+            })
+        };
+    }
+
+    // Hook for subclasses to adjust the scene after the built-in motion
+    beforeRender(time, delta) {}
+
+    // The top tier's detail with every object shown, whatever the device manages
+    // live, so captures and exports come out the same everywhere. The live pixel
+    // ratio and frame cap stay, as they only concern the on-screen canvas.
+    // Returns a function that puts the live tier back.
+    useFullQuality() {
+        if (this.qualityHeld) return () => {};
+        
+        const live = this.quality;
+        const top = QualityGovernor.TIERS[QualityGovernor.TIERS.length - 1];
+        this.applyQuality(live ? { ...top, pixelRatio: live.pixelRatio, fps: live.fps } : top);
+        this.qualityHeld = true;
+        this.liveQuality = live;
+        
+        return () => {
+            this.qualityHeld = false;
+            if (this.liveQuality) {
+                this.applyQuality(this.liveQuality);
+            }
+            this.quality = this.liveQuality;
+            this.liveQuality = null;
+        };
+    }
+
+    // Hooks around a FrameCapture; subclasses whose motion depends on more
+    // than the scene clock pin it here too (see HeroAnimator)
+    beginCapture(options = {}) {
+        this.restoreQuality = this.useFullQuality();
+    }
+
+    endCapture() {
+        if (this.restoreQuality) {
+            this.restoreQuality();
+            this.restoreQuality = null;
+        }
+    }
+
+    // Attach a named behaviour (spin, float, pulse, orbit, spring, path) to a mesh
+    addBehavior(mesh, type, params = {}) {
+        return this.engine.add(mesh, type, params);
+    }
+
+    removeBehavior(mesh, behaviorOrType) {
+        this.engine.remove(mesh, behaviorOrType);
+    }
+
+    // Batch the static redraws while a scene is being populated
+    scheduleFallbackDraw() {
+        if (this.fallbackDrawId) return;
+        this.fallbackDrawId = requestAnimationFrame(() => {
+            this.fallbackDrawId = null;
+            if (this.fallback) {
+                this.renderFrame();
+            }
+        });
+    }
+
+    renderFrame() {
+        if (this.disposed) return;
+        const postProcessor = this.effectsEnabled ? this.postProcessor : null;
+        
+        if (this.fallback) {
+            this.fallback.render(this);
+        } else if (this.sharedRenderer) {
+            this.sharedRenderer.render(this.scene, this.camera, this.canvas, this.context, postProcessor, this.clock.time);
+        } else if (postProcessor) {
+            const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+            postProcessor.render(this.renderer, this.scene, this.camera, size.x, size.y, this.clock.time);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // Opt-in post-processing, e.g. ['bloom', { type: 'halftone', dotSize: 8 }]
+    setEffects(effects) {
+        if (this.postProcessor) {
+            this.postProcessor.dispose();
+            this.postProcessor = null;
+        }
+        
+        if (effects && effects.length) {
+            const postProcessor = new PostProcessor(effects);
+            if (!postProcessor.isEmpty) {
+                this.postProcessor = postProcessor;
+            }
+        }
+    }
+
+    resizeCanvas() {
+        // Shared-renderer canvases are plain 2D targets sized in device pixels
+        this.canvas.width = Math.floor(this.canvas.clientWidth * this.pixelRatio);
+        this.canvas.height = Math.floor(this.canvas.clientHeight * this.pixelRatio);
+    }
+
+    handleResize() {
+        if (!this.canvas || !this.camera) return;
+        
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        
+        if (this.sharedRenderer) {
+            this.resizeCanvas();
+        } else if (this.renderer) {
+            this.renderer.setSize(width, height);
+        }
+        
+        if (this.fallback) {
+            this.scheduleFallbackDraw();
+        }
+    }
+
+    // The visitor-facing switch; other pause reasons still apply
+    play() {
+        this.setMotionEnabled(true);
+    }
+
+    pause() {
+        this.setMotionEnabled(false);
+    }
+
+    // Add or clear one pause reason without touching the others
+    setPaused(reason, paused) {
+        if (paused === this.pauseReasons.has(reason)) return;
+        
+        if (paused) {
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
+        }
+        this.updatePlayback();
+    }
+
+    isPausedFor(reason) {
+        return this.pauseReasons.has(reason);
+    }
+
+    get motionEnabled() {
+        return !this.pauseReasons.has('user') && !this.pauseReasons.has('reducedMotion');
+    }
+
+    updatePlayback() {
+        if (this.pauseReasons.size) {
+            this.stopLoop();
+        } else {
+            this.startLoop();
+        }
+    }
+
+    startLoop() {
+        if (this.isPlaying || this.fallback || this.headless || this.disposed) return;
+        this.isPlaying = true;
+        this.clock.reset();
+        this.animate();
+    }
+
+    stopLoop() {
+        this.isPlaying = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // Swap the palette mode; existing meshes get fresh materials
+    setPalette(mode) {
+        this.palette = new MaterialPalette(mode, this.palette.colors[0], this.palette.colors[1]);
+        this.objects.forEach(obj => {
+            obj.material.dispose();
+            obj.material = this.palette.createMaterial(obj.userData.colorIndex || 0);
+            // A new palette recolours everything, including imported colours
+            obj.userData.color = null;
+        });
+    }
+
+    // Called by QualityGovernor when the frame budget changes
+    applyQuality(tier) {
+        // A tier change during a capture waits until the capture ends
+        if (this.qualityHeld) {
+            this.liveQuality = tier;
+            return;
+        }
+        this.quality = tier;
+        this.frameInterval = tier.fps ? 1000 / tier.fps : 0;
+        this.effectsEnabled = tier.effects;
+        
+        const pixelRatio = Math.min(this.headless ? 1 : window.devicePixelRatio, tier.pixelRatio);
+        if (pixelRatio !== this.pixelRatio) {
+            this.pixelRatio = pixelRatio;
+            if (this.sharedRenderer) {
+                this.resizeCanvas();
+            } else if (this.renderer) {
+                this.renderer.setPixelRatio(pixelRatio);
+            }
+        }
+        
+        if (tier.segments !== this.segments) {
+            this.segments = tier.segments;
+            this.objects.forEach(obj => {
+                const shape = obj.userData.shape;
+                if (!shape || shape.config.segments === tier.segments) return;
+                
+                shape.config = { ...shape.config, segments: tier.segments };
+                obj.geometry.dispose();
+                obj.geometry = this.buildGeometry(shape.type, shape.config);
+            });
+        }
+        
+        // Hide the tail of the object list rather than rebuilding the scene
+        const visibleCount = Math.ceil(this.objects.length * tier.objectScale);
+        this.objects.forEach((obj, index) => {
+            obj.visible = index < visibleCount;
+        });
+    }
+
+    // The visitor's motion toggle: hold a still frame
+    setMotionEnabled(enabled) {
+        this.setPaused('user', !enabled);
+        if (!enabled) {
+            this.renderFrame();
+        }
+    }
+
+    // The OS reduced-motion setting, tracked apart from the visitor's choice
+    setReducedMotion(reduced) {
+        this.setPaused('reducedMotion', reduced);
+        if (reduced) {
+            this.renderFrame();
+        }
+    }
+
+    clearObjects() {
+        this.objects.forEach(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+            this.scene.remove(obj);
+        });
+        this.engine.clear();
+        this.objects = [];
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        this.stopLoop();
+        
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.fallbackDrawId) {
+            cancelAnimationFrame(this.fallbackDrawId);
+            this.fallbackDrawId = null;
+        }
+        
+        this.clearObjects();
+        
+        if (this.fallback) {
+            this.fallback.dispose();
+            this.fallback = null;
+        }
+        
+        this.setEffects(null);
+        
+        // Clean up renderer
+        if (this.sharedRenderer) {
+            this.sharedRenderer.release(this);
+            this.sharedRenderer = null;
+        } else if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+        }
+    }
+
+    addRandomObjects(count = 3, types = ThreeJSAnimator.SHAPES) {
+        for (let i = 0; i < count; i++) {
+            const type = types[Math.floor(this.random() * types.length)];
+            const size = this.random() * 0.5 + 0.5;
+            this.createFloatingGeometry(type, { size });
+        }
+    }
+}
+
+ThreeJSAnimator.shapes = new Map();
+
+// Bump when the exportScene() format changes incompatibly
+ThreeJSAnimator.SCENE_VERSION = 1;
+
+// Default pool for addRandomObjects; any registered shape can be requested by name
+ThreeJSAnimator.SHAPES = ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron', 'tetrahedron'];
+
+ThreeJSAnimator.registerShape('sphere', config => {
+    return new THREE.SphereGeometry(config.size, config.segments, config.segments);
+});
+ThreeJSAnimator.registerShape('cube', config => {
+    return new THREE.BoxGeometry(config.size, config.size, config.size);
+});
+ThreeJSAnimator.registerShape('torus', config => {
+    return new THREE.TorusGeometry(
+        config.size * 0.7,
+        config.size * 0.3,
+        Math.round(config.segments / 2),
+        Math.round(config.segments * 3.125)
+    );
+});
+ThreeJSAnimator.registerShape('torusKnot', config => {
+    return new THREE.TorusKnotGeometry(
+        config.size * 0.5,
+        config.size * 0.15,
+        Math.round(config.segments * 2),
+        Math.round(config.segments / 4)
+    );
+});
+ThreeJSAnimator.registerShape('octahedron', config => new THREE.OctahedronGeometry(config.size));
+ThreeJSAnimator.registerShape('icosahedron', config => new THREE.IcosahedronGeometry(config.size, config.detail));
+ThreeJSAnimator.registerShape('tetrahedron', config => new THREE.TetrahedronGeometry(config.size));
+
+// Scroll-linked choreography: keyframes tied to section ids are blended as
+// the reader scrolls between them. A keyframe is reached at the same scroll
+// position the navigation links scroll to, so it lines up with the active link.
+export class ScrollTimeline {
+    constructor(keyframes = []) {
+        this.keyframes = keyframes
+            .map(keyframe => ScrollTimeline.normalize(keyframe))
+            .filter(Boolean);
+        this.anchors = [];
+        this.frozenScrollY = null;
+        
+        // Sections can move as content above them loads, so re-measure whenever
+        // the reader reaches a new one as well as on resize
+        this.onLayoutChange = () => this.measure();
+        window.addEventListener('app:resize', this.onLayoutChange);
+        window.addEventListener('nav:sectionchange', this.onLayoutChange);
+        
+        this.measure();
+    }
+
+    static normalize(keyframe) {
+        const element = document.getElementById(keyframe.section);
+        if (!element) {
+            console.warn(`Scroll keyframe section '${keyframe.section}' not found`);
+            return null;
+        }
+        
+        const camera = keyframe.camera || {};
+        const colors = keyframe.colors || [0x00FFFF, 0xFF00FF];
+        
+        return {
+            section: keyframe.section,
+            element: element,
+            camera: new THREE.Vector3(camera.x || 0, camera.y || 0, camera.z || 0),
+            colors: colors.map(color => new THREE.Color(color)),
+            spread: keyframe.spread !== undefined ? keyframe.spread : 1,
+            rotationSpeed: keyframe.rotationSpeed !== undefined ? keyframe.rotationSpeed : 1
+        };
+    }
+
+    measure() {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        
+        this.keyframes.forEach(keyframe => {
+            keyframe.anchor = keyframe.element.getBoundingClientRect().top + window.scrollY - headerHeight;
+        });
+        this.keyframes.sort((a, b) => a.anchor - b.anchor);
+    }
+
+    // Pin sample() to one scroll position, or follow the page again with null
+    freeze(scrollY) {
+        this.frozenScrollY = scrollY;
+    }
+
+    sample(scrollY = this.frozenScrollY !== null ? this.frozenScrollY : window.scrollY) {
+        const keyframes = this.keyframes;
+        if (!keyframes.length) return null;
+        
+        let index = 0;
+        while (index < keyframes.length - 1 && scrollY >= keyframes[index + 1].anchor) {
+            index++;
+        }
+        
+        const from = keyframes[index];
+        const to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+        const range = to.anchor - from.anchor;
+        const t = range > 0 ? Math.min(Math.max((scrollY - from.anchor) / range, 0), 1) : 0;
+        
+        return {
+            section: t < 0.5 ? from.section : to.section,
+            progress: t,
+            camera: from.camera.clone().lerp(to.camera, t),
+            colors: from.colors.map((color, i) => color.clone().lerp(to.colors[i] || color, t)),
+            spread: from.spread + (to.spread - from.spread) * t,
+            rotationSpeed: from.rotationSpeed + (to.rotationSpeed - from.rotationSpeed) * t
+        };
+    }
+
+    dispose() {
+        window.removeEventListener('app:resize', this.onLayoutChange);
+        window.removeEventListener('nav:sectionchange', this.onLayoutChange);
+    }
+}
+
+// Hero section specialized animator
+export class HeroAnimator extends ThreeJSAnimator {
+    constructor(options = {}) {
+        const colors = options.colors || [0x00FFFF, 0xFF00FF];
+        super('hero-canvas', colors[0], colors[1], { ...options, sharedRenderer: false });
+        if (!this.scene) return;
+        
+        this.objectCount = options.objectCount !== undefined ? options.objectCount : 20;
+        this.shapes = options.shapes || ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron'];
+        this.focalShape = options.focalShape || 'icosahedron';
+        this.createHeroScene();
+        
+        if (options.interactive !== false && !this.headless) {
+            this.setupInteraction();
+        }
+    }
+
+    createHeroScene() {
+        const types = this.shapes;
+        
+        // Create more objects for the hero section
+        for (let i = 0; i < this.objectCount; i++) {
+            const type = types[Math.floor(this.random() * types.length)];
+            const size = this.random() * 0.8 + 0.4;
+            this.createFloatingGeometry(type, { size });
+        }
+        
+        // Add some larger focal objects
+        for (let i = 0; i < 3; i++) {
+            const size = this.random() * 1.5 + 1;
+            this.createFloatingGeometry(this.focalShape, { size });
+        }
+    }
+
+    setupInteraction() {
+        this.interaction = {
+            enabled: false,
+            pointer: new THREE.Vector2(),
+            pointerMoved: false,
+            parallax: new THREE.Vector2(),
+            parallaxTarget: new THREE.Vector2(),
+            raycaster: new THREE.Raycaster(),
+            hovered: null
+        };
+        
+        // The hero content sits above the canvas, so listen on the whole section
+        this.interactionTarget = this.canvas.parentElement || this.canvas;
+        
+        this.onPointerMove = (e) => {
+            this.updatePointer(e);
+            this.interaction.parallaxTarget.copy(this.interaction.pointer);
+            // Touch has no hover state, only parallax
+            this.interaction.pointerMoved = e.pointerType !== 'touch';
+        };
+        
+        this.onPointerLeave = () => {
+            this.interaction.parallaxTarget.set(0, 0);
+            this.setHovered(null);
+        };
+        
+        this.onPointerClick = (e) => {
+            if (e.target.closest('a, button')) return;
+            this.updatePointer(e);
+            this.applyImpulse();
+        };
+        
+        // Switch off when the visitor asks for reduced motion
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.onReducedMotionChange = () => {
+            this.setInteractive(this.motionEnabled && !this.reducedMotionQuery.matches);
         };
+        this.listen(this.reducedMotionQuery, 'change', this.onReducedMotionChange);
+        this.onReducedMotionChange();
+    }
+
+    setInteractive(enabled) {
+        if (!this.interaction || this.interaction.enabled === enabled) return;
+        this.interaction.enabled = enabled;
         
-        this.scene.add(mesh);
-        this.objects.push(mesh);
+        const method = enabled ? 'addEventListener' : 'removeEventListener';
+        this.interactionTarget[method]('pointermove', this.onPointerMove, { passive: true });
+        this.interactionTarget[method]('pointerleave', this.onPointerLeave);
+        this.interactionTarget[method]('click', this.onPointerClick);
         
-        return mesh;
+        if (!enabled) {
+            this.onPointerLeave();
+        }
     }
 
-    animate() {
-        if (!this.isPlaying) return;
+    setPaused(reason, paused) {
+        super.setPaused(reason, paused);
+        if (this.interaction) {
+            this.onReducedMotionChange();
+        }
+    }
+
+    updatePointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.interaction.pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    setHovered(mesh) {
+        const previous = this.interaction.hovered;
+        if (previous === mesh) return;
         
-        this.animationId = requestAnimationFrame(() => this.animate());
+        if (previous && previous.material.emissive) {
+            previous.material.emissive.setHex(0x000000);
+        }
+        if (mesh && mesh.material.emissive) {
+            mesh.material.emissive.setHex(0x444444);
+        }
         
-        const time = Date.now() * 0.001;
+        this.interaction.hovered = mesh;
+        this.interactionTarget.style.cursor = mesh ? 'pointer' : '';
+    }
+
+    // Push shapes near the pointer away; a spring behaviour carries them back to
+    // originalPosition, picking up from wherever an earlier push left them
+    applyImpulse() {
+        const { raycaster, pointer } = this.interaction;
+        raycaster.setFromCamera(pointer, this.camera);
         
-        this.objects.forEach((obj, index) => {
-            // Rotation animation
-            obj.rotation.x += obj.userData.rotationSpeed.x;
-            obj.rotation.y += obj.userData.rotationSpeed.y;
-            obj.rotation.z += obj.userData.rotationSpeed.z;
-            
-            // Floating animation
-            const floatOffset = Math.sin(time * obj.userData.floatSpeed + index) * obj.userData.floatAmount * 0.1;
-            obj.position.y = obj.userData.originalPosition.y + floatOffset;
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        const origin = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (!origin) return;
+        
+        const radius = 3;
+        const time = this.clock.time;
+        this.objects.filter(obj => obj.visible).forEach(obj => {
+            const direction = obj.position.clone().sub(origin);
+            const distance = direction.length();
+            if (distance > radius) return;
             
-            // Subtle scaling/pulsing
-            const pulse = 1 + Math.sin(time * obj.userData.pulseSpeed + index) * 0.1;
-            obj.scale.setScalar(obj.userData.scale * pulse);
+            const current = this.engine.get(obj, 'spring');
+            const state = current ? current.state(time) : null;
+            const strength = (1 - distance / radius) * 15;
+            const velocity = direction.normalize().multiplyScalar(strength);
             
-            // Color shifting
-            if (obj.material && obj.material.color) {
-                const hue = (time * 0.1 + index * 0.1) % 1;
-                obj.material.color.setHSL(hue, 0.7, 0.6);
+            if (current) {
+                this.engine.remove(obj, current);
+                velocity.add(state.velocity);
             }
+            this.engine.add(obj, 'spring', {
+                from: state ? state.offset : null,
+                velocity: velocity
+            });
+        });
+    }
+
+    setScrollTimeline(timeline) {
+        if (this.scrollTimeline) {
+            this.scrollTimeline.dispose();
+        }
+        this.scrollTimeline = timeline;
+    }
+
+    beforeRender(time, delta) {
+        this.applyScrollTimeline(delta);
+        if (!this.capture) {
+            this.applyInteraction(delta);
+        }
+    }
+
+    // A capture samples the timeline at one scroll position (options.scrollY,
+    // default where the page is now), starts the section's extra spin from
+    // zero and ignores the pointer, so the same options give the same frames
+    beginCapture(options = {}) {
+        super.beginCapture(options);
+        this.capture = {
+            boosts: this.objects.map(obj => obj.userData.rotationBoost)
+        };
+        this.objects.forEach(obj => {
+            obj.userData.rotationBoost = null;
+        });
+        if (this.scrollTimeline) {
+            this.scrollTimeline.freeze(options.scrollY !== undefined ? options.scrollY : window.scrollY);
+        }
+    }
+
+    endCapture() {
+        super.endCapture();
+        if (!this.capture) return;
+        this.objects.forEach((obj, index) => {
+            obj.userData.rotationBoost = this.capture.boosts[index];
         });
+        if (this.scrollTimeline) {
+            this.scrollTimeline.freeze(null);
+        }
+        this.capture = null;
+    }
+
+    applyScrollTimeline(delta) {
+        if (!this.scrollTimeline) return;
+        const state = this.scrollTimeline.sample();
+        if (!state) return;
         
-        // Camera slight movement for dynamic feel
-        this.camera.position.x = Math.sin(time * 0.1) * 0.5;
-        this.camera.position.y = Math.cos(time * 0.15) * 0.3;
-        this.camera.lookAt(0, 0, 0);
+        this.objects.forEach(obj => {
+            // The section's extra spin accumulates on top of the spin behaviour
+            const speed = obj.userData.rotationSpeed;
+            const boost = obj.userData.rotationBoost || (obj.userData.rotationBoost = new THREE.Vector3());
+            boost.x += speed.x * 60 * (state.rotationSpeed - 1) * delta;
+            boost.y += speed.y * 60 * (state.rotationSpeed - 1) * delta;
+            boost.z += speed.z * 60 * (state.rotationSpeed - 1) * delta;
+            obj.rotation.x += boost.x;
+            obj.rotation.y += boost.y;
+            obj.rotation.z += boost.z;
+            
+            obj.position.multiplyScalar(state.spread);
+        });
+        
+        this.palette.setColors(state.colors[0], state.colors[1]);
         
-        this.renderer.render(this.scene, this.camera);
+        this.camera.position.add(state.camera);
+        this.camera.lookAt(0, 0, 0);
+        this.scrollState = state;
     }
 
-    handleResize() {
-        if (!this.canvas || !this.camera || !this.renderer) return;
+    applyInteraction(delta) {
+        if (!this.interaction || !this.interaction.enabled) return;
+        const { raycaster, pointer, parallax, parallaxTarget } = this.interaction;
         
-        const width = this.canvas.clientWidth;
-        const height = this.canvas.clientHeight;
+        // Ease the camera toward the pointer for parallax (5% per 60 Hz frame)
+        parallax.lerp(parallaxTarget, 1 - Math.pow(0.95, delta * 60));
+        this.camera.position.x += parallax.x * 0.8;
+        this.camera.position.y += parallax.y * 0.5;
+        this.camera.lookAt(0, 0, 0);
         
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+        // Look again if the quality tier has just hidden the hovered shape
+        const { hovered } = this.interaction;
+        if (this.interaction.pointerMoved || (hovered && !hovered.visible)) {
+            raycaster.setFromCamera(pointer, this.camera);
+            // The raycaster ignores `visible`, so leave out what the quality tier hides
+            const hit = raycaster.intersectObjects(this.objects.filter(obj => obj.visible))[0];
+            this.setHovered(hit ? hit.object : null);
+            this.interaction.pointerMoved = false;
+        }
     }
 
-    play() {
-        if (!this.isPlaying) {
-            this.isPlaying = true;
-            this.animate();
+    dispose() {
+        this.setScrollTimeline(null);
+        if (this.interaction) {
+            this.setInteractive(false);
         }
+        super.dispose();
     }
+}
 
-    pause() {
-        this.isPlaying = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+// Watches page frame times and steps every animator's quality tier down when
+// frames run slow, and back up after a sustained stretch of headroom
+export class QualityGovernor {
+    constructor(onChange, options = {}) {
+        this.onChange = onChange;
+        this.tierIndex = QualityGovernor.TIERS.length - 1;
+        this.sampleSize = options.sampleSize || 60;
+        // Frame times are judged against the display's own refresh interval, so
+        // a 48Hz or 120Hz screen isn't mistaken for a slow or idle GPU
+        this.slowRatio = options.slowRatio || 1.2;
+        this.fastRatio = options.fastRatio || 1.05;
+        this.refreshInterval = 1000 / 60;
+        this.measuredRefresh = false;
+        this.windowsBeforeUpgrade = options.windowsBeforeUpgrade || 5;
+        this.debug = options.debug === true;
+        
+        this.frameTimes = [];
+        this.fastWindows = 0;
+        this.lastTime = 0;
+        this.frameId = null;
+    }
+
+    get tier() {
+        return QualityGovernor.TIERS[this.tierIndex];
+    }
+
+    start() {
+        if (this.frameId) return;
+        this.lastTime = 0;
+        this.frameId = requestAnimationFrame(time => this.sample(time));
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
         }
+        this.frameTimes = [];
     }
 
-    dispose() {
-        this.pause();
+    sample(time) {
+        this.frameId = requestAnimationFrame(next => this.sample(next));
         
-        // Clean up objects
-        this.objects.forEach(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) obj.material.dispose();
-            this.scene.remove(obj);
-        });
+        // Ignore the gap after a hidden tab or a pause
+        const delta = time - this.lastTime;
+        this.lastTime = time;
+        if (!delta || delta > 250) return;
         
-        // Clean up renderer
-        if (this.renderer) {
-            this.renderer.dispose();
-        }
+        this.frameTimes.push(delta);
+        if (this.frameTimes.length < this.sampleSize) return;
         
-        this.objects = [];
+        const average = this.frameTimes.reduce((sum, value) => sum + value, 0) / this.frameTimes.length;
+        this.measureRefresh(this.frameTimes);
+        this.frameTimes = [];
+        this.evaluate(average);
+    }
+
+    // The display refreshes at least as often as the smoothest window so far
+    // ran, so the lowest median frame time seen is taken as its interval
+    measureRefresh(frameTimes) {
+        const sorted = frameTimes.slice().sort((a, b) => a - b);
+        const quick = sorted[Math.floor(sorted.length / 2)];
+        if (!this.measuredRefresh || quick < this.refreshInterval) {
+            this.refreshInterval = quick;
+            this.measuredRefresh = true;
+        }
+    }
+
+    evaluate(averageFrameTime) {
+        if (averageFrameTime > this.refreshInterval * this.slowRatio) {
+            this.fastWindows = 0;
+            this.setTier(this.tierIndex - 1);
+        } else if (averageFrameTime < this.refreshInterval * this.fastRatio) {
+            this.fastWindows++;
+            if (this.fastWindows >= this.windowsBeforeUpgrade) {
+                this.fastWindows = 0;
+                this.setTier(this.tierIndex + 1);
+            }
+        } else {
+            this.fastWindows = 0;
+        }
     }
 
-    addRandomObjects(count = 3) {
-        const types = ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron', 'tetrahedron'];
+    setTier(index) {
+        const clamped = Math.min(Math.max(index, 0), QualityGovernor.TIERS.length - 1);
+        if (clamped === this.tierIndex) return;
         
-        for (let i = 0; i < count; i++) {
-            const type = types[Math.floor(Math.random() * types.length)];
-            const size = Math.random() * 0.5 + 0.5;
-            this.createFloatingGeometry(type, { size });
+        this.tierIndex = clamped;
+        if (this.debug) {
+            console.info(`3D quality tier: ${this.tier.name}`);
         }
+        this.onChange(this.tier);
     }
 }
 
-// Hero section specialized animator
-class HeroAnimator extends ThreeJSAnimator {
-    constructor() {
-        super('hero-canvas', 0x00FFFF, 0xFF00FF);
-        this.createHeroScene();
-    }
+// fps caps the frame rate of the degraded tiers; 0 runs at the display's own rate
+QualityGovernor.TIERS = [
+    { name: 'low', pixelRatio: 0.75, segments: 12, objectScale: 0.5, fps: 30, effects: false },
+    { name: 'medium', pixelRatio: 1, segments: 20, objectScale: 0.75, fps: 45, effects: false },
+    { name: 'high', pixelRatio: 2, segments: 32, objectScale: 1, fps: 0, effects: true }
+];
 
-    createHeroScene() {
-        const types = ['sphere', 'cube', 'torus', 'octahedron', 'icosahedron'];
+// Validated animation settings read from site-config.json
+export class AnimationConfig {
+    static fromSiteConfig(siteConfig = {}) {
+        const config = new AnimationConfig();
+        const three = SiteConfig.get(siteConfig, 'animations.three', {});
+        const animations = SiteConfig.get(siteConfig, 'animations', {});
+        const performance = SiteConfig.get(siteConfig, 'performance', {});
         
-        // Create more objects for the hero section
-        for (let i = 0; i < 20; i++) {
-            const type = types[Math.floor(Math.random() * types.length)];
-            const size = Math.random() * 0.8 + 0.4;
-            this.createFloatingGeometry(type, { size });
+        config.heroObjectCount = AnimationConfig.parseCount(
+            three.heroObjectCount, 'animations.three.heroObjectCount', config.heroObjectCount
+        );
+        config.cardObjectCount = AnimationConfig.parseCount(
+            three.cardObjectCount, 'animations.three.cardObjectCount', config.cardObjectCount
+        );
+        config.heroSeed = AnimationConfig.parseCount(
+            three.heroSeed, 'animations.three.heroSeed', config.heroSeed
+        );
+        config.palette = AnimationConfig.parsePalette(
+            three.palette, 'animations.three.palette', config.palette
+        );
+        config.heroPalette = AnimationConfig.parsePalette(
+            three.heroPalette, 'animations.three.heroPalette', config.palette
+        );
+        config.heroEffects = AnimationConfig.parseEffects(
+            three.heroEffects, 'animations.three.heroEffects', config.heroEffects
+        );
+        config.enabledByDefault = AnimationConfig.parseFlag(
+            animations.enabledByDefault, 'animations.enabledByDefault', config.enabledByDefault
+        );
+        config.respectsReducedMotion = AnimationConfig.parseFlag(
+            animations.respectsReducedMotion, 'animations.respectsReducedMotion', config.respectsReducedMotion
+        );
+        config.enableWebGL = AnimationConfig.parseFlag(
+            performance.enableWebGL, 'performance.enableWebGL', config.enableWebGL
+        );
+        config.pauseAnimationsOnInvisible = AnimationConfig.parseFlag(
+            performance.pauseAnimationsOnInvisible, 'performance.pauseAnimationsOnInvisible', config.pauseAnimationsOnInvisible
+        );
+        
+        Object.entries(three.colors || {}).forEach(([section, pair]) => {
+            const path = `animations.three.colors.${section}`;
+            if (!Array.isArray(pair) || pair.length !== 2) {
+                console.error(`Invalid colour pair at ${path}: expected ["#RRGGBB", "#RRGGBB"], got`, pair);
+                return;
+            }
+            
+            const colors = pair.map((value, index) => AnimationConfig.parseColor(value, `${path}[${index}]`));
+            if (colors.every(color => color !== null)) {
+                config.colors[section] = colors;
+            }
+        });
+        
+        return config;
+    }
+
+    static parseCount(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!Number.isInteger(value) || value < 0) {
+            console.error(`Invalid value at ${path}: expected a non-negative integer, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    static parseFlag(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'boolean') {
+            console.error(`Invalid value at ${path}: expected true or false, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    static parsePalette(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!MaterialPalette.hasMode(value)) {
+            const modes = Array.from(MaterialPalette.modes.keys()).join(', ');
+            console.error(`Invalid value at ${path}: expected one of ${modes}, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    // Effects are names or { type, ...params } objects; bad entries are dropped
+    static parseEffects(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (!Array.isArray(value)) {
+            console.error(`Invalid value at ${path}: expected an array of effects, got`, value);
+            return fallback;
         }
         
-        // Add some larger focal objects
-        for (let i = 0; i < 3; i++) {
-            const size = Math.random() * 1.5 + 1;
-            this.createFloatingGeometry('icosahedron', { size });
+        return value.filter((effect, index) => {
+            const type = typeof effect === 'string' ? effect : effect && effect.type;
+            if (!PostProcessor.hasEffect(type)) {
+                const effects = Array.from(PostProcessor.effects.keys()).join(', ');
+                console.error(`Invalid effect at ${path}[${index}]: expected one of ${effects}, got`, effect);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    static parseColor(value, path) {
+        if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+            console.error(`Invalid colour at ${path}: expected "#RRGGBB", got`, value);
+            return null;
         }
+        return parseInt(value.slice(1), 16);
+    }
+
+    constructor() {
+        this.heroObjectCount = 20;
+        this.cardObjectCount = 3;
+        this.heroSeed = undefined;
+        this.palette = 'static';
+        this.heroPalette = 'static';
+        this.heroEffects = [];
+        this.enabledByDefault = true;
+        this.respectsReducedMotion = true;
+        this.enableWebGL = true;
+        this.pauseAnimationsOnInvisible = true;
+        this.colors = {};
+    }
+
+    colorsFor(section, fallback) {
+        return this.colors[section] || fallback;
     }
 }
 
 // Animation manager for all canvas elements
-class AnimationManager {
-    constructor() {
+export class AnimationManager {
+    // One manager per page, shared by the site's own scenes and any
+    // <mitski-scene> elements, so they all follow the same motion settings
+    static shared() {
+        if (!AnimationManager.instance) {
+            AnimationManager.instance = new AnimationManager();
+            AnimationManager.instance.configure();
+        }
+        return AnimationManager.instance;
+    }
+
+    // options.headless builds every scene on a NullRenderer, synchronously and
+    // without the frame-time governor, for stepping under Node/jsdom;
+    // options.debug logs quality tier changes
+    constructor(options = {}) {
+        this.headless = options.headless === true;
         this.animators = new Map();
-        this.cardConfigs = [
-            { id: 'about-canvas-1', colors: [0x00FFFF, 0x6600CC] },
-            { id: 'about-canvas-2', colors: [0xFF00FF, 0x00CC66] },
-            { id: 'about-canvas-3', colors: [0xFFFF00, 0xFF6600] },
-            { id: 'services-canvas-1', colors: [0x00CC66, 0x00FFFF] },
-            { id: 'services-canvas-2', colors: [0xFF6600, 0xFF00FF] },
-            { id: 'services-canvas-3', colors: [0x6600CC, 0xFFFF00] },
-            { id: 'services-canvas-4', colors: [0x00FFFF, 0xFF6600] },
-            { id: 'collections-canvas-1', colors: [0xFF00FF, 0x00CC66] },
-            { id: 'collections-canvas-2', colors: [0xFFFF00, 0x6600CC] },
-            { id: 'collections-canvas-3', colors: [0x00FFFF, 0xFF00FF] },
-            { id: 'testimonials-canvas-1', colors: [0x00CC66, 0xFFFF00] },
-            { id: 'testimonials-canvas-2', colors: [0xFF6600, 0x00FFFF] },
-            { id: 'testimonials-canvas-3', colors: [0x6600CC, 0xFF00FF] },
-            { id: 'events-canvas-1', colors: [0x00FFFF, 0x00CC66] },
-            { id: 'events-canvas-2', colors: [0xFF00FF, 0xFFFF00] },
-            { id: 'faq-canvas-1', colors: [0xFFFF00, 0x6600CC] },
-            { id: 'faq-canvas-2', colors: [0x00CC66, 0xFF6600] },
-            { id: 'careers-canvas-1', colors: [0xFF6600, 0x00FFFF] },
-            { id: 'careers-canvas-2', colors: [0x6600CC, 0x00CC66] },
-            { id: 'contact-canvas-1', colors: [0x00FFFF, 0xFF00FF] },
-            { id: 'contact-canvas-2', colors: [0xFFFF00, 0xFF6600] }
-        ];
-    }
-
-    init() {
+        this.config = new AnimationConfig();
+        this.motionEnabled = true;
+        this.motionState = { user: false, reducedMotion: false };
+        // Pending card set-up, cancelled if we're disposed first
+        this.timers = new Set();
+        this.followingMotionQuery = false;
+        this.disposed = false;
+        this.motionQuery = typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+        this.onMotionQueryChange = () => this.applyMotionPreference();
+        this.governor = new QualityGovernor(tier => {
+            this.animators.forEach(animator => animator.applyQuality(tier));
+        }, { debug: options.debug });
+    }
+
+    init(config = new AnimationConfig()) {
+        this.configure(config);
+        
         // Initialize hero animation
         this.initHeroAnimation();
         
-        // Initialize card animations with delay for performance
-        setTimeout(() => {
+        if (this.headless) {
             this.initCardAnimations();
-        }, 500);
+            return;
+        }
+        
+        // Initialize card animations with delay for performance
+        this.schedule(() => this.initCardAnimations(), 500);
+    }
+
+    // Apply a config to the manager and any scenes already registered; init()
+    // does this and then builds the page's hero and cards
+    configure(config = new AnimationConfig()) {
+        this.config = config;
+        
+        if (!this.config.enableWebGL) {
+            console.info('WebGL disabled in site config, using static 3D fallback');
+        }
+        
+        // Follow live changes to the OS reduced-motion setting
+        this.applyMotionPreference();
+        if (this.motionQuery && !this.followingMotionQuery) {
+            this.motionQuery.addEventListener('change', this.onMotionQueryChange);
+            this.followingMotionQuery = true;
+        }
+    }
+
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
     }
 
     initHeroAnimation() {
+        // Pages without #hero-canvas have no hero, headless or not
+        if (!document.getElementById('hero-canvas')) return;
+        
         try {
-            const heroAnimator = new HeroAnimator();
+            const heroAnimator = new HeroAnimator({
+                objectCount: this.config.heroObjectCount,
+                seed: this.config.heroSeed,
+                palette: this.config.heroPalette,
+                effects: this.config.heroEffects,
+                webgl: this.config.enableWebGL,
+                colors: this.config.colorsFor('hero'),
+                pauseWhenHidden: this.config.pauseAnimationsOnInvisible,
+                headless: this.headless
+            });
+            if (!heroAnimator.scene) return;
+            
+            heroAnimator.applyQuality(this.governor.tier);
+            heroAnimator.setScrollTimeline(new ScrollTimeline(this.buildScrollKeyframes()));
+            this.applyMotionState(heroAnimator);
             this.animators.set('hero-canvas', heroAnimator);
         } catch (error) {
             console.error('Failed to initialize hero animation:', error);
         }
     }
 
+    // Each keyframe takes its palette from the section's colours in site-config.json
+    buildScrollKeyframes(keyframes = AnimationManager.SCROLL_KEYFRAMES) {
+        return keyframes.map(keyframe => ({
+            colors: this.config.colorsFor(keyframe.section === 'home' ? 'hero' : keyframe.section),
+            ...keyframe
+        }));
+    }
+
     initCardAnimations() {
-        this.cardConfigs.forEach((config, index) => {
+        const canvases = document.querySelectorAll('canvas.card-3d');
+        
+        canvases.forEach((canvas, index) => {
+            const key = canvas.id || `card-canvas-${index + 1}`;
+            
+            const createCard = () => {
+                this.createScene(key, canvas, this.readCanvasScene(canvas, key));
+            };
+            
             // Stagger initialization to prevent performance issues
-            setTimeout(() => {
-                try {
-                    const animator = new ThreeJSAnimator(config.id, config.colors[0], config.colors[1]);
-                    if (animator.canvas) {
-                        animator.addRandomObjects(3);
-                        this.animators.set(config.id, animator);
-                    }
-                } catch (error) {
-                    console.error(`Failed to initialize animation for ${config.id}:`, error);
-                }
-            }, index * 50);
+            if (this.headless) {
+                createCard();
+            } else {
+                this.schedule(createCard, index * 50);
+            }
+        });
+    }
+
+    // Build an animator for a canvas from a scene description (see readScene)
+    // and give it the page's quality tier and motion settings
+    createScene(key, canvas, description) {
+        try {
+            const animator = new ThreeJSAnimator(canvas, description.colors[0], description.colors[1], {
+                seed: description.seed,
+                palette: description.palette,
+                effects: description.effects,
+                webgl: this.config.enableWebGL,
+                pauseWhenHidden: this.config.pauseAnimationsOnInvisible,
+                headless: this.headless
+            });
+            if (!animator.scene) return null;
+            
+            animator.addRandomObjects(description.count, description.shapes);
+            animator.applyQuality(this.governor.tier);
+            this.applyMotionState(animator);
+            this.animators.set(key, animator);
+            return animator;
+        } catch (error) {
+            console.error(`Failed to initialize animation for ${key}:`, error);
+            return null;
+        }
+    }
+
+    removeScene(key) {
+        const animator = this.animators.get(key);
+        if (!animator) return;
+        
+        animator.dispose();
+        this.animators.delete(key);
+    }
+
+    // Read the scene a canvas declares through its data-three-* attributes,
+    // falling back to the section colours from site-config.json
+    readCanvasScene(canvas, key) {
+        return this.readScene(canvas, key, name => `data-three-${name}`);
+    }
+
+    // Shared by canvas data attributes and <mitski-scene> attributes;
+    // attributeName maps 'shapes', 'colors', ... to the attribute to read
+    readScene(element, key, attributeName = name => name) {
+        const read = name => {
+            const value = element.getAttribute(attributeName(name));
+            return value === null ? undefined : value;
+        };
+        const label = name => `${key}[${attributeName(name)}]`;
+        const data = {
+            shapes: read('shapes'),
+            colors: read('colors'),
+            count: read('count'),
+            palette: read('palette'),
+            effects: read('effects'),
+            seed: read('seed')
+        };
+        const section = element.closest('section[id]');
+        const description = {
+            shapes: ThreeJSAnimator.SHAPES,
+            colors: this.config.colorsFor(section ? section.id : '', [0x00FFFF, 0xFF00FF]),
+            count: this.config.cardObjectCount,
+            seed: undefined,
+            palette: this.config.palette,
+            effects: []
+        };
+        
+        if (data.shapes) {
+            const shapes = data.shapes.split(',').map(shape => shape.trim()).filter(Boolean);
+            const unknown = shapes.filter(shape => !ThreeJSAnimator.hasShape(shape));
+            if (unknown.length) {
+                console.error(`Unknown shape(s) in ${label('shapes')}: ${unknown.join(', ')}`);
+            }
+            
+            const known = shapes.filter(shape => ThreeJSAnimator.hasShape(shape));
+            if (known.length) {
+                description.shapes = known;
+            }
+        }
+        
+        if (data.colors) {
+            const values = data.colors.split(',').map(value => value.trim());
+            const colors = values.map((value, index) => {
+                return AnimationConfig.parseColor(value, `${label('colors')}[${index}]`);
+            });
+            
+            if (colors.length !== 2) {
+                console.error(`Invalid value in ${label('colors')}: expected two colours, got`, data.colors);
+            } else if (colors.every(color => color !== null)) {
+                description.colors = colors;
+            }
+        }
+        
+        if (data.count !== undefined) {
+            description.count = AnimationConfig.parseCount(
+                Number(data.count), label('count'), description.count
+            );
+        }
+        
+        if (data.palette !== undefined) {
+            description.palette = AnimationConfig.parsePalette(
+                data.palette, label('palette'), description.palette
+            );
+        }
+        
+        if (data.effects) {
+            description.effects = AnimationConfig.parseEffects(
+                data.effects.split(',').map(effect => effect.trim()).filter(Boolean),
+                label('effects'),
+                description.effects
+            );
+        }
+        
+        if (data.seed !== undefined) {
+            description.seed = AnimationConfig.parseCount(
+                Number(data.seed), label('seed'), undefined
+            );
+        }
+        
+        return description;
+    }
+
+    getQualityTier() {
+        return this.governor.tier.name;
+    }
+
+    // Seeds of every live animator, so an approved layout can be saved
+    getSeeds() {
+        const seeds = {};
+        this.animators.forEach((animator, key) => {
+            seeds[key] = animator.seed;
         });
+        return seeds;
+    }
+
+    // Why motion is off, split into the visitor's choice and the OS setting.
+    // A stored choice from the motion toggle wins over the OS setting.
+    getMotionState() {
+        const stored = this.getStoredMotionPreference();
+        const reducedMotion = stored === null &&
+            this.config.respectsReducedMotion &&
+            Boolean(this.motionQuery && this.motionQuery.matches);
+        
+        return {
+            user: stored !== null ? !stored : !this.config.enabledByDefault,
+            reducedMotion: reducedMotion
+        };
+    }
+
+    isMotionEnabled() {
+        const state = this.getMotionState();
+        return !state.user && !state.reducedMotion;
+    }
+
+    getStoredMotionPreference() {
+        try {
+            const value = localStorage.getItem(AnimationManager.MOTION_STORAGE_KEY);
+            return value === null ? null : value === 'on';
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setMotionPreference(enabled) {
+        try {
+            localStorage.setItem(AnimationManager.MOTION_STORAGE_KEY, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Could not save motion preference:', error);
+        }
+        this.applyMotionPreference();
+    }
+
+    applyMotionPreference() {
+        this.motionState = this.getMotionState();
+        this.motionEnabled = !this.motionState.user && !this.motionState.reducedMotion;
+        this.animators.forEach(animator => this.applyMotionState(animator));
+        
+        // Nothing to measure while every scene holds a still frame
+        if (this.motionEnabled && !this.headless) {
+            this.governor.start();
+        } else {
+            this.governor.stop();
+        }
+        
+        window.dispatchEvent(new CustomEvent('animations:motionchange', {
+            detail: { enabled: this.motionEnabled }
+        }));
+    }
+
+    applyMotionState(animator) {
+        animator.setMotionEnabled(!this.motionState.user);
+        animator.setReducedMotion(this.motionState.reducedMotion);
     }
 
+    // Holds every animator on a still frame until playAll()
     pauseAll() {
         this.animators.forEach(animator => {
-            animator.pause();
+            animator.setMotionEnabled(false);
         });
     }
 
     playAll() {
         this.animators.forEach(animator => {
-            animator.play();
+            animator.setMotionEnabled(true);
+        });
+    }
+
+    // Save a scene as JSON (reload with importScene) or glTF for designers, or
+    // capture it as 'png', 'png-sequence' (a .zip) or 'webm'. Captures return a
+    // promise; options are passed to the capture (width, height, frames, fps).
+    downloadScene(key = 'hero-canvas', format = 'json', options = {}) {
+        const animator = this.animators.get(key);
+        if (!animator) {
+            console.error(`No animation '${key}' to export`);
+            return Promise.resolve();
+        }
+        
+        let capture;
+        if (format === 'gltf') {
+            SceneExporter.download(animator.exportGLTF(), `${key}.gltf`, 'model/gltf+json');
+        } else if (format === 'png') {
+            capture = animator.captureStill(options).then(blob => {
+                SceneExporter.download(blob, `${key}.png`);
+            });
+        } else if (format === 'png-sequence') {
+            capture = animator.captureFrames(options)
+                .then(blobs => FrameCapture.zip(blobs.map((blob, index) => ({
+                    name: `${key}-${String(index + 1).padStart(4, '0')}.png`,
+                    blob: blob
+                }))))
+                .then(zip => SceneExporter.download(zip, `${key}-frames.zip`));
+        } else if (format === 'webm') {
+            capture = animator.recordVideo(options).then(blob => {
+                SceneExporter.download(blob, `${key}.webm`);
+            });
+        } else {
+            SceneExporter.download(animator.exportScene(), `${key}.json`);
+        }
+        
+        return (capture || Promise.resolve()).catch(error => {
+            console.error(`Failed to capture ${key} as ${format}:`, error);
+        });
+    }
+
+    // Step every animator by the same number of frames (see ThreeJSAnimator.step)
+    step(frames = 1, delta = 1 / 60) {
+        this.animators.forEach(animator => animator.step(frames, delta));
+    }
+
+    getSceneState() {
+        const state = {};
+        this.animators.forEach((animator, key) => {
+            state[key] = animator.getSceneState();
         });
+        return state;
     }
 
     dispose() {
+        this.disposed = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        
+        if (this.motionQuery) {
+            this.motionQuery.removeEventListener('change', this.onMotionQueryChange);
+            this.followingMotionQuery = false;
+        }
+        this.governor.stop();
         this.animators.forEach(animator => {
             animator.dispose();
         });
         this.animators.clear();
+        
+        if (AnimationManager.instance === this) {
+            AnimationManager.instance = null;
+        }
     }
 }
 
-// Initialize animations when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Check for WebGL support
+AnimationManager.instance = null;
+AnimationManager.MOTION_STORAGE_KEY = 'mitski:motion';
+
+// Default hero choreography, one keyframe per section
+AnimationManager.SCROLL_KEYFRAMES = [
+    { section: 'home' },
+    { section: 'about', camera: { x: 1, z: -1 }, spread: 0.8, rotationSpeed: 0.6 },
+    { section: 'services', camera: { x: -1, y: 0.5 }, spread: 1.2, rotationSpeed: 1.4 },
+    { section: 'collections', camera: { y: -0.5, z: 1 }, spread: 1.4 },
+    { section: 'testimonials', camera: { x: 0.5, z: -1.5 }, spread: 0.7, rotationSpeed: 0.5 },
+    { section: 'events', camera: { x: -0.5, y: -0.5 }, spread: 1.1, rotationSpeed: 1.2 },
+    { section: 'faq', camera: { z: 0.5 }, spread: 0.9 },
+    { section: 'careers', camera: { x: 1, y: 0.5 }, spread: 1.3, rotationSpeed: 1.5 },
+    { section: 'contact', camera: { z: 2 }, spread: 1.6, rotationSpeed: 0.8 }
+];
+
+// Start the page's animations: the shared manager builds the hero and card
+// scenes once the site config has loaded. Call once the DOM is ready.
+export function initAnimations() {
+    // Without WebGL the animators draw a static 2D fallback
     if (!window.WebGLRenderingContext) {
-        console.warn('WebGL not supported, skipping 3D animations');
-        return;
+        console.warn('WebGL not supported, using static 3D fallback');
     }
 
-    const animationManager = new AnimationManager();
-    animationManager.init();
+    const animationManager = AnimationManager.shared();
+    SiteConfig.load().then(siteConfig => {
+        animationManager.init(AnimationConfig.fromSiteConfig(siteConfig));
+    });
 
     // Clean up on page unload
     window.addEventListener('beforeunload', () => {
         animationManager.dispose();
     });
 
-    // Export for debugging
-    window.animationManager = animationManager;
-});
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ThreeJSAnimator, HeroAnimator, AnimationManager };
-}
\ No newline at end of file
+    return animationManager;
+}
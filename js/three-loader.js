@@ -0,0 +1,55 @@
+/**
+ * Three.js Loader
+ * Loads the vendored copy of Three.js for the script-tag build, falling back to the CDN
+ */
+
+export class ThreeLoader {
+    // Tries each source in turn; resolves with window.THREE, or null if none loaded
+    static load(sources = ThreeLoader.sources) {
+        if (!ThreeLoader.pending) {
+            let chain = Promise.resolve(window.THREE || null);
+            sources.forEach(src => {
+                chain = chain.then(THREE => THREE || ThreeLoader.tryScript(src));
+            });
+
+            ThreeLoader.pending = chain.then(THREE => {
+                if (!THREE) {
+                    console.error('Failed to load Three.js from any of', sources);
+                }
+                return THREE;
+            });
+        }
+
+        return ThreeLoader.pending;
+    }
+
+    static tryScript(src) {
+        return ThreeLoader.loadScript(src)
+            .then(() => window.THREE || null)
+            .catch(error => {
+                console.warn(`Could not load Three.js from '${src}':`, error.message);
+                return null;
+            });
+    }
+
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Vendored first, so the site works offline; the CDN covers a missing copy
+ThreeLoader.sources = [
+    'vendor/three/three.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'
+];
+ThreeLoader.pending = null;
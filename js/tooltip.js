@@ -0,0 +1,279 @@
+/**
+ * Tooltip Module
+ * Accessible tooltips for [data-tooltip] elements: shown on hover, keyboard focus
+ * and long-press, dismissed with Escape, and flipped to stay inside the viewport
+ */
+
+export class Tooltip {
+    // Every element with data-tooltip (plain text) or data-tooltip-template
+    // (the id of a <template> with rich content) inside `root`
+    static attachAll(root = document) {
+        return Array.from(root.querySelectorAll('[data-tooltip], [data-tooltip-template]'))
+            .map(element => Tooltip.attach(element));
+    }
+
+    // One tooltip per element; attaching again returns the existing one
+    static attach(element, options = {}) {
+        return Tooltip.instances.get(element) || new Tooltip(element, options);
+    }
+
+    // Where the tooltip goes for `placement`, in viewport coordinates, before any clamping
+    static position(placement, anchor, size, gap) {
+        switch (placement) {
+            case 'bottom':
+                return { top: anchor.bottom + gap, left: anchor.left + (anchor.width - size.width) / 2 };
+            case 'left':
+                return { top: anchor.top + (anchor.height - size.height) / 2, left: anchor.left - size.width - gap };
+            case 'right':
+                return { top: anchor.top + (anchor.height - size.height) / 2, left: anchor.right + gap };
+            default:
+                return { top: anchor.top - size.height - gap, left: anchor.left + (anchor.width - size.width) / 2 };
+        }
+    }
+
+    // Whether a tooltip at `position` (viewport coordinates) stays on screen along
+    // the side it's placed on; the other direction is clamped afterwards
+    static fits(placement, position, size, margin) {
+        if (placement === 'left' || placement === 'right') {
+            return position.left >= margin && position.left + size.width <= window.innerWidth - margin;
+        }
+        return position.top >= margin && position.top + size.height <= window.innerHeight - margin;
+    }
+
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...Tooltip.defaults, ...options };
+        this.content = options.content || this.contentFromAttributes();
+        this.visible = false;
+        this.pressed = false;
+        this.timer = null;
+        this.cleanups = [];
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'tooltip';
+        this.tooltip.id = `tooltip-${++Tooltip.count}`;
+        this.tooltip.setAttribute('role', 'tooltip');
+        this.tooltip.hidden = true;
+        this.render();
+        document.body.appendChild(this.tooltip);
+
+        // Screen readers read the tooltip along with the element, without it being shown
+        const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        element.setAttribute('aria-describedby', describedBy.concat(this.tooltip.id).join(' '));
+
+        Tooltip.instances.set(element, this);
+        this.init();
+    }
+
+    contentFromAttributes() {
+        const templateId = this.element.dataset.tooltipTemplate;
+        if (templateId) {
+            const template = document.getElementById(templateId);
+            if (template && template.content) {
+                return () => template.content.cloneNode(true);
+            }
+            console.warn(`Tooltip template '${templateId}' not found`);
+        }
+        return this.element.dataset.tooltip || '';
+    }
+
+    // Content is a string, a Node, or a function returning either
+    render() {
+        const content = typeof this.content === 'function' ? this.content(this.element) : this.content;
+        if (content instanceof Node) {
+            this.tooltip.replaceChildren(content);
+        } else {
+            this.tooltip.textContent = content;
+        }
+    }
+
+    setContent(content) {
+        this.content = content;
+        this.render();
+        if (this.visible) {
+            this.place();
+        }
+    }
+
+    init() {
+        const { showDelay, hideDelay, longPress } = this.options;
+
+        this.listen(this.element, 'mouseenter', () => this.schedule(true, showDelay));
+        this.listen(this.element, 'mouseleave', () => this.schedule(false, hideDelay));
+        this.listen(this.element, 'focus', () => this.show());
+        this.listen(this.element, 'blur', () => this.hide());
+
+        // The pointer can move onto the tooltip without it disappearing
+        this.listen(this.tooltip, 'mouseenter', () => this.schedule(true, 0));
+        this.listen(this.tooltip, 'mouseleave', () => this.schedule(false, hideDelay));
+
+        // Touch has no hover: pressing and holding shows the tooltip instead
+        let start = null;
+        this.listen(this.element, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            start = { x: e.clientX, y: e.clientY };
+            this.pressed = false;
+            this.schedule(true, longPress, () => {
+                this.pressed = true;
+            });
+        });
+        this.listen(this.element, 'pointermove', (e) => {
+            if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) {
+                start = null;
+                this.cancel();
+            }
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.listen(this.element, type, () => {
+                if (start && !this.pressed) {
+                    this.cancel();
+                }
+                start = null;
+            });
+        });
+
+        // A long-press shows the tooltip; it shouldn't also open the browser's
+        // context menu or follow the link
+        this.listen(this.element, 'contextmenu', (e) => {
+            if (this.pressed) e.preventDefault();
+        });
+        this.listen(this.element, 'click', (e) => {
+            if (this.pressed) {
+                e.preventDefault();
+                this.pressed = false;
+            }
+        });
+
+        // Escape dismisses the tooltip first, before menus that also close on it
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.visible) {
+                e.stopPropagation();
+                this.hide();
+            }
+        }, true);
+
+        this.listen(document, 'pointerdown', (e) => {
+            if (this.visible && !this.element.contains(e.target) && !this.tooltip.contains(e.target)) {
+                this.hide();
+            }
+        });
+
+        // Elements in the fixed header move against the page, so follow them
+        this.listen(window, 'scroll', () => {
+            if (this.visible) this.place();
+        }, { passive: true });
+        this.listen(window, 'resize', () => this.hide());
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    schedule(show, delay, then) {
+        this.cancel();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (show) {
+                this.show();
+            } else {
+                this.hide();
+            }
+            if (then) then();
+        }, delay);
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    show() {
+        this.cancel();
+        if (!this.tooltip.textContent.trim() && !this.tooltip.children.length) return;
+
+        // Only one tooltip at a time
+        if (Tooltip.current && Tooltip.current !== this) {
+            Tooltip.current.hide();
+        }
+        Tooltip.current = this;
+
+        this.tooltip.hidden = false;
+        this.visible = true;
+        this.place();
+    }
+
+    hide() {
+        this.cancel();
+        if (!this.visible) return;
+
+        this.tooltip.hidden = true;
+        this.visible = false;
+        if (Tooltip.current === this) {
+            Tooltip.current = null;
+        }
+    }
+
+    // The preferred side, else the opposite one, else whichever side fits; then
+    // kept inside the viewport and converted to page coordinates, as the tooltip
+    // is positioned in the document and scrolls with it
+    place() {
+        const anchor = this.element.getBoundingClientRect();
+        const size = { width: this.tooltip.offsetWidth, height: this.tooltip.offsetHeight };
+        const preferred = this.element.dataset.tooltipPlacement || this.options.placement;
+        const candidates = [preferred, Tooltip.OPPOSITE[preferred]]
+            .concat(Object.keys(Tooltip.OPPOSITE))
+            .filter((placement, index, all) => placement && all.indexOf(placement) === index);
+
+        const { gap, margin } = this.options;
+        const placement = candidates.find(candidate => {
+            return Tooltip.fits(candidate, Tooltip.position(candidate, anchor, size, gap), size, margin);
+        }) || preferred;
+
+        const position = Tooltip.position(placement, anchor, size, gap);
+        const clamp = (value, max) => Math.min(Math.max(value, margin), Math.max(margin, max - margin));
+        const top = clamp(position.top, window.innerHeight - size.height);
+        const left = clamp(position.left, window.innerWidth - size.width);
+
+        this.tooltip.dataset.placement = placement;
+        this.tooltip.style.top = `${top + window.scrollY}px`;
+        this.tooltip.style.left = `${left + window.scrollX}px`;
+
+        // Keep the arrow pointing at the element after clamping
+        this.tooltip.style.setProperty('--arrow-x', `${anchor.left + anchor.width / 2 - left}px`);
+        this.tooltip.style.setProperty('--arrow-y', `${anchor.top + anchor.height / 2 - top}px`);
+    }
+
+    destroy() {
+        this.hide();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+
+        const describedBy = (this.element.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== this.tooltip.id);
+        if (describedBy.length) {
+            this.element.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            this.element.removeAttribute('aria-describedby');
+        }
+
+        this.tooltip.remove();
+        Tooltip.instances.delete(this.element);
+    }
+}
+
+Tooltip.instances = new Map();
+Tooltip.current = null;
+Tooltip.count = 0;
+
+Tooltip.OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+Tooltip.defaults = {
+    placement: 'top',
+    showDelay: 150,
+    hideDelay: 100,
+    longPress: 500,
+    // Between the tooltip and its element, and the tooltip and the viewport edge
+    gap: 8,
+    margin: 8
+};
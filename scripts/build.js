@@ -0,0 +1,155 @@
+/**
+ * Script-Tag Build
+ * Bundles the ES modules in js/ into one IIFE for a plain <script> tag:
+ *
+ *   node scripts/build.js
+ *   node scripts/build.js --check   (fail if the committed bundle is out of date)
+ *
+ * No dependencies. The bundle uses window.THREE (loading the vendored copy
+ * if it isn't there yet), defines the classes as globals like the old
+ * separate scripts did and starts the page on DOMContentLoaded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SOURCE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'js');
+const OUTPUT = path.join(SOURCE, 'mitski-3dspace.js');
+
+// Dependency order: each module only uses names from the ones above it at load time
+const MODULES = [
+    'site-config.js',
+    'three-loader.js',
+    'navigation.js',
+    'scroll-progress.js',
+    'post-processing.js',
+    'animation-engine.js',
+    'scene-export.js',
+    'frame-capture.js',
+    'three-animations.js',
+    'mitski-scene.js',
+    'contact-form.js',
+    'tooltip.js',
+    'main.js',
+    'index.js'
+];
+
+const IMPORT = /^import .+ from '(.+)';$/;
+const REEXPORT = /^export \{ .+ \} from '(.+)';$/;
+const DECLARATION = /^export (class|function|const) ([A-Za-z_$][\w$]*)/;
+
+// Bare imports are allowed only for 'three'; everything else must be in MODULES
+function checkSpecifier(file, specifier) {
+    if (specifier === 'three') return;
+    if (!MODULES.includes(specifier.replace(/^\.\//, ''))) {
+        throw new Error(`${file}: can't bundle import of '${specifier}'`);
+    }
+}
+
+function transform(file, exported) {
+    const lines = fs.readFileSync(path.join(SOURCE, file), 'utf8').split('\n');
+
+    return lines.map((line, index) => {
+        const where = `${file}:${index + 1}`;
+        let match = line.match(IMPORT) || line.match(REEXPORT);
+        if (match) {
+            checkSpecifier(where, match[1]);
+            return null;
+        }
+
+        match = line.match(DECLARATION);
+        if (match) {
+            exported.push(match[2]);
+            return line.slice('export '.length);
+        }
+
+        if (/^(import|export)\b/.test(line)) {
+            throw new Error(`${where}: unsupported module syntax: ${line}`);
+        }
+        return line;
+    }).filter(line => line !== null).join('\n').trim();
+}
+
+function build() {
+    const exported = [];
+    const sources = MODULES.map(file => `// ---- ${file}\n\n${transform(file, exported)}`);
+
+    const bundle = `/**
+ * Mitski 3D Space (script-tag build)
+ * Generated by scripts/build.js from the ES modules in js/ - edit those and rebuild.
+ *
+ *   <script src="js/mitski-3dspace.js"></script>
+ *
+ * Three.js comes from window.THREE, or is loaded by ThreeLoader on start.
+ * Add data-autostart="false" to the tag to start things yourself through
+ * window.Mitski3DSpace (e.g. Mitski3DSpace.defineMitskiScene()), with
+ * Three.js loaded before this script.
+ */
+(function (global) {
+'use strict';
+
+let THREE = global.THREE;
+const script = typeof document !== 'undefined' ? document.currentScript : null;
+
+${sources.join('\n\n')}
+
+// ---- script-tag start
+
+const Mitski3DSpace = { ${exported.join(', ')} };
+global.Mitski3DSpace = Mitski3DSpace;
+
+// The classes stay reachable by name, as with the old separate script tags
+Object.keys(Mitski3DSpace).forEach(name => {
+    if (/^[A-Z]/.test(name)) {
+        global[name] = Mitski3DSpace[name];
+    }
+});
+
+if (typeof document !== 'undefined' && !(script && script.dataset.autostart === 'false')) {
+    // Fetch Three.js while the page is still parsing
+    const loaded = ThreeLoader.load();
+    const domReady = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', resolve);
+        } else {
+            resolve();
+        }
+    });
+
+    Promise.all([loaded, domReady]).then(([three]) => {
+        THREE = three;
+        if (!THREE) {
+            console.warn('Three.js not loaded, skipping 3D animations');
+        }
+
+        const site = initSite({ animations: Boolean(THREE) });
+
+        // Export for debugging
+        global.animationManager = site.animationManager;
+        global.mitskiApp = site.app;
+    });
+}
+})(typeof window !== 'undefined' ? window : globalThis);
+`;
+
+    const relative = path.relative(process.cwd(), OUTPUT);
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+        if (current !== bundle) {
+            throw new Error(`${relative} is out of date; run node scripts/build.js and commit the result`);
+        }
+        console.log(`${relative} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(OUTPUT, bundle);
+    console.log(`Wrote ${relative} (${exported.length} exports, ${Math.round(bundle.length / 1024)} KB)`);
+}
+
+try {
+    build();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,104 @@
+/**
+ * Service Worker
+ * Precaches the page, styles, scripts and Three.js so the site works offline
+ * and repeat visits load from the cache. Registered by MitskiApp when
+ * performance.enableServiceWorker is on in site-config.json.
+ */
+
+// Bump when PRECACHE changes; activation deletes the old caches
+const CACHE_NAME = 'mitski-3dspace-v2';
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'css/components.css',
+    'css/animations.css',
+    'js/mitski-3dspace.js',
+    'vendor/three/three.min.js',
+    'assets/icons/site-config.json'
+];
+
+// Fetched only when the vendored copy is missing; cached like the rest
+const CDN_ORIGINS = ['https://cdnjs.cloudflare.com'];
+
+// Our own scripts, styles and config change with every deploy and have to match
+// the page, so they're fetched like pages. The vendored Three.js only changes
+// along with CACHE_NAME, so the cached copy can be used straight away.
+const NETWORK_FIRST = /\.(js|css|json)$/;
+const IMMUTABLE = /\/vendor\//;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('mitski-3dspace-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET') return;
+    if (url.origin !== self.location.origin && !CDN_ORIGINS.includes(url.origin)) return;
+
+    const sameOrigin = url.origin === self.location.origin;
+    if (request.mode === 'navigate' ||
+        (sameOrigin && NETWORK_FIRST.test(url.pathname) && !IMMUTABLE.test(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// CDN scripts load without CORS, so their responses are opaque (status 0)
+function isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+}
+
+// Pages, scripts, styles and config: the latest version when online, the
+// cached one when not
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request).then(cached => {
+            if (cached) return cached;
+            return request.mode === 'navigate' ? caches.match('index.html') : Response.error();
+        }));
+}
+
+// Everything else (images, Three.js): answer from the cache at once and
+// refresh it in the background
+function staleWhileRevalidate(event, request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const update = fetch(request)
+            .then(response => {
+                if (isCacheable(response)) {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            });
+
+        if (cached) {
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        }
+        return update;
+    }));
+}
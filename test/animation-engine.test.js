@@ -0,0 +1,105 @@
+/**
+ * Animation Engine Tests
+ * Behaviours stepped on a fixed clock, checked against their closed-form poses
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { AnimationClock, AnimationEngine } from '../js/index.js';
+
+function createMesh() {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial());
+    mesh.userData = {
+        originalPosition: new THREE.Vector3(1, 2, 3),
+        originalRotation: new THREE.Euler(0, 0, 0),
+        scale: 1
+    };
+    return mesh;
+}
+
+function approx(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('the clock advances by fixed steps and honours speed and pause', () => {
+    const clock = new AnimationClock();
+    clock.advance(0.5);
+    clock.setSpeed(2);
+    clock.advance(0.25);
+    approx(clock.time, 1, 'time');
+
+    clock.pause();
+    assert.equal(clock.advance(1), 0);
+    approx(clock.time, 1, 'time while paused');
+});
+
+test('spin, float and pulse add to the rest pose', () => {
+    const clock = new AnimationClock();
+    const engine = new AnimationEngine(clock);
+    const mesh = createMesh();
+
+    engine.add(mesh, 'spin', { x: 0, y: 0.5, z: 1 });
+    engine.add(mesh, 'float', { speed: 2, amount: 0.1 });
+    engine.add(mesh, 'pulse', { speed: 1, amount: 0.2 });
+
+    clock.advance(2);
+    engine.update();
+
+    approx(mesh.rotation.y, 1, 'rotation.y');
+    approx(mesh.rotation.z, 2, 'rotation.z');
+    approx(mesh.position.y, 2 + Math.sin(4) * 0.1, 'position.y');
+    approx(mesh.position.x, 1, 'position.x');
+    approx(mesh.scale.x, 1 + Math.sin(2) * 0.2, 'scale');
+});
+
+test('updating twice at the same time gives the same pose', () => {
+    const clock = new AnimationClock();
+    const engine = new AnimationEngine(clock);
+    const mesh = createMesh();
+    engine.add(mesh, 'orbit', { radius: 1, speed: 1 });
+
+    clock.advance(1.25);
+    engine.update();
+    const first = mesh.position.clone();
+    engine.update();
+
+    assert.ok(mesh.position.equals(first));
+});
+
+test('a path ends at its last point and a spring settles on its target', () => {
+    const clock = new AnimationClock();
+    const engine = new AnimationEngine(clock);
+    const walker = createMesh();
+    const bouncer = createMesh();
+
+    engine.add(walker, 'path', { points: [{ x: 1, y: 0, z: 0 }, { x: 2, y: 1, z: 0 }], duration: 2 });
+    engine.add(bouncer, 'spring', { from: { x: 0, y: 1, z: 0 }, target: { x: 0, y: 0, z: 0 }, damping: 0.5 });
+
+    clock.advance(3);
+    engine.update();
+
+    approx(walker.position.x, 3, 'path end x');
+    approx(walker.position.y, 3, 'path end y');
+    assert.ok(Math.abs(bouncer.position.y - 2) < 1e-3, `spring settled at ${bouncer.position.y}`);
+});
+
+test('serialized behaviours restore to the same pose', () => {
+    const clock = new AnimationClock();
+    const engine = new AnimationEngine(clock);
+    const mesh = createMesh();
+    engine.add(mesh, 'spin', { y: 1.5 });
+    engine.add(mesh, 'path', { points: [{ x: 0, y: 2, z: 0 }], duration: 4, repeat: Infinity, easing: 'easeInOut' });
+
+    const saved = JSON.parse(JSON.stringify(engine.serialize(mesh)));
+    const copy = createMesh();
+    const restored = new AnimationEngine(clock);
+    restored.restore(copy, saved);
+
+    clock.advance(5.5);
+    engine.update();
+    restored.update();
+
+    assert.ok(copy.position.equals(mesh.position));
+    assert.ok(copy.rotation.equals(mesh.rotation));
+});
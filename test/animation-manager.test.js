@@ -0,0 +1,130 @@
+/**
+ * Animation Manager Tests
+ * The whole page's scenes built headless from index.html in jsdom and stepped
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM, INDEX_HTML } from './dom.js';
+import { AnimationManager, AnimationConfig } from '../js/index.js';
+
+// Seeded, so separate managers lay their scenes out the same way
+function createManager() {
+    document.querySelectorAll('canvas.card-3d').forEach((canvas, index) => {
+        canvas.setAttribute('data-three-seed', String(index + 1));
+    });
+    const config = new AnimationConfig();
+    config.heroSeed = 42;
+
+    const manager = new AnimationManager({ headless: true });
+    manager.init(config);
+    return manager;
+}
+
+// Managers are disposed before the DOM they listen on is taken down
+function setup(t) {
+    const managers = [];
+    const uninstall = installDOM(INDEX_HTML);
+    t.after(() => {
+        managers.forEach(manager => manager.dispose());
+        uninstall();
+    });
+    return () => {
+        const manager = createManager();
+        managers.push(manager);
+        return manager;
+    };
+}
+
+test('builds the hero and every card canvas at once', (t) => {
+    const manager = setup(t)();
+
+    const cards = Array.from(document.querySelectorAll('canvas.card-3d')).map(canvas => canvas.id);
+    assert.ok(cards.length > 0);
+    assert.deepEqual(Array.from(manager.animators.keys()), ['hero-canvas'].concat(cards));
+    assert.equal(manager.animators.get('hero-canvas').canvas, document.getElementById('hero-canvas'));
+});
+
+test('each card keeps the colour pair its canvas declares', (t) => {
+    const manager = setup(t)();
+
+    document.querySelectorAll('canvas.card-3d').forEach(canvas => {
+        const colors = manager.animators.get(canvas.id).palette.colors.map(color => `#${color.getHexString().toUpperCase()}`);
+        assert.equal(colors.join(','), canvas.getAttribute('data-three-colors'), canvas.id);
+    });
+});
+
+test('stepping two managers gives the same transforms', (t) => {
+    const create = setup(t);
+    const first = create();
+    const second = create();
+
+    first.step(90);
+    second.step(45);
+    second.step(45);
+
+    const a = first.getSceneState();
+    const b = second.getSceneState();
+    Object.keys(a).forEach(key => {
+        assert.equal(b[key].time, a[key].time, key);
+        b[key].objects.forEach((object, index) => {
+            ['x', 'y', 'z'].forEach(axis => {
+                assert.ok(Math.abs(object.position[axis] - a[key].objects[index].position[axis]) < 1e-9, `${key} position`);
+                assert.ok(Math.abs(object.rotation[axis] - a[key].objects[index].rotation[axis]) < 1e-9, `${key} rotation`);
+            });
+        });
+    });
+});
+
+test('card objects move when stepped', (t) => {
+    const manager = setup(t)();
+
+    const key = document.querySelector('canvas.card-3d').id;
+    const before = manager.getSceneState()[key];
+    manager.step(60);
+    const after = manager.getSceneState()[key];
+
+    assert.ok(Math.abs(after.time - before.time - 1) < 1e-9);
+    assert.equal(after.objectCount, before.objectCount);
+    after.objects.forEach((object, index) => {
+        assert.notDeepEqual(object.rotation, before.objects[index].rotation);
+    });
+});
+
+test('the hero follows the scroll timeline', (t) => {
+    const create = setup(t);
+    // jsdom has no layout: stack the sections 1000px apart
+    document.querySelectorAll('section[id]').forEach((section, index) => {
+        section.getBoundingClientRect = () => ({ top: index * 1000, bottom: (index + 1) * 1000, height: 1000 });
+    });
+    const hero = create().animators.get('hero-canvas');
+
+    const contact = hero.scrollTimeline.keyframes.find(keyframe => keyframe.section === 'contact');
+    const midway = hero.scrollTimeline.sample(contact.anchor - 500);
+    assert.equal(midway.progress, 0.5);
+    assert.equal(hero.scrollTimeline.sample(contact.anchor).section, 'contact');
+
+    const cameraAt = scrollY => {
+        hero.scrollTimeline.freeze(scrollY);
+        hero.step(1);
+        return hero.camera.position.clone();
+    };
+    assert.ok(cameraAt(contact.anchor).z - cameraAt(0).z > 1.5);
+});
+
+test('a page without a hero canvas only gets its cards', (t) => {
+    const uninstall = installDOM(INDEX_HTML.replace(/<canvas[^>]*id="hero-canvas"[^>]*><\/canvas>/, ''));
+    const manager = createManager();
+    t.after(uninstall);
+
+    assert.equal(document.getElementById('hero-canvas'), null);
+    assert.equal(manager.animators.has('hero-canvas'), false);
+    assert.ok(manager.animators.size > 0);
+
+    manager.governor.setTier(0);
+    manager.setMotionPreference(false);
+    manager.setMotionPreference(true);
+    manager.step(5);
+    manager.dispose();
+    assert.equal(manager.animators.size, 0);
+});
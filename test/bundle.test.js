@@ -0,0 +1,16 @@
+/**
+ * Bundle Tests
+ * The committed script-tag build matches a fresh build of the modules in js/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const BUILD = fileURLToPath(new URL('../scripts/build.js', import.meta.url));
+
+test('js/mitski-3dspace.js is up to date', () => {
+    const result = spawnSync(process.execPath, [BUILD, '--check'], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+});
@@ -0,0 +1,68 @@
+/**
+ * Contact Form Tests
+ * Submitting the "Start a Project" form from index.html through test adapters
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM, INDEX_HTML } from './dom.js';
+import { ContactForm } from '../js/index.js';
+
+ContactForm.registerAdapter('test-fail', () => Promise.reject(new Error('offline')));
+ContactForm.registerAdapter('test-ok', () => Promise.resolve());
+
+function createForm(t, options) {
+    const uninstall = installDOM(INDEX_HTML);
+    t.mock.method(console, 'error', () => {});
+    const contactForm = new ContactForm(document.getElementById('project-form'), options);
+    t.after(() => {
+        contactForm.destroy();
+        uninstall();
+    });
+    return contactForm;
+}
+
+function fill(contactForm) {
+    const { elements } = contactForm.form;
+    elements.name.value = 'Ada';
+    elements.email.value = 'ada@example.com';
+    elements.message.value = 'A website with a lot of floating shapes, please.';
+}
+
+test('failed sends do not use up the rate limit', async (t) => {
+    const contactForm = createForm(t, { adapter: 'test-fail', fallbackEmail: 'hello@mitski.com' });
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+        fill(contactForm);
+        assert.equal(await contactForm.submit(), false);
+        assert.match(contactForm.status.textContent, /couldn't be sent.*hello@mitski\.com/);
+    }
+    assert.equal(contactForm.rateLimitWait(), 0);
+});
+
+test('delivered messages count towards the rate limit', async (t) => {
+    const contactForm = createForm(t, { adapter: 'test-ok', rateLimit: { max: 2, period: 60000 } });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        fill(contactForm);
+        assert.equal(await contactForm.submit(), true);
+    }
+    fill(contactForm);
+    assert.equal(await contactForm.submit(), false);
+    assert.match(contactForm.status.textContent, /sent several messages recently/);
+});
+
+test('the form can only send with an endpoint or an explicit adapter', (t) => {
+    const contactForm = createForm(t);
+    assert.equal(contactForm.canSend(), false);
+
+    contactForm.configure(ContactForm.fromSiteConfig({ contact: { form: { endpoint: '' } } }));
+    assert.equal(contactForm.canSend(), false);
+
+    contactForm.configure(ContactForm.fromSiteConfig({ contact: { form: { endpoint: 'https://example.com/send' } } }));
+    assert.equal(contactForm.options.adapter, 'fetch');
+    assert.equal(contactForm.canSend(), true);
+
+    contactForm.configure({ adapter: 'mock', endpoint: '' });
+    assert.equal(contactForm.canSend(), true);
+});
@@ -0,0 +1,49 @@
+/**
+ * Test DOM
+ * Installs a jsdom window as the browser globals the modules expect, so tests
+ * run under plain Node on machines without a GPU or a browser
+ */
+
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+
+export const INDEX_HTML = fs.readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+const GLOBALS = ['window', 'document', 'navigator', 'localStorage', 'HTMLElement', 'Node', 'CustomEvent', 'customElements',
+    'requestAnimationFrame', 'cancelAnimationFrame'];
+
+// Returns a function that removes the globals again
+export function installDOM(html = '<!DOCTYPE html><html><body></body></html>', options = {}) {
+    const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+    const window = dom.window;
+
+    // jsdom has no matchMedia; nothing matches, like a default desktop browser
+    window.matchMedia = (query) => ({
+        matches: Boolean(options.reducedMotion) && query.includes('prefers-reduced-motion'),
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+
+    const previous = new Map();
+    GLOBALS.forEach(name => {
+        previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+        Object.defineProperty(globalThis, name, {
+            value: name === 'window' ? window : window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+
+    return () => {
+        GLOBALS.forEach(name => {
+            const descriptor = previous.get(name);
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        });
+        window.close();
+    };
+}
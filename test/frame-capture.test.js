@@ -0,0 +1,108 @@
+/**
+ * Frame Capture Tests
+ * Captures of the hero in jsdom: repeatable frames and clean failures
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM, INDEX_HTML } from './dom.js';
+import { ThreeJSAnimator, HeroAnimator, ScrollTimeline, FrameCapture, QualityGovernor } from '../js/index.js';
+
+function createHero() {
+    const hero = new HeroAnimator({ headless: true, seed: 42, objectCount: 6 });
+    hero.setScrollTimeline(new ScrollTimeline([
+        { section: 'home', rotationSpeed: 1 },
+        { section: 'contact', rotationSpeed: 3, spread: 1.5 }
+    ]));
+    return hero;
+}
+
+function setup(t) {
+    const heroes = [];
+    const uninstall = installDOM(INDEX_HTML);
+    t.mock.method(console, 'warn', () => {});
+    t.after(() => {
+        heroes.forEach(hero => hero.dispose());
+        uninstall();
+    });
+    return () => {
+        const hero = createHero();
+        heroes.push(hero);
+        return hero;
+    };
+}
+
+test('hero captures ignore the spin built up before them', (t) => {
+    const create = setup(t);
+    const first = create().step(30);
+    const second = create().step(200);
+
+    const frame = hero => {
+        hero.beginCapture({ scrollY: 0 });
+        hero.clock.seek(10);
+        hero.update(0);
+        const state = hero.getSceneState();
+        hero.endCapture();
+        return state;
+    };
+
+    assert.deepEqual(frame(second).objects, frame(first).objects);
+});
+
+test('a capture puts the live spin and scroll position back', (t) => {
+    const hero = setup(t)().step(60);
+    const boost = hero.objects[0].userData.rotationBoost.clone();
+
+    hero.beginCapture({ scrollY: 1234 });
+    assert.equal(hero.scrollTimeline.frozenScrollY, 1234);
+    hero.step(30);
+    hero.endCapture();
+
+    assert.ok(hero.objects[0].userData.rotationBoost.equals(boost));
+    assert.equal(hero.scrollTimeline.frozenScrollY, null);
+});
+
+test('recording without MediaRecorder rejects and resumes the scene', async (t) => {
+    const hero = setup(t)().step(10);
+    const time = hero.clock.time;
+    const capture = new FrameCapture(hero, { width: 16, height: 16 });
+
+    await assert.rejects(capture.video({ frames: 2 }), /MediaRecorder/);
+    assert.equal(hero.clock.time, time);
+    assert.equal(hero.capture, null);
+    assert.equal(hero.isPausedFor('capture'), false);
+});
+
+test('captures and glTF exports use the top tier, whatever runs live', (t) => {
+    const hero = setup(t)();
+    const [low, medium] = QualityGovernor.TIERS;
+    hero.applyQuality(low);
+    const hidden = hero.objects.filter(obj => !obj.visible).length;
+    assert.ok(hidden > 0);
+
+    const exported = hero.exportGLTF();
+    assert.equal(exported.meshes.length, hero.objects.length);
+    assert.equal(hero.objects.filter(obj => !obj.visible).length, hidden);
+
+    hero.beginCapture({ scrollY: 0 });
+    assert.ok(hero.objects.every(obj => obj.visible));
+    assert.equal(hero.segments, 32);
+    assert.equal(hero.effectsEnabled, true);
+
+    // The governor stepping in mid-capture takes effect afterwards
+    hero.applyQuality(medium);
+    assert.ok(hero.objects.every(obj => obj.visible));
+    hero.endCapture();
+
+    assert.equal(hero.quality, medium);
+    assert.equal(hero.segments, medium.segments);
+});
+
+test('post-processing follows the animator clock', () => {
+    const animator = new ThreeJSAnimator(null, 0x00FFFF, 0xFF00FF, { headless: true, seed: 1, effects: ['filmGrain'] });
+    animator.addRandomObjects(2);
+    animator.step(45);
+
+    const [pass] = animator.postProcessor.passes;
+    assert.ok(Math.abs(pass.material.uniforms.time.value - 0.75) < 1e-9);
+});
@@ -0,0 +1,109 @@
+/**
+ * Headless Animator Tests
+ * ThreeJSAnimator and HeroAnimator under plain Node: no DOM, no canvas, no GPU
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreeJSAnimator, HeroAnimator, NullRenderer, SharedRenderer, QualityGovernor } from '../js/index.js';
+
+function buildScene(seed) {
+    const animator = new ThreeJSAnimator(null, 0x00FFFF, 0xFF00FF, { headless: true, seed: seed });
+    animator.addRandomObjects(5);
+    return animator;
+}
+
+test('runs without a document or canvas', () => {
+    assert.equal(typeof document, 'undefined');
+
+    const animator = buildScene(42);
+    assert.ok(animator.renderer instanceof NullRenderer);
+    assert.equal(animator.canvas, null);
+    assert.equal(animator.objects.length, 5);
+    animator.dispose();
+});
+
+test('an element id without a document leaves the canvas empty', () => {
+    const hero = new HeroAnimator({ headless: true, seed: 1, objectCount: 2 });
+    assert.equal(hero.canvas, null);
+    assert.equal(hero.objects.length, 5);
+    hero.dispose();
+});
+
+test('quality tiers apply without a window', () => {
+    const animator = buildScene(42);
+    animator.applyQuality({ name: 'low', pixelRatio: 0.75, segments: 12, objectScale: 0.5, fps: 30, effects: false });
+
+    assert.equal(animator.pixelRatio, 0.75);
+    const state = animator.step(10).getSceneState();
+    assert.ok(state.visibleCount < state.objectCount);
+});
+
+test('the same seed and steps give the same transforms', () => {
+    const a = buildScene(42).step(120);
+    const b = buildScene(42).step(120);
+
+    assert.deepEqual(a.getSceneState(), b.getSceneState());
+    assert.notDeepEqual(buildScene(7).step(120).getSceneState().objects, a.getSceneState().objects);
+});
+
+test('stepping is independent of how the frames are split', () => {
+    const once = buildScene(3).step(60);
+    const split = buildScene(3).step(20).step(40);
+
+    assert.equal(split.getSceneState().time, once.getSceneState().time);
+    split.getSceneState().objects.forEach((object, index) => {
+        const expected = once.getSceneState().objects[index];
+        ['x', 'y', 'z'].forEach(axis => {
+            assert.ok(Math.abs(object.position[axis] - expected.position[axis]) < 1e-9);
+            assert.ok(Math.abs(object.rotation[axis] - expected.rotation[axis]) < 1e-9);
+        });
+    });
+});
+
+test('objects move from their rest pose as time passes', () => {
+    const animator = buildScene(42);
+    const rest = animator.step(0).getSceneState();
+    const later = animator.step(90).getSceneState();
+
+    assert.ok(Math.abs(later.time - 1.5) < 1e-9);
+    assert.equal(later.frames, 90);
+    later.objects.forEach((object, index) => {
+        assert.notDeepEqual(object.rotation, rest.objects[index].rotation);
+    });
+});
+
+test('disposing gives the WebGL context back, not just its resources', (t) => {
+    const fakeRenderer = () => ({ dispose: t.mock.fn(), forceContextLoss: t.mock.fn() });
+
+    const animator = buildScene(1);
+    const own = fakeRenderer();
+    animator.renderer = own;
+    animator.dispose();
+    assert.equal(own.dispose.mock.callCount(), 1);
+    assert.equal(own.forceContextLoss.mock.callCount(), 1);
+
+    const shared = Object.create(SharedRenderer.prototype);
+    const [first, second] = [{}, {}];
+    shared.renderer = fakeRenderer();
+    shared.clients = new Set([first, second]);
+    SharedRenderer.instance = shared;
+
+    shared.release(first);
+    assert.equal(shared.renderer.forceContextLoss.mock.callCount(), 0);
+    shared.release(second);
+    assert.equal(shared.renderer.forceContextLoss.mock.callCount(), 1);
+    assert.equal(SharedRenderer.instance, null);
+});
+
+test('only the degraded quality tiers cap the frame rate', () => {
+    const animator = buildScene(1);
+    const [low, medium, high] = QualityGovernor.TIERS;
+
+    animator.applyQuality(high);
+    assert.equal(animator.frameInterval, 0);
+    animator.applyQuality(medium);
+    assert.equal(animator.frameInterval, 1000 / 45);
+    animator.applyQuality(low);
+    assert.equal(animator.frameInterval, 1000 / 30);
+});
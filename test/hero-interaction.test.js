@@ -0,0 +1,65 @@
+/**
+ * Hero Interaction Tests
+ * Hovering and pushing the hero's shapes in jsdom, under a degraded quality tier
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM, INDEX_HTML } from './dom.js';
+import { HeroAnimator, QualityGovernor } from '../js/index.js';
+
+function setup(t) {
+    const uninstall = installDOM(INDEX_HTML);
+    const hero = new HeroAnimator({ headless: true, seed: 42 });
+    hero.setupInteraction();
+    hero.setInteractive(true);
+    hero.applyQuality(QualityGovernor.TIERS[0]);
+    hero.scene.updateMatrixWorld();
+    t.after(() => {
+        hero.dispose();
+        uninstall();
+    });
+    return hero;
+}
+
+// Put the pointer over a shape's centre
+function pointAt(hero, obj) {
+    const { x, y } = obj.position.clone().project(hero.camera);
+    hero.interaction.pointer.set(x, y);
+    hero.interaction.pointerMoved = true;
+}
+
+test('shapes the quality tier hides cannot be hovered', (t) => {
+    const hero = setup(t);
+    const hidden = hero.objects.filter(obj => !obj.visible);
+    assert.ok(hidden.length > 0);
+
+    hidden.forEach(obj => {
+        pointAt(hero, obj);
+        hero.applyInteraction(0);
+        assert.ok(!hero.interaction.hovered || hero.interaction.hovered.visible);
+    });
+});
+
+test('hiding the hovered shape clears its highlight', (t) => {
+    const hero = setup(t);
+    const target = hero.objects.find(obj => obj.visible);
+    hero.setHovered(target);
+
+    target.visible = false;
+    hero.applyInteraction(0);
+    assert.notEqual(hero.interaction.hovered, target);
+});
+
+test('clicks only push the shapes on show', (t) => {
+    const hero = setup(t);
+    hero.objects.filter(obj => !obj.visible).forEach(obj => {
+        pointAt(hero, obj);
+        hero.applyImpulse();
+    });
+
+    assert.ok(hero.objects.some(obj => hero.engine.get(obj, 'spring')));
+    hero.objects.filter(obj => !obj.visible).forEach(obj => {
+        assert.equal(hero.engine.get(obj, 'spring'), null);
+    });
+});
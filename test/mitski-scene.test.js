@@ -0,0 +1,83 @@
+/**
+ * Mitski Scene Element Tests
+ * <mitski-scene> in jsdom, on a shared headless AnimationManager
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './dom.js';
+
+// The element extends whatever HTMLElement exists when the module loads, so
+// the DOM goes in first
+const uninstall = installDOM();
+const { AnimationManager, SharedRenderer, defineMitskiScene } = await import('../js/index.js');
+defineMitskiScene();
+test.after(uninstall);
+
+function setup(t) {
+    const manager = new AnimationManager({ headless: true });
+    manager.configure();
+    AnimationManager.instance = manager;
+    t.after(() => {
+        document.body.replaceChildren();
+        manager.dispose();
+    });
+    return manager;
+}
+
+test('several attribute changes rebuild the scene once', async (t) => {
+    const manager = setup(t);
+    const scene = document.createElement('mitski-scene');
+    scene.setAttribute('count', '3');
+    document.body.appendChild(scene);
+    const createScene = t.mock.method(manager, 'createScene');
+
+    scene.setAttribute('count', '5');
+    scene.setAttribute('seed', '7');
+    scene.setAttribute('shapes', 'cube');
+    assert.equal(createScene.mock.callCount(), 0);
+
+    await Promise.resolve();
+    assert.equal(createScene.mock.callCount(), 1);
+    assert.equal(scene.animator.objects.length, 5);
+    assert.equal(scene.animator.seed, 7);
+});
+
+test('moving the element keeps its scene; removing it disposes it', async (t) => {
+    const manager = setup(t);
+    const scene = document.createElement('mitski-scene');
+    const other = document.createElement('div');
+    document.body.append(scene, other);
+    const animator = scene.animator;
+    assert.ok(animator);
+
+    other.appendChild(scene);
+    await Promise.resolve();
+    assert.equal(scene.animator, animator);
+    assert.equal(animator.disposed, false);
+
+    scene.remove();
+    await Promise.resolve();
+    assert.equal(scene.animator, null);
+    assert.equal(animator.disposed, true);
+    assert.equal(manager.animators.size, 0);
+});
+
+test('the shared context stays open while a scene is swapped', (t) => {
+    const shared = Object.create(SharedRenderer.prototype);
+    const card = { enableFallback() {} };
+    shared.renderer = { dispose: t.mock.fn(), forceContextLoss: t.mock.fn() };
+    shared.clients = new Set([card]);
+    SharedRenderer.instance = shared;
+    t.after(() => {
+        SharedRenderer.instance = null;
+    });
+
+    SharedRenderer.keepAlive(() => {
+        shared.release(card);
+        assert.equal(SharedRenderer.instance, shared);
+        shared.clients.add(card);
+    });
+    assert.equal(shared.renderer.forceContextLoss.mock.callCount(), 0);
+    assert.deepEqual(Array.from(shared.clients), [card]);
+});
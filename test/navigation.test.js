@@ -0,0 +1,33 @@
+/**
+ * Navigation Tests
+ * The menus rendered from site-config.json against the hand-written ones in index.html
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installDOM, INDEX_HTML } from './dom.js';
+import { NavigationManager } from '../js/index.js';
+
+const CONFIG = JSON.parse(readFileSync(new URL('../assets/icons/site-config.json', import.meta.url), 'utf8'));
+
+const describeLinks = links => Array.from(links).map(link => ({
+    href: link.getAttribute('href'),
+    text: link.textContent,
+    ariaLabel: link.getAttribute('aria-label')
+}));
+
+test('the rendered main menu matches the hand-written one', (t) => {
+    const uninstall = installDOM(INDEX_HTML);
+    t.after(uninstall);
+    const navMenu = document.querySelector('.nav-menu');
+    const written = describeLinks(navMenu.querySelectorAll('a'));
+
+    // Only the rendering, without the listeners init() sets up
+    const navigation = Object.create(NavigationManager.prototype);
+    navigation.navMenu = navMenu;
+    navigation.renderMenus(CONFIG);
+
+    assert.equal(navMenu.querySelector('.has-submenu'), null);
+    assert.deepEqual(describeLinks(navMenu.querySelectorAll('a')), written);
+});
@@ -0,0 +1,112 @@
+/**
+ * Scene Import Tests
+ * exportScene() / importScene() round trips on headless animators
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreeJSAnimator } from '../js/index.js';
+
+function buildScene(seed, options = {}) {
+    const animator = new ThreeJSAnimator(null, 0x00FFFF, 0xFF00FF, { headless: true, seed: seed, ...options });
+    animator.addRandomObjects(4);
+    return animator.step(30);
+}
+
+// Keep the console quiet for the deliberately invalid scenes
+function quietly(t) {
+    t.mock.method(console, 'error', () => {});
+}
+
+test('a scene round-trips through JSON', () => {
+    const source = buildScene(5);
+    const copy = buildScene(9);
+
+    assert.equal(copy.importScene(JSON.parse(JSON.stringify(source.exportScene()))), true);
+    assert.deepEqual(copy.getSceneState().objects, source.getSceneState().objects);
+});
+
+test('a malformed object is rejected before the current scene is touched', (t) => {
+    quietly(t);
+    const animator = buildScene(5);
+    const before = animator.exportScene();
+
+    const scene = buildScene(9).exportScene();
+    delete scene.objects[2].position;
+    assert.equal(animator.importScene(scene), false);
+
+    scene.objects[2].position = { x: 0, y: 0, z: 0 };
+    scene.objects[3].material.opacity = 3;
+    assert.equal(animator.importScene(scene), false);
+
+    assert.deepEqual(animator.exportScene(), before);
+});
+
+test('a scene that fails to build leaves the previous one in place', (t) => {
+    quietly(t);
+    ThreeJSAnimator.registerShape('test-broken', () => {
+        throw new Error('broken factory');
+    });
+    const animator = buildScene(5);
+    const before = animator.exportScene();
+
+    const scene = buildScene(9).exportScene();
+    scene.objects[1].type = 'test-broken';
+    assert.equal(animator.importScene(scene), false);
+    assert.deepEqual(animator.exportScene(), before);
+});
+
+test('opacity and a hand-set colour survive export and import', () => {
+    const source = buildScene(5, { palette: 'static' });
+    const mesh = source.objects[0];
+    mesh.material.opacity = 0.35;
+    mesh.material.color.set('#123456');
+
+    const copy = buildScene(9, { palette: 'static' });
+    copy.importScene(JSON.parse(JSON.stringify(source.exportScene())));
+    copy.step(10);
+
+    const restored = copy.objects[0].material;
+    assert.equal(restored.opacity, 0.35);
+    assert.equal(`#${restored.color.getHexString()}`, '#123456');
+    assert.deepEqual(copy.exportScene().objects[0].material, source.exportScene().objects[0].material);
+});
+
+test('a malformed time, seed or palette is rejected before the current scene is touched', (t) => {
+    quietly(t);
+    const animator = buildScene(5);
+    const before = animator.exportScene();
+    const snapshot = changes => ({ ...buildScene(9).exportScene(), ...changes });
+
+    [
+        { time: 'soon' },
+        { time: -1 },
+        { time: Infinity },
+        { seed: 1.5 },
+        { seed: -3 },
+        { seed: 2 ** 32 },
+        { palette: { mode: 'static', colors: ['#00FFFF', 'pink'] } },
+        { palette: { mode: 3 } }
+    ].forEach(changes => {
+        assert.equal(animator.importScene(snapshot(changes)), false, JSON.stringify(changes));
+    });
+
+    assert.deepEqual(animator.exportScene(), before);
+    assert.ok(animator.getSceneState().objects.every(object => Number.isFinite(object.position.x)));
+});
+
+test('importing a seed re-seeds objects added afterwards', () => {
+    const copy = buildScene(4);
+    copy.importScene(buildScene(21).exportScene());
+    copy.addRandomObjects(1);
+
+    const fresh = new ThreeJSAnimator(null, 0x00FFFF, 0xFF00FF, { headless: true, seed: 21 });
+    fresh.addRandomObjects(1);
+
+    const layout = mesh => {
+        const { type, config, position } = copy.describeObject(mesh);
+        return { type, config, position };
+    };
+    assert.equal(copy.seed, 21);
+    assert.deepEqual(layout(copy.objects[copy.objects.length - 1]), layout(fresh.objects[0]));
+});